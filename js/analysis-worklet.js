@@ -0,0 +1,371 @@
+/**
+ * 音频分析处理器（AudioWorklet）
+ * 运行在音频线程，逐个渲染块（128帧）以浮点精度计算能量、频段电平、频谱通量、起始点和各打击乐声部，
+ * 并定期向主线程发送紧凑的特征消息。后台标签页中也会持续运行
+ * 注意：此文件通过audioWorklet.addModule加载，不能用<script>标签引入；加载前需先加载onset-detectors.js和band-analyzer.js
+ */
+
+class AnalysisProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+
+        const processorOptions = options.processorOptions || {};
+
+        // 分析配置
+        this.config = {
+            fftSize: 1024,          // FFT窗口长度（每个渲染块都会计算一次）
+            reportInterval: 4,      // 每隔多少个渲染块发送一次特征
+            minDecibels: -90,       // 与AnalyserNode一致的电平归一化范围
+            maxDecibels: -10,
+            detector: 'spectralFlux', // 起始点检测算法（见onset-detectors.js）
+            onsetThreshold: 1.3,    // 起始点阈值（相对于近期检测函数中值）
+            minOnsetInterval: 0.3,  // 最小起始点间隔（秒）
+            historySeconds: 1,      // 自适应阈值的历史长度（秒）
+            bands: {},              // 多频段分析配置（见band-analyzer.js）
+            ...processorOptions
+        };
+
+        this.setupBuffers();
+        this.setupDetector();
+        this.percussion = new PercussionDetector(this.getDetectorConfig());
+        this.bandAnalyzer = new BandAnalyzer(this.config.bands);
+        this.reset();
+
+        this.port.onmessage = (event) => {
+            this.handleMessage(event.data);
+        };
+    }
+
+    // 处理主线程消息
+    handleMessage(message) {
+        if (message.type === 'config') {
+            const { fftSize, detector } = this.config;
+            this.config = { ...this.config, ...message.config };
+            if (this.config.fftSize !== fftSize) {
+                this.setupBuffers();
+            }
+            if (this.config.detector !== detector) {
+                this.setupDetector();
+            } else {
+                this.detector.updateConfig(this.getDetectorConfig());
+            }
+            this.percussion.updateConfig(this.getDetectorConfig());
+            this.bandAnalyzer.updateConfig(this.config.bands);
+        } else if (message.type === 'reset') {
+            this.reset();
+        }
+    }
+
+    // 分配FFT与历史缓冲区
+    setupBuffers() {
+        const size = this.config.fftSize;
+        const binCount = size / 2;
+
+        this.ring = new Float32Array(size);
+        this.ringIndex = 0;
+        this.real = new Float32Array(size);
+        this.imag = new Float32Array(size);
+        this.magnitudes = new Float32Array(binCount);
+        this.previousMagnitudes = new Float32Array(binCount);
+
+        // Hann窗
+        this.window = new Float32Array(size);
+        for (let i = 0; i < size; i++) {
+            this.window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (size - 1));
+        }
+
+        // 频段对应的频点范围（与AudioAnalyzer.analyzeFrequency一致）
+        const binSize = sampleRate / size;
+        const toBin = (frequency) => Math.min(binCount, Math.max(1, Math.floor(frequency / binSize)));
+        this.bins = {
+            bass: [toBin(20), toBin(250)],
+            mid: [toBin(250), toBin(4000)],
+            treble: [toBin(4000), toBin(Math.min(20000, sampleRate / 2))],
+            kick: [toBin(60), toBin(120) + 1],
+            flux: [toBin(20), toBin(4000)],
+            max: binCount
+        };
+        this.binSize = binSize;
+
+        // 旋转因子表
+        this.cosTable = new Float32Array(binCount);
+        this.sinTable = new Float32Array(binCount);
+        for (let i = 0; i < binCount; i++) {
+            this.cosTable[i] = Math.cos(-2 * Math.PI * i / size);
+            this.sinTable[i] = Math.sin(-2 * Math.PI * i / size);
+        }
+
+        // 位反转表
+        const bits = Math.log2(size);
+        this.reversed = new Uint32Array(size);
+        for (let i = 0; i < size; i++) {
+            let reversed = 0;
+            for (let b = 0; b < bits; b++) {
+                reversed = (reversed << 1) | ((i >> b) & 1);
+            }
+            this.reversed[i] = reversed;
+        }
+    }
+
+    // 创建起始点检测器（未知算法退回频谱通量）
+    setupDetector() {
+        const type = OnsetDetector.types[this.config.detector] ? this.config.detector : 'spectralFlux';
+        this.detector = OnsetDetector.create(type, this.getDetectorConfig());
+    }
+
+    // 检测器阈值配置：每个渲染块一帧，历史长度按时长换算
+    getDetectorConfig() {
+        return {
+            historySize: Math.max(8, Math.round(this.config.historySeconds * sampleRate / 128)),
+            multiplier: this.config.onsetThreshold
+        };
+    }
+
+    // 重置分析状态
+    reset() {
+        this.ring.fill(0);
+        this.previousMagnitudes.fill(0);
+        this.detector.reset();
+        this.percussion.reset();
+        this.lastOnsetTime = -Infinity;
+        this.resetAccumulators();
+    }
+
+    // 重置发送周期内的累积量
+    resetAccumulators() {
+        this.blockCount = 0;
+        this.absSum = 0;
+        this.sampleCount = 0;
+        this.maxAbs = 0;
+        this.maxFlux = 0;
+        this.onsets = [];
+        this.hits = [];
+        this.bandFlux = null;   // 发送周期内各频段的最大通量
+    }
+
+    // 处理一个渲染块
+    process(inputs) {
+        const input = inputs[0];
+        if (!input || input.length === 0) {
+            return true;
+        }
+
+        const channels = input.length;
+        const frames = input[0].length;
+
+        // 混合为单声道写入环形缓冲区，同时累积音量
+        for (let i = 0; i < frames; i++) {
+            let sample = 0;
+            for (let c = 0; c < channels; c++) {
+                sample += input[c][i];
+            }
+            sample /= channels;
+
+            this.ring[this.ringIndex] = sample;
+            this.ringIndex = (this.ringIndex + 1) % this.ring.length;
+
+            const abs = Math.abs(sample);
+            this.absSum += abs;
+            if (abs > this.maxAbs) this.maxAbs = abs;
+        }
+        this.sampleCount += frames;
+
+        this.computeSpectrum();
+        const features = this.computeFeatures();
+        const frame = this.createFrame();
+        this.detectOnset(features, frame);
+        this.hits.push(...this.percussion.process(frame));
+        const bands = this.analyzeBands(frame);
+
+        this.blockCount++;
+        if (this.blockCount >= this.config.reportInterval || this.onsets.length > 0 || this.hits.length > 0) {
+            this.report(features, bands);
+        }
+
+        return true;
+    }
+
+    // 多频段分析：电平和峰值取最新一块，通量取发送周期内的最大值，避免两次发送之间的起音被漏掉
+    analyzeBands(frame) {
+        const bands = this.bandAnalyzer.process(frame);
+
+        if (!this.bandFlux || this.bandFlux.length !== bands.length) {
+            this.bandFlux = bands.map(band => band.flux);
+        } else {
+            bands.forEach((band, index) => {
+                if (band.flux > this.bandFlux[index]) this.bandFlux[index] = band.flux;
+            });
+        }
+
+        return bands.map((band, index) => ({ ...band, flux: this.bandFlux[index] }));
+    }
+
+    // 计算当前窗口的频谱并转换为0-1电平（与getByteFrequencyData的归一化方式一致）
+    computeSpectrum() {
+        const size = this.ring.length;
+        const real = this.real;
+        const imag = this.imag;
+
+        for (let i = 0; i < size; i++) {
+            const sample = this.ring[(this.ringIndex + i) % size] * this.window[i];
+            real[this.reversed[i]] = sample;
+            imag[this.reversed[i]] = 0;
+        }
+
+        // 基2迭代FFT
+        for (let length = 2; length <= size; length <<= 1) {
+            const half = length >> 1;
+            const step = size / length;
+            for (let start = 0; start < size; start += length) {
+                for (let k = 0; k < half; k++) {
+                    const cos = this.cosTable[k * step];
+                    const sin = this.sinTable[k * step];
+                    const a = start + k;
+                    const b = a + half;
+                    const tr = real[b] * cos - imag[b] * sin;
+                    const ti = real[b] * sin + imag[b] * cos;
+                    real[b] = real[a] - tr;
+                    imag[b] = imag[a] - ti;
+                    real[a] += tr;
+                    imag[a] += ti;
+                }
+            }
+        }
+
+        const { minDecibels, maxDecibels } = this.config;
+        const range = maxDecibels - minDecibels;
+        const scale = 2 / size;
+
+        this.previousMagnitudes.set(this.magnitudes);
+        for (let i = 0; i < this.magnitudes.length; i++) {
+            const magnitude = Math.hypot(real[i], imag[i]) * scale;
+            const decibels = 20 * Math.log10(magnitude + 1e-12);
+            this.magnitudes[i] = Math.max(0, Math.min(1, (decibels - minDecibels) / range));
+        }
+    }
+
+    // 从频谱计算频段电平、频谱重心和通量
+    computeFeatures() {
+        const magnitudes = this.magnitudes;
+        const previous = this.previousMagnitudes;
+        const bins = this.bins;
+
+        const average = ([start, end]) => {
+            let sum = 0;
+            for (let i = start; i < end; i++) sum += magnitudes[i];
+            return end > start ? sum / (end - start) : 0;
+        };
+
+        const positiveFlux = ([start, end]) => {
+            let sum = 0;
+            for (let i = start; i < end; i++) {
+                const diff = magnitudes[i] - previous[i];
+                if (diff > 0) sum += diff;
+            }
+            return end > start ? sum / (end - start) : 0;
+        };
+
+        let peakValue = 0;
+        let peakBin = 0;
+        let totalEnergy = 0;
+        let weighted = 0;
+        let weightSum = 0;
+        for (let i = 1; i < bins.max; i++) {
+            const value = magnitudes[i];
+            totalEnergy += value * value;
+            weighted += i * this.binSize * value;
+            weightSum += value;
+            if (value > peakValue) {
+                peakValue = value;
+                peakBin = i;
+            }
+        }
+
+        const bass = average(bins.bass);
+        const treble = average(bins.treble);
+
+        return {
+            bass,
+            mid: average(bins.mid),
+            treble,
+            kick: average(bins.kick),
+            peak: peakBin * this.binSize,
+            peakValue,
+            totalEnergy: bins.max > 0 ? totalEnergy / bins.max : 0,
+            spectralCentroid: weightSum > 0 ? weighted / weightSum : 0,
+            brightness: treble / (bass + 0.001),
+            flux: positiveFlux(bins.flux),
+            kickFlux: positiveFlux(bins.kick)
+        };
+    }
+
+    // 当前渲染块的检测帧（currentTime为本渲染块开始时的上下文时间）
+    createFrame() {
+        return {
+            time: currentTime,
+            magnitudes: this.magnitudes,
+            previous: this.previousMagnitudes,
+            binSize: this.binSize,
+            decibelRange: this.config.maxDecibels - this.config.minDecibels,
+            real: this.real,
+            imag: this.imag,
+            scale: 2 / this.ring.length
+        };
+    }
+
+    // 用配置的检测算法检测起始点（峰值拾取会延迟一个渲染块，起始点时间取峰值所在的块）
+    detectOnset(features, frame) {
+        if (features.flux > this.maxFlux) this.maxFlux = features.flux;
+
+        const result = this.detector.process(frame);
+
+        if (!result.onset || result.time - this.lastOnsetTime < this.config.minOnsetInterval) {
+            return;
+        }
+
+        this.lastOnsetTime = result.time;
+        this.onsets.push({
+            time: result.time,
+            strength: result.strength,
+            type: features.kickFlux > features.flux * 1.5 ? 'kick' : 'energy',
+            energy: features.totalEnergy,
+            kickEnergy: features.kick,
+            confidence: Math.min(result.value / result.threshold - 1, 1)
+        });
+    }
+
+    // 发送特征消息
+    report(features, bands) {
+        const averageAbs = this.sampleCount > 0 ? this.absSum / this.sampleCount : 0;
+
+        this.port.postMessage({
+            type: 'features',
+            time: currentTime,
+            volume: {
+                average: averageAbs,
+                max: this.maxAbs,
+                rms: Math.sqrt(averageAbs),
+                level: Math.min(Math.sqrt(averageAbs) * 2, 1)
+            },
+            frequency: {
+                bass: features.bass,
+                mid: features.mid,
+                treble: features.treble,
+                peak: features.peak,
+                peakValue: features.peakValue,
+                totalEnergy: features.totalEnergy,
+                spectralCentroid: features.spectralCentroid,
+                brightness: features.brightness,
+                bands
+            },
+            kick: features.kick,
+            flux: this.maxFlux,
+            onsets: this.onsets,
+            hits: this.hits
+        });
+
+        this.resetAccumulators();
+    }
+}
+
+registerProcessor('analysis-processor', AnalysisProcessor);
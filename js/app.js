@@ -6,9 +6,18 @@
 class AudioVibrateApp {
     constructor() {
         this.audioPlayer = null;
+        this.audioClock = null;
         this.audioAnalyzer = null;
+        this.beatMapAnalyzer = null;
+        this.loudnessMeter = null;
         this.vibrationController = null;
+        this.hapticPreview = null;
         this.visualizer = null;
+        this.seekBar = null;
+        this.settingsStore = null;
+        this.latencyProfiles = null;
+        this.latencyCalibrator = null;
+        this.calibrationResult = null;  // 尚未保存的校准结果
         this.isInitialized = false;
         
         // DOM元素引用
@@ -17,8 +26,15 @@ class AudioVibrateApp {
         // 应用状态
         this.state = {
             isPlaying: false,
+            inputMode: 'file', // 'file' | 'microphone' | 'tab'
             currentFile: null,
             vibrationEnabled: false,
+            preAnalysisEnabled: true,
+            beatMap: null,
+            loudness: null,         // 当前曲目的整曲响度
+            currentFileHash: null,
+            hapticRecording: null,
+            hapticTrack: null,
             deviceCapabilities: null
         };
     }
@@ -40,11 +56,19 @@ class AudioVibrateApp {
             // 显示设备支持信息
             this.displaySupportInfo();
             
+            // 加载用户设置（移动端使用省电的默认值）
+            this.settingsStore = new SettingsStore({ mobile: isMobileDevice() });
+            this.settingsStore.load();
+            
             // 初始化各个模块
             await this.initModules();
             
             // 绑定事件监听器
             this.bindEventListeners();
+            this.updateInputModeUI();
+            
+            // 将保存的设置应用到各模块和界面
+            this.applySettings();
             
             // 设置拖拽上传
             this.setupDragAndDrop();
@@ -52,9 +76,6 @@ class AudioVibrateApp {
             this.isInitialized = true;
             console.log('App initialized successfully');
             
-            // 移动端性能优化
-            this.optimizeForMobile();
-            
             showSuccess('应用初始化完成');
             
         } catch (error) {
@@ -68,6 +89,7 @@ class AudioVibrateApp {
         this.elements = {
             // 文件上传相关
             uploadArea: document.getElementById('uploadArea'),
+            inputModeSelector: document.getElementById('inputModeSelector'),
             audioFile: document.getElementById('audioFile'),
             
             // 播放器相关
@@ -75,24 +97,101 @@ class AudioVibrateApp {
             trackName: document.getElementById('trackName'),
             trackDuration: document.getElementById('trackDuration'),
             playPauseBtn: document.getElementById('playPauseBtn'),
+            prevBtn: document.getElementById('prevBtn'),
+            nextBtn: document.getElementById('nextBtn'),
+            shuffleBtn: document.getElementById('shuffleBtn'),
+            repeatBtn: document.getElementById('repeatBtn'),
             progressBar: document.getElementById('progressBar'),
-            progressFill: document.getElementById('progressFill'),
-            progressHandle: document.getElementById('progressHandle'),
+            progressCanvas: document.getElementById('progressCanvas'),
+            zoomInBtn: document.getElementById('zoomInBtn'),
+            zoomOutBtn: document.getElementById('zoomOutBtn'),
+            zoomLevel: document.getElementById('zoomLevel'),
+            sectionMarkers: document.getElementById('sectionMarkers'),
             volumeSlider: document.getElementById('volumeSlider'),
             
+            // 播放队列相关
+            queueSection: document.getElementById('queueSection'),
+            queueList: document.getElementById('queueList'),
+            queueCount: document.getElementById('queueCount'),
+            
             // 振动控制相关
             vibrationSection: document.getElementById('vibrationSection'),
             vibrationToggle: document.getElementById('vibrationToggle'),
+            preAnalysisToggle: document.getElementById('preAnalysisToggle'),
             vibrationStatus: document.getElementById('vibrationStatus'),
             statusIndicator: document.getElementById('statusIndicator'),
             statusText: document.getElementById('statusText'),
+            statusLevel: document.getElementById('statusLevel'),
             beatInfo: document.getElementById('beatInfo'),
             intensityInfo: document.getElementById('intensityInfo'),
+            hapticTrackInfo: document.getElementById('hapticTrackInfo'),
+            exportTrackBtn: document.getElementById('exportTrackBtn'),
+            importTrackBtn: document.getElementById('importTrackBtn'),
+            clearTrackBtn: document.getElementById('clearTrackBtn'),
+            editTrackBtn: document.getElementById('editTrackBtn'),
+            hapticTrackFile: document.getElementById('hapticTrackFile'),
+            hapticPreview: document.getElementById('hapticPreview'),
+            hapticPreviewIndicator: document.getElementById('hapticPreviewIndicator'),
+            hapticPreviewCanvas: document.getElementById('hapticPreviewCanvas'),
+            previewClickToggle: document.getElementById('previewClickToggle'),
+            presetSelect: document.getElementById('presetSelect'),
+            presetDescription: document.getElementById('presetDescription'),
+            testPresetBtn: document.getElementById('testPresetBtn'),
+            importPresetBtn: document.getElementById('importPresetBtn'),
+            exportPresetBtn: document.getElementById('exportPresetBtn'),
+            deletePresetBtn: document.getElementById('deletePresetBtn'),
+            presetFile: document.getElementById('presetFile'),
+            hapticOutputs: document.getElementById('hapticOutputs'),
+            websocketUrlInput: document.getElementById('websocketUrlInput'),
+            
+            // 振动轨编辑器相关
+            editorSection: document.getElementById('editorSection'),
+            timelineCanvas: document.getElementById('timelineCanvas'),
+            editorGenerateBtn: document.getElementById('editorGenerateBtn'),
+            editorAddBtn: document.getElementById('editorAddBtn'),
+            editorDeleteBtn: document.getElementById('editorDeleteBtn'),
+            editorIntensitySlider: document.getElementById('editorIntensitySlider'),
+            editorSnapToggle: document.getElementById('editorSnapToggle'),
+            editorPreviewBtn: document.getElementById('editorPreviewBtn'),
+            editorCloseBtn: document.getElementById('editorCloseBtn'),
+            editorDoneBtn: document.getElementById('editorDoneBtn'),
+            
+            // 延迟校准相关
+            calibrationSection: document.getElementById('calibrationSection'),
+            calibrationStep: document.getElementById('calibrationStep'),
+            calibrationPad: document.getElementById('calibrationPad'),
+            calibrationProgressFill: document.getElementById('calibrationProgressFill'),
+            calibrationResult: document.getElementById('calibrationResult'),
+            calibrationResetBtn: document.getElementById('calibrationResetBtn'),
+            calibrationCloseBtn: document.getElementById('calibrationCloseBtn'),
+            calibrationStartBtn: document.getElementById('calibrationStartBtn'),
+            calibrationSaveBtn: document.getElementById('calibrationSaveBtn'),
+            calibrateLatencyBtn: document.getElementById('calibrateLatencyBtn'),
             
             // 可视化相关
             visualizationSection: document.getElementById('visualizationSection'),
             audioCanvas: document.getElementById('audioCanvas'),
             
+            // 设置相关
+            settingsSection: document.getElementById('settingsSection'),
+            sensitivitySlider: document.getElementById('sensitivitySlider'),
+            intensitySlider: document.getElementById('intensitySlider'),
+            thresholdSlider: document.getElementById('thresholdSlider'),
+            motorProfileSelect: document.getElementById('motorProfileSelect'),
+            governorModeSelect: document.getElementById('governorModeSelect'),
+            comfortModeSelect: document.getElementById('comfortModeSelect'),
+            fftSizeSelect: document.getElementById('fftSizeSelect'),
+            analysisEngineSelect: document.getElementById('analysisEngineSelect'),
+            percussionModeSelect: document.getElementById('percussionModeSelect'),
+            sectionDynamicsSelect: document.getElementById('sectionDynamicsSelect'),
+            onsetDetectorSelect: document.getElementById('onsetDetectorSelect'),
+            loudnessNormalizationSelect: document.getElementById('loudnessNormalizationSelect'),
+            bandScaleSelect: document.getElementById('bandScaleSelect'),
+            bandCountSelect: document.getElementById('bandCountSelect'),
+            bandWeightingSelect: document.getElementById('bandWeightingSelect'),
+            visualizerStyleSelect: document.getElementById('visualizerStyleSelect'),
+            resetSettingsBtn: document.getElementById('resetSettingsBtn'),
+            
             // 其他
             supportInfo: document.getElementById('supportInfo'),
             audioElement: document.getElementById('audioElement')
@@ -104,13 +203,92 @@ class AudioVibrateApp {
         try {
             // 初始化音频播放器
             this.audioPlayer = new AudioPlayer(this.elements.audioElement);
+            this.audioPlayer.on('onQueueChange', (queueState) => {
+                this.renderQueue(queueState);
+            });
+            
+            // 音频时钟：分析、振动调度共用同一时间基准
+            this.audioClock = new AudioClock(this.elements.audioElement);
             
             // 初始化振动控制器
             this.vibrationController = new VibrationController();
+            this.vibrationController.setClock(this.audioClock);
+            
+            // 振动预设库：内置预设与用户导入的预设
+            this.presetLibrary = new VibrationPresetLibrary();
+            this.presetLibrary.load();
+            this.vibrationController.setPresetLibrary(this.presetLibrary);
+            this.renderPresetOptions();
+            this.vibrationController.on('onVibrate', (event) => {
+                this.recordHapticEvent(event);
+                if (this.visualizer) {
+                    this.visualizer.recordVibration(event);
+                }
+            });
+            this.vibrationController.on('onSectionChange', ({ section }) => {
+                this.highlightSectionMarker(section);
+            });
+            this.vibrationController.on('onGovernorChange', () => {
+                this.updateHapticLimitStatus();
+            });
+            this.vibrationController.on('onSafetyChange', () => {
+                this.updateHapticLimitStatus();
+            });
+            
+            // 屏幕预览输出；设备不支持振动时默认启用，振动逻辑保持不变
+            this.hapticPreview = new HapticPreviewBackend({
+                indicator: this.elements.hapticPreviewIndicator,
+                canvas: this.elements.hapticPreviewCanvas
+            });
+            if (!this.state.deviceCapabilities.vibration) {
+                this.vibrationController.addBackend('preview', this.hapticPreview);
+            }
+            this.updateOutputControls();
+            
+            // 延迟校准：应用本设备保存的校准结果
+            this.latencyProfiles = new LatencyProfileStore();
+            this.latencyCalibrator = new LatencyCalibrator(this.vibrationController);
+            this.latencyCalibrator.on('onProgress', (progress) => {
+                this.updateCalibrationProgress(progress);
+            });
+            this.applyLatencyProfile(this.latencyProfiles.load());
+            
+            // 初始化整曲预分析器
+            if (this.state.deviceCapabilities.webAudio) {
+                this.beatMapAnalyzer = new BeatMapAnalyzer();
+                this.loudnessMeter = new LoudnessMeter();
+            }
             
             // 初始化可视化器
             this.visualizer = new AudioVisualizer(this.elements.audioCanvas);
             
+            // 初始化波形进度条（跳转通过播放器）
+            this.seekBar = new WaveformSeekBar(this.elements.progressCanvas, {
+                getCurrentTime: () => this.elements.audioElement.currentTime
+            });
+            this.seekBar.on('onSeek', (time) => {
+                this.audioPlayer.seek(time);
+            });
+            this.seekBar.on('onViewChange', ({ zoom }) => {
+                this.elements.zoomLevel.textContent = `${zoom >= 10 ? Math.round(zoom) : zoom.toFixed(1).replace(/\.0$/, '')}×`;
+                this.positionSectionMarkers();
+            });
+            
+            // 初始化振动轨编辑器（播放位置和跳转都通过播放器）
+            this.hapticEditor = new HapticTimelineEditor(this.elements.timelineCanvas, {
+                getCurrentTime: () => this.elements.audioElement.currentTime,
+                isPlaying: () => this.state.isPlaying
+            });
+            this.hapticEditor.on('onSeek', (time) => {
+                this.audioPlayer.seek(time);
+            });
+            this.hapticEditor.on('onChange', () => {
+                this.onHapticEdit();
+            });
+            this.hapticEditor.on('onSelect', (event) => {
+                this.updateEditorSelection(event);
+            });
+            
             console.log('All modules initialized');
             
         } catch (error) {
@@ -121,9 +299,18 @@ class AudioVibrateApp {
 
     // 绑定事件监听器
     bindEventListeners() {
+        // 输入源切换（本地文件/麦克风/标签页音频）
+        this.elements.inputModeSelector.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-mode]');
+            if (button) {
+                this.setInputMode(button.dataset.mode);
+            }
+        });
+
         // 文件选择事件
         this.elements.audioFile.addEventListener('change', (e) => {
-            this.handleFileSelect(e.target.files[0]);
+            this.handleFileSelect(e.target.files);
+            e.target.value = '';
         });
 
         // 播放/暂停按钮
@@ -131,19 +318,192 @@ class AudioVibrateApp {
             this.togglePlayPause();
         });
 
-        // 音量控制
+        // 上一首/下一首
+        this.elements.prevBtn.addEventListener('click', () => {
+            this.playPrevious();
+        });
+
+        this.elements.nextBtn.addEventListener('click', () => {
+            this.playNext(false);
+        });
+
+        // 随机播放与循环模式
+        this.elements.shuffleBtn.addEventListener('click', () => {
+            this.audioPlayer.setShuffle(!this.audioPlayer.shuffle);
+        });
+
+        this.elements.repeatBtn.addEventListener('click', () => {
+            this.audioPlayer.cycleRepeatMode();
+        });
+
+        // 播放队列操作（事件委托）
+        this.elements.queueList.addEventListener('click', (e) => {
+            this.handleQueueAction(e);
+        });
+
+        // 音量控制（保存设置做防抖处理）
+        const saveVolume = debounce((volume) => {
+            this.settingsStore.update('player', { volume });
+        }, 500);
         this.elements.volumeSlider.addEventListener('input', (e) => {
             this.setVolume(e.target.value / 100);
+            saveVolume(e.target.value / 100);
         });
 
-        // 进度条控制
-        this.elements.progressBar.addEventListener('click', (e) => {
-            this.seekTo(e);
+        // 进度条缩放
+        this.elements.zoomInBtn.addEventListener('click', () => {
+            this.seekBar.zoom(2);
+        });
+
+        this.elements.zoomOutBtn.addEventListener('click', () => {
+            this.seekBar.zoom(0.5);
         });
 
         // 振动开关
         this.elements.vibrationToggle.addEventListener('change', (e) => {
             this.toggleVibration(e.target.checked);
+            this.settingsStore.update('vibration', { enabled: e.target.checked });
+        });
+
+        // 整曲预分析开关
+        this.elements.preAnalysisToggle.addEventListener('change', (e) => {
+            this.togglePreAnalysis(e.target.checked);
+            this.settingsStore.update('vibration', { preAnalysis: e.target.checked });
+        });
+
+        // 设置面板
+        this.getSettingControls().forEach(control => {
+            control.element.addEventListener('change', (e) => {
+                this.updateSetting(control.section, {
+                    [control.key]: control.fromInput(e.target.value)
+                });
+            });
+        });
+
+        this.elements.resetSettingsBtn.addEventListener('click', () => {
+            this.resetSettings();
+        });
+
+        // 延迟校准
+        this.elements.calibrateLatencyBtn.addEventListener('click', () => {
+            this.openLatencyCalibration();
+        });
+
+        this.elements.calibrationPad.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            this.tapCalibration(e.timeStamp);
+        });
+
+        this.elements.calibrationStartBtn.addEventListener('click', () => {
+            this.startLatencyCalibration();
+        });
+
+        this.elements.calibrationSaveBtn.addEventListener('click', () => {
+            this.saveLatencyCalibration();
+        });
+
+        this.elements.calibrationResetBtn.addEventListener('click', () => {
+            this.resetLatencyCalibration();
+        });
+
+        this.elements.calibrationCloseBtn.addEventListener('click', () => {
+            this.closeLatencyCalibration();
+        });
+
+        // 振动轨导出/导入
+        this.elements.exportTrackBtn.addEventListener('click', () => {
+            this.exportHapticTrack();
+        });
+
+        this.elements.importTrackBtn.addEventListener('click', () => {
+            this.elements.hapticTrackFile.click();
+        });
+
+        this.elements.hapticTrackFile.addEventListener('change', (e) => {
+            this.importHapticTrack(e.target.files[0]);
+            e.target.value = '';
+        });
+
+        this.elements.clearTrackBtn.addEventListener('click', () => {
+            this.clearHapticTrack();
+        });
+
+        // 振动轨编辑器
+        this.elements.editTrackBtn.addEventListener('click', () => {
+            this.openHapticEditor();
+        });
+
+        this.elements.editorGenerateBtn.addEventListener('click', () => {
+            this.hapticEditor.generateFromBeats();
+        });
+
+        this.elements.editorAddBtn.addEventListener('click', () => {
+            this.hapticEditor.addEventAtPlayhead();
+        });
+
+        this.elements.editorDeleteBtn.addEventListener('click', () => {
+            this.hapticEditor.deleteSelected();
+        });
+
+        this.elements.editorIntensitySlider.addEventListener('input', (e) => {
+            this.hapticEditor.setSelectedIntensity(e.target.value / 100);
+        });
+
+        this.elements.editorSnapToggle.addEventListener('change', (e) => {
+            this.hapticEditor.updateConfig({ snapToBeat: e.target.checked });
+        });
+
+        this.elements.editorPreviewBtn.addEventListener('click', () => {
+            this.previewHapticEdit();
+        });
+
+        this.elements.editorCloseBtn.addEventListener('click', () => {
+            this.closeHapticEditor(false);
+        });
+
+        this.elements.editorDoneBtn.addEventListener('click', () => {
+            this.closeHapticEditor(true);
+        });
+
+        // 振动预设
+        this.elements.presetSelect.addEventListener('change', () => {
+            this.updatePresetInfo();
+        });
+
+        this.elements.testPresetBtn.addEventListener('click', () => {
+            this.testPreset();
+        });
+
+        this.elements.importPresetBtn.addEventListener('click', () => {
+            this.elements.presetFile.click();
+        });
+
+        this.elements.presetFile.addEventListener('change', (e) => {
+            this.importPresets(e.target.files[0]);
+            e.target.value = '';
+        });
+
+        this.elements.exportPresetBtn.addEventListener('click', () => {
+            this.exportPreset();
+        });
+
+        this.elements.deletePresetBtn.addEventListener('click', () => {
+            this.deletePreset();
+        });
+
+        // 输出设备选择（可同时启用多个）
+        this.elements.hapticOutputs.addEventListener('change', (e) => {
+            const type = e.target.dataset.backend;
+            if (type) {
+                this.setOutputBackend(type, e.target.checked);
+            }
+        });
+
+        // 振动预览点击声
+        this.elements.previewClickToggle.addEventListener('change', (e) => {
+            if (this.hapticPreview) {
+                this.hapticPreview.updateConfig({ audibleClick: e.target.checked });
+            }
         });
 
         // 音频播放器事件
@@ -163,6 +523,13 @@ class AudioVibrateApp {
             this.onAudioError(e);
         });
 
+        // 暂停、跳转、变速后已调度的振动不再对应音频
+        ['pause', 'seeking', 'ratechange'].forEach(type => {
+            this.elements.audioElement.addEventListener(type, () => {
+                this.vibrationController.cancelScheduled();
+            });
+        });
+
         // 键盘快捷键
         document.addEventListener('keydown', (e) => {
             this.handleKeyboard(e);
@@ -200,7 +567,7 @@ class AudioVibrateApp {
             uploadArea.addEventListener('drop', (e) => {
                 const files = e.dataTransfer.files;
                 if (files.length > 0) {
-                    this.handleFileSelect(files[0]);
+                    this.handleFileSelect(files);
                 }
             });
         }
@@ -217,37 +584,184 @@ class AudioVibrateApp {
         }
     }
 
-    // 处理文件选择
-    async handleFileSelect(file) {
-        if (!file) return;
+    // 处理文件选择（支持多文件，加入播放队列）
+    async handleFileSelect(files) {
+        if (!files || files.length === 0) return;
 
-        try {
-            // 验证文件
-            const validation = validateAudioFile(file);
-            if (!validation.valid) {
-                showError(validation.error);
-                return;
-            }
+        const { added, rejected } = this.audioPlayer.addToQueue(files);
+
+        if (rejected.length > 0) {
+            const prefix = rejected.length > 1 ? `${rejected.length} 个文件未添加：` : '';
+            showError(prefix + rejected[0].error);
+        }
 
+        if (added.length === 0) return;
+
+        // 当前没有曲目时直接加载第一首新曲目
+        if (this.audioPlayer.currentIndex === -1) {
+            await this.loadTrack(this.audioPlayer.queue.indexOf(added[0]), false);
+        } else {
+            showSuccess(`已添加 ${added.length} 首到播放队列`);
+        }
+    }
+
+    // 加载队列中的曲目
+    async loadTrack(index, autoplay = false) {
+        const track = this.audioPlayer.queue[index];
+        if (!track) return;
+
+        try {
             // 重置播放状态
             this.resetPlayerState();
 
             // 更新状态
-            this.state.currentFile = file;
+            this.state.currentFile = track.file;
+            this.state.hapticRecording = new HapticTrack({ name: track.name });
             
             // 显示文件信息
-            this.elements.trackName.textContent = file.name;
+            this.elements.trackName.textContent = track.name;
             
             // 加载音频文件
-            await this.loadAudioFile(file);
+            await this.audioPlayer.loadTrack(index);
             
             showSuccess('音频文件加载成功');
             
+            // 后台进行整曲预分析和响度测量
+            this.analyzeTrack(track.file);
+
+            if (autoplay) {
+                await this.play();
+            }
+            
         } catch (error) {
             console.error('Failed to handle file:', error);
             showError('文件加载失败，请重试');
         }
     }
+
+    // 播放下一首（auto为播放结束自动切换）
+    async playNext(auto = false) {
+        const index = this.audioPlayer.getNextIndex(auto);
+        if (index === -1) return false;
+
+        const autoplay = auto || this.state.isPlaying;
+
+        // 单曲循环：直接从头播放，无需重新加载
+        if (index === this.audioPlayer.currentIndex) {
+            this.audioPlayer.seek(0);
+            if (autoplay) {
+                await this.play();
+            }
+            return true;
+        }
+
+        await this.loadTrack(index, autoplay);
+        return true;
+    }
+
+    // 播放上一首（播放超过3秒时先回到开头）
+    async playPrevious() {
+        if (this.elements.audioElement.currentTime > 3) {
+            this.audioPlayer.seek(0);
+            return;
+        }
+
+        const index = this.audioPlayer.getPreviousIndex();
+        if (index === -1) {
+            this.audioPlayer.seek(0);
+            return;
+        }
+
+        await this.loadTrack(index, this.state.isPlaying);
+    }
+
+    // 处理播放队列中的按钮操作
+    handleQueueAction(event) {
+        const target = event.target.closest('[data-action]');
+        if (!target) return;
+
+        const index = parseInt(target.closest('.queue-item').dataset.index, 10);
+
+        switch (target.dataset.action) {
+            case 'play':
+                this.loadTrack(index, true);
+                break;
+            case 'up':
+                this.audioPlayer.moveInQueue(index, index - 1);
+                break;
+            case 'down':
+                this.audioPlayer.moveInQueue(index, index + 1);
+                break;
+            case 'remove':
+                this.removeTrack(index);
+                break;
+        }
+    }
+
+    // 从队列移除曲目
+    async removeTrack(index) {
+        const wasPlaying = this.state.isPlaying;
+        const result = this.audioPlayer.removeFromQueue(index);
+        if (!result || !result.removedCurrent) return;
+
+        // 移除的是当前曲目：切换到同位置的下一首，队列空则卸载
+        if (this.audioPlayer.queue.length > 0) {
+            await this.loadTrack(Math.min(index, this.audioPlayer.queue.length - 1), wasPlaying);
+        } else {
+            this.resetPlayerState();
+            this.audioPlayer.unload();
+            this.state.currentFile = null;
+            this.elements.trackName.textContent = '未选择文件';
+        }
+    }
+
+    // 渲染播放队列
+    renderQueue(queueState) {
+        const list = this.elements.queueList;
+        list.innerHTML = '';
+
+        queueState.tracks.forEach((track, index) => {
+            const item = document.createElement('li');
+            item.className = 'queue-item' + (index === queueState.currentIndex ? ' active' : '');
+            item.dataset.index = index;
+
+            const name = document.createElement('span');
+            name.className = 'queue-name';
+            name.dataset.action = 'play';
+            name.textContent = track.name;
+            item.appendChild(name);
+
+            [
+                { action: 'up', label: '↑', title: '上移', disabled: index === 0 },
+                { action: 'down', label: '↓', title: '下移', disabled: index === queueState.tracks.length - 1 },
+                { action: 'remove', label: '✕', title: '移除', disabled: false }
+            ].forEach(config => {
+                const button = document.createElement('button');
+                button.className = 'queue-btn';
+                button.dataset.action = config.action;
+                button.textContent = config.label;
+                button.title = config.title;
+                button.disabled = config.disabled;
+                item.appendChild(button);
+            });
+
+            list.appendChild(item);
+        });
+
+        this.elements.queueCount.textContent = `${queueState.tracks.length} 首`;
+        this.elements.queueSection.style.display = queueState.tracks.length > 0 ? 'block' : 'none';
+
+        // 更新模式按钮
+        this.elements.shuffleBtn.classList.toggle('active', queueState.shuffle);
+        this.elements.repeatBtn.classList.toggle('active', queueState.repeatMode !== 'none');
+        this.elements.repeatBtn.textContent = queueState.repeatMode === 'one' ? '🔂' : '🔁';
+        this.elements.repeatBtn.title = {
+            none: '不循环',
+            all: '列表循环',
+            one: '单曲循环'
+        }[queueState.repeatMode];
+    }
+
     // 重置播放器状态
     resetPlayerState() {
         // 停止当前播放
@@ -255,52 +769,490 @@ class AudioVibrateApp {
             this.pause();
         }
         
-        // 重置进度条
-        this.elements.progressFill.style.width = '0%';
-        this.elements.progressHandle.style.left = '0%';
+        // 重置进度条
+        this.seekBar.reset();
+        
+        // 重置时间显示
+        this.elements.trackDuration.textContent = '00:00 / 00:00';
+        
+        // 重置播放按钮
+        this.elements.playPauseBtn.innerHTML = '<span class="play-icon">▶️</span>';
+        
+        // 重置音频分析器的单曲状态（实时输入不受切换曲目影响）
+        // 媒体元素只能创建一次MediaElementSource，因此保留分析器而不是重建
+        if (this.audioAnalyzer && !this.audioAnalyzer.isLiveInput()) {
+            this.audioAnalyzer.reset();
+        }
+        
+        // 停止可视化并清除上一首的节拍和振动记录
+        if (this.visualizer && this.state.inputMode === 'file') {
+            this.visualizer.stop();
+            this.visualizer.reset();
+        }
+        
+        // 停止分析循环
+        this.stopAnalysisLoop();
+        
+        // 丢弃上一首的节拍图
+        if (this.beatMapAnalyzer) {
+            this.beatMapAnalyzer.cancel();
+        }
+        this.state.beatMap = null;
+        this.vibrationController.clearBeatMap();
+        this.renderSectionMarkers();
+        
+        // 上一首的响度不再适用
+        this.applyLoudness(null);
+        
+        // 振动轨只对应上一首音频
+        this.closeHapticEditor(false);
+        this.state.currentFileHash = null;
+        this.state.hapticRecording = null;
+        this.clearHapticTrack();
+        
+        // 重置状态
+        this.state.isPlaying = false;
+        
+        console.log('Player state reset');
+    }
+
+    // 读取并解码曲目一次，波形进度条、响度测量和整曲预分析共用解码结果（不重复解码，节省移动端内存）
+    async analyzeTrack(file) {
+        if (!this.beatMapAnalyzer) return;
+        
+        if (this.state.preAnalysisEnabled) {
+            this.elements.beatInfo.textContent = '预分析中...';
+        }
+        
+        try {
+            const arrayBuffer = await readFileAsArrayBuffer(file);
+            
+            // 解码会转移ArrayBuffer，先查找ReplayGain标签
+            let loudness = this.loudnessMeter.readTagLoudness(arrayBuffer);
+            if (loudness) {
+                this.applyTrackLoudness(file, loudness);
+            }
+            
+            // 波形概览不依赖整曲预分析，关闭预分析时也显示
+            const audioBuffer = await decodeAudioFile(arrayBuffer, this.beatMapAnalyzer.config.sampleRate);
+            if (file !== this.state.currentFile) return;
+            this.seekBar.loadAudio(audioBuffer);
+            
+            if (!loudness) {
+                loudness = this.loudnessMeter.analyzeBuffer(audioBuffer);
+                this.applyTrackLoudness(file, loudness);
+            }
+            
+            await this.preAnalyzeTrack(file, audioBuffer);
+        } catch (error) {
+            console.warn('Failed to analyze track:', error);
+            if (file === this.state.currentFile && !this.state.beatMap) {
+                this.elements.beatInfo.textContent = '未检测';
+            }
+        }
+    }
+
+    // 整曲预分析节拍图（没有解码结果时重新读取并解码文件）
+    async preAnalyzeTrack(file, audioBuffer = null) {
+        if (!this.beatMapAnalyzer || !this.state.preAnalysisEnabled) return;
+        
+        this.elements.beatInfo.textContent = '预分析中...';
+        
+        try {
+            if (!audioBuffer) {
+                const arrayBuffer = await readFileAsArrayBuffer(file);
+                audioBuffer = await decodeAudioFile(arrayBuffer, this.beatMapAnalyzer.config.sampleRate);
+            }
+            const beatMap = await this.beatMapAnalyzer.analyzeBuffer(audioBuffer);
+            
+            // 分析期间已切换文件则丢弃结果
+            if (!beatMap || file !== this.state.currentFile) return;
+            
+            this.state.beatMap = beatMap;
+            this.seekBar.loadBeats(beatMap.beats);
+            this.syncVibrationTimelines();
+            
+            this.elements.beatInfo.textContent = beatMap.bpm > 0
+                ? `${beatMap.bpm} BPM${beatMap.meter ? ` · ${beatMap.meter}` : ''}`
+                : '未检测';
+            console.log(`Beat map ready: ${beatMap.beats.length} beats, ${beatMap.bpm} BPM`);
+            
+        } catch (error) {
+            console.warn('Failed to pre-analyze track:', error);
+            this.elements.beatInfo.textContent = '未检测';
+        }
+    }
+
+    // 应用测得的整曲响度（优先使用ReplayGain标签），用于标准化分析和播放音量
+    applyTrackLoudness(file, loudness) {
+        // 测量期间已切换文件则丢弃结果
+        if (file !== this.state.currentFile) return;
+        
+        this.applyLoudness(loudness);
+        console.log(`Track loudness: ${loudness.integrated.toFixed(1)} LUFS (${loudness.source})`);
+    }
+
+    // 应用当前曲目的响度（分析器尚未创建时在创建后应用）
+    applyLoudness(loudness) {
+        this.state.loudness = loudness;
+        if (this.audioAnalyzer) {
+            this.audioAnalyzer.setLoudness(loudness);
+        }
+    }
+
+    // 切换整曲预分析模式
+    togglePreAnalysis(enabled) {
+        this.state.preAnalysisEnabled = enabled;
+        
+        if (!enabled || this.state.beatMap) {
+            this.syncVibrationTimelines();
+        } else if (this.state.currentFile) {
+            this.preAnalyzeTrack(this.state.currentFile);
+        }
+    }
+
+    // 将当前音频的节拍图和振动轨同步到振动控制器（实时输入时不使用）
+    syncVibrationTimelines() {
+        const useTimelines = this.state.inputMode === 'file';
+        
+        this.vibrationController.loadHapticTrack(useTimelines ? this.state.hapticTrack : null);
+        this.vibrationController.loadBeatMap(
+            useTimelines && this.state.preAnalysisEnabled ? this.state.beatMap : null
+        );
+        this.renderSectionMarkers();
+    }
+
+    // 在进度条上绘制段落边界，点击标记跳到该段落开头
+    renderSectionMarkers() {
+        const container = this.elements.sectionMarkers;
+        const sections = this.vibrationController.sections;
+        const duration = this.state.beatMap ? this.state.beatMap.duration : 0;
+        container.innerHTML = '';
+        
+        if (!sections || !(duration > 0)) return;
+        
+        sections.forEach(section => {
+            const marker = document.createElement('div');
+            marker.className = 'section-marker';
+            marker.title = `${StructureAnalyzer.labels[section.type] || section.type} ${formatTime(section.start)}`;
+            marker.dataset.type = section.type;
+            marker.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.audioPlayer.seek(section.start);
+            });
+            container.appendChild(marker);
+        });
+        
+        this.positionSectionMarkers();
+        this.highlightSectionMarker(this.vibrationController.currentSection);
+    }
+
+    // 按进度条的可视范围（缩放后只显示部分曲目）定位段落标记
+    positionSectionMarkers() {
+        const sections = this.vibrationController.sections || [];
+        Array.from(this.elements.sectionMarkers.children).forEach((marker, i) => {
+            const section = sections[i];
+            if (!section) return;
+            
+            const left = Math.max(0, this.seekBar.timeToFraction(section.start));
+            const right = Math.min(1, this.seekBar.timeToFraction(section.end));
+            marker.style.display = right > left ? '' : 'none';
+            marker.style.left = `${left * 100}%`;
+            marker.style.width = `${(right - left) * 100}%`;
+        });
+    }
+
+    // 高亮当前段落
+    highlightSectionMarker(section) {
+        const sections = this.vibrationController.sections || [];
+        const index = sections.indexOf(section);
+        Array.from(this.elements.sectionMarkers.children).forEach((marker, i) => {
+            marker.classList.toggle('active', i === index);
+        });
+    }
+
+    // 跳到上一个/下一个段落（offset为-1或1）；当前段落已播放超过2秒时“上一个”回到本段开头
+    jumpToSection(offset) {
+        const sections = this.vibrationController.sections;
+        if (!sections) return;
+        
+        const currentTime = this.elements.audioElement.currentTime;
+        let index = sections.findIndex(section => currentTime >= section.start && currentTime < section.end);
+        if (index === -1) index = sections.length - 1;
+        
+        if (offset < 0 && currentTime - sections[index].start > 2) {
+            offset = 0;
+        }
+        
+        const target = sections[Math.max(0, Math.min(sections.length - 1, index + offset))];
+        this.audioPlayer.seek(target.start);
+    }
+
+    // 记录已触发的振动事件
+    recordHapticEvent(event) {
+        // 回放振动轨或实时输入时不记录
+        if (!this.state.hapticRecording || this.state.hapticTrack || this.state.inputMode !== 'file') return;
+        
+        const mediaTime = event.mediaTime !== undefined ? event.mediaTime : this.elements.audioElement.currentTime;
+        this.state.hapticRecording.addEvent(mediaTime, event.pattern, {
+            intensity: event.intensity,
+            sustain: event.sustain
+        });
+    }
+
+    // 获取当前音频的来源信息
+    async getCurrentSourceInfo() {
+        const file = this.state.currentFile;
+        
+        if (!this.state.currentFileHash) {
+            this.state.currentFileHash = await computeFileHash(file);
+        }
+        
+        return {
+            name: file.name,
+            duration: this.elements.audioElement.duration,
+            hash: this.state.currentFileHash
+        };
+    }
+
+    // 导出振动轨
+    async exportHapticTrack() {
+        const track = this.state.hapticTrack || this.state.hapticRecording;
+        
+        if (!track || track.events.length === 0) {
+            showError('当前没有可导出的振动时间线，请先开启振动播放音乐');
+            return;
+        }
+        
+        try {
+            track.source = await this.getCurrentSourceInfo();
+            
+            const baseName = this.state.currentFile.name.replace(/\.[^.]+$/, '');
+            downloadJSON(track.toJSON(), `${baseName}.haptic.json`);
+            
+            showSuccess(`已导出 ${track.events.length} 个振动事件`);
+        } catch (error) {
+            console.error('Failed to export haptic track:', error);
+            showError('振动轨导出失败');
+        }
+    }
+
+    // 导入振动轨
+    async importHapticTrack(file) {
+        if (!file) return;
+        
+        if (!this.state.currentFile) {
+            showError('请先加载对应的音频文件');
+            return;
+        }
+        
+        try {
+            const data = await readJSONFile(file);
+            const sourceInfo = await this.getCurrentSourceInfo();
+            const track = HapticTrack.fromJSON(data, sourceInfo);
+            
+            if (!track.matchesHash(sourceInfo.hash)) {
+                console.warn('Haptic track hash does not match current audio file');
+            }
+            
+            this.state.hapticTrack = track;
+            this.syncVibrationTimelines();
+            this.updateHapticTrackInfo();
+            
+            showSuccess(`振动轨加载成功（${track.events.length} 个事件）`);
+        } catch (error) {
+            console.error('Failed to import haptic track:', error);
+            showError(error.message || '振动轨导入失败');
+        }
+    }
+
+    // 清除已加载的振动轨
+    clearHapticTrack() {
+        this.state.hapticTrack = null;
+        this.vibrationController.clearHapticTrack();
+        this.updateHapticTrackInfo();
+    }
+
+    // 更新振动轨状态显示
+    updateHapticTrackInfo() {
+        const track = this.state.hapticTrack;
+        
+        if (track) {
+            this.elements.hapticTrackInfo.textContent = `回放中（${track.events.length} 个事件）`;
+            this.elements.clearTrackBtn.style.display = '';
+        } else {
+            this.elements.hapticTrackInfo.textContent = '实时生成';
+            this.elements.clearTrackBtn.style.display = 'none';
+        }
+    }
+
+    // 打开振动轨编辑器，编辑当前振动轨的副本（没有时编辑已录制的时间线，都没有时由节拍生成）
+    openHapticEditor() {
+        if (!this.state.currentFile || this.state.inputMode !== 'file') {
+            showError('请先加载音频文件');
+            return;
+        }
+        
+        if (!this.state.beatMap) {
+            showError(this.state.preAnalysisEnabled
+                ? '整曲预分析尚未完成，请稍后再打开编辑器'
+                : '编辑器需要整曲预分析，请先开启整曲预分析');
+            return;
+        }
+        
+        const source = this.state.hapticTrack || this.state.hapticRecording;
+        const track = source && source.events.length > 0
+            ? HapticTrack.fromJSON(source.toJSON())
+            : new HapticTrack({ name: this.state.currentFile.name, duration: this.state.beatMap.duration });
+        
+        // 关闭时不保存则恢复打开前的振动轨
+        this.editorBaseTrack = this.state.hapticTrack;
         
-        // 重置时间显示
-        this.elements.trackDuration.textContent = '00:00 / 00:00';
+        this.hapticEditor.load(track, this.state.beatMap);
+        if (track.events.length === 0) {
+            this.hapticEditor.generateFromBeats();
+        }
         
-        // 重置播放按钮
-        this.elements.playPauseBtn.innerHTML = '<span class="play-icon">▶️</span>';
+        this.elements.editorSection.style.display = 'block';
+        this.elements.editorSection.classList.add('fade-in');
+        this.hapticEditor.resize();
+        this.hapticEditor.start();
+        this.elements.editorSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    // 关闭振动轨编辑器，apply为true时使用编辑后的振动轨
+    closeHapticEditor(apply) {
+        if (!this.hapticEditor || !this.hapticEditor.track) return;
         
-        // 清理音频分析器
-        if (this.audioAnalyzer) {
-            this.audioAnalyzer.cleanup();
-            this.audioAnalyzer = null;
+        if (apply) {
+            this.applyEditedTrack();
+            showSuccess(`振动轨已更新（${this.hapticEditor.track.events.length} 个事件）`);
+        } else if (this.state.hapticTrack === this.hapticEditor.track) {
+            // 丢弃预览过的修改
+            this.state.hapticTrack = this.editorBaseTrack;
+            this.syncVibrationTimelines();
+            this.updateHapticTrackInfo();
         }
         
-        // 停止可视化
-        if (this.visualizer) {
-            this.visualizer.stop();
+        this.hapticEditor.stop();
+        this.hapticEditor.track = null;
+        this.editorBaseTrack = null;
+        this.elements.editorSection.style.display = 'none';
+    }
+
+    // 用编辑中的振动轨回放振动
+    applyEditedTrack() {
+        this.state.hapticTrack = this.hapticEditor.track;
+        this.syncVibrationTimelines();
+        this.updateHapticTrackInfo();
+    }
+
+    // 从选中事件前1秒（或当前可视范围起点）开始预览编辑结果
+    async previewHapticEdit() {
+        const selected = this.hapticEditor.selected;
+        const start = selected ? selected.time - 1 : this.hapticEditor.view.start;
+        
+        this.applyEditedTrack();
+        this.audioPlayer.seek(Math.max(0, start));
+        
+        if (!this.state.isPlaying) {
+            await this.play();
+        }
+    }
+
+    // 编辑后若正在预览则立即生效（重新加载后振动控制器从当前位置继续）
+    onHapticEdit() {
+        if (this.state.hapticTrack === this.hapticEditor.track) {
+            this.vibrationController.loadHapticTrack(this.hapticEditor.track);
+            this.updateHapticTrackInfo();
+        }
+    }
+
+    // 按选中的事件更新编辑器工具栏
+    updateEditorSelection(event) {
+        this.elements.editorDeleteBtn.disabled = !event;
+        this.elements.editorIntensitySlider.disabled = !event;
+        if (event) {
+            const intensity = event.intensity !== undefined ? event.intensity : 1;
+            this.elements.editorIntensitySlider.value = Math.round(intensity * 100);
         }
+    }
+
+    // 按分类生成振动预设选项
+    renderPresetOptions() {
+        const select = this.elements.presetSelect;
+        select.innerHTML = '';
         
-        // 停止分析循环
-        this.stopAnalysisLoop();
+        this.presetLibrary.getByCategory().forEach(group => {
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = group.label;
+            group.presets.forEach(preset => {
+                const option = document.createElement('option');
+                option.value = preset.id;
+                option.textContent = preset.name;
+                optgroup.appendChild(option);
+            });
+            select.appendChild(optgroup);
+        });
         
-        // 重置状态
-        this.state.isPlaying = false;
+        select.value = this.vibrationController.config.preset;
+    }
+
+    // 显示所选预设的说明，只有用户预设可以删除
+    updatePresetInfo() {
+        const preset = this.presetLibrary.get(this.elements.presetSelect.value);
         
-        console.log('Player state reset');
+        this.elements.presetDescription.textContent = preset ? preset.description : '';
+        this.elements.deletePresetBtn.style.display = preset && !preset.builtin ? '' : 'none';
     }
 
-    // 加载音频文件
-    async loadAudioFile(file) {
-        return new Promise((resolve, reject) => {
-            const url = URL.createObjectURL(file);
-            
-            this.elements.audioElement.src = url;
-            this.elements.audioElement.load();
+    // 用当前预设的测试模式试振（振动未开启时也可以试振）
+    testPreset() {
+        const result = this.vibrationController.testVibration();
+        if (!result.success) {
+            showError(result.message);
+        }
+    }
+
+    // 导出当前预设
+    exportPreset() {
+        const preset = this.presetLibrary.get(this.elements.presetSelect.value);
+        if (!preset) return;
+        
+        downloadJSON(this.presetLibrary.exportPresets([preset.id]), `${preset.id}.vibration-preset.json`);
+        showSuccess(`已导出预设“${preset.name}”`);
+    }
+
+    // 导入预设文件，导入后选中第一个预设
+    async importPresets(file) {
+        if (!file) return;
+        
+        try {
+            const data = await readJSONFile(file);
+            const presets = this.presetLibrary.importPresets(data);
             
-            this.elements.audioElement.onloadedmetadata = () => {
-                resolve();
-            };
+            this.renderPresetOptions();
+            this.elements.presetSelect.value = presets[0].id;
+            this.updateSetting('vibration', { preset: presets[0].id });
+            this.updatePresetInfo();
             
-            this.elements.audioElement.onerror = () => {
-                reject(new Error('Failed to load audio file'));
-            };
-        });
+            showSuccess(`已导入 ${presets.length} 个振动预设`);
+        } catch (error) {
+            console.error('Failed to import presets:', error);
+            showError(error.message || '振动预设导入失败');
+        }
+    }
+
+    // 删除当前选中的用户预设，回到默认预设
+    deletePreset() {
+        const preset = this.presetLibrary.get(this.elements.presetSelect.value);
+        if (!preset || !this.presetLibrary.remove(preset.id)) return;
+        
+        this.updateSetting('vibration', { preset: 'default' });
+        this.renderPresetOptions();
+        this.updatePresetInfo();
+        
+        showSuccess(`已删除预设“${preset.name}”`);
     }
 
     // 音频加载完成事件
@@ -310,16 +1262,23 @@ class AudioVibrateApp {
             this.elements.playerSection.style.display = 'block';
             this.elements.playerSection.classList.add('fade-in');
             
-            // 显示振动控制界面
-            if (this.state.deviceCapabilities.vibration) {
-                this.elements.vibrationSection.style.display = 'block';
-                this.elements.vibrationSection.classList.add('fade-in');
-            }
+            // 进度条画布在播放器显示后才有宽度
+            this.seekBar.resize();
+            this.seekBar.setDuration(this.elements.audioElement.duration);
+            
+            // 显示振动控制界面（不支持振动的设备显示振动预览）
+            this.elements.vibrationSection.style.display = 'block';
+            this.elements.vibrationSection.classList.add('fade-in');
+            
+            this.updateOutputControls();
             
             // 显示可视化界面
             this.elements.visualizationSection.style.display = 'block';
             this.elements.visualizationSection.classList.add('fade-in');
             
+            // 显示设置界面
+            this.elements.settingsSection.style.display = 'block';
+            
             // 更新时长显示
             const duration = this.elements.audioElement.duration;
             this.elements.trackDuration.textContent = `00:00 / ${formatTime(duration)}`;
@@ -341,10 +1300,10 @@ class AudioVibrateApp {
         const duration = this.elements.audioElement.duration;
         
         if (duration > 0) {
-            // 更新进度条
-            const progress = (currentTime / duration) * 100;
-            this.elements.progressFill.style.width = `${progress}%`;
-            this.elements.progressHandle.style.left = `${progress}%`;
+            // 更新进度条（播放时由进度条自己的动画循环绘制）
+            if (!this.seekBar.isRunning) {
+                this.seekBar.draw();
+            }
             
             // 更新时间显示
             this.elements.trackDuration.textContent = 
@@ -357,7 +1316,24 @@ class AudioVibrateApp {
 
     // 更新音频分析
     updateAudioAnalysis() {
-        if (!this.audioAnalyzer || !this.state.isPlaying) return;
+        if (!this.isAnalysisActive()) return;
+        
+        // 振动轨与节拍图调度基于播放位置，不依赖实时分析器
+        if (this.state.isPlaying && this.state.vibrationEnabled && this.vibrationController) {
+            // 使用正在被听到的位置（已扣除输出延迟）
+            const mediaTime = this.audioClock.getMediaTime();
+            this.vibrationController.updateSection(mediaTime);
+            
+            if (this.vibrationController.hapticTrack) {
+                this.vibrationController.enable();
+                this.vibrationController.processHapticTrack(mediaTime);
+            } else if (this.vibrationController.beatMap) {
+                this.vibrationController.enable();
+                this.vibrationController.processBeatMap(mediaTime);
+            }
+        }
+        
+        if (!this.audioAnalyzer) return;
         
         try {
             // 获取音频分析数据
@@ -367,7 +1343,7 @@ class AudioVibrateApp {
             
             // 更新振动信息显示
             if (analysisData.beat && analysisData.beat.detected) {
-                this.elements.beatInfo.textContent = `${analysisData.beat.bpm} BPM`;
+                this.elements.beatInfo.textContent = this.formatBeatInfo(analysisData.beat);
             } else {
                 // this.elements.beatInfo.textContent = '0 BPM';
             }
@@ -403,24 +1379,165 @@ class AudioVibrateApp {
         }
     }
 
-    // 播放音频
-    async play() {
+    // 初始化音频分析器（如果还未初始化），返回是否可用
+    async ensureAudioAnalyzer() {
+        if (this.audioAnalyzer) return true;
+        if (!this.state.deviceCapabilities.webAudio) return false;
+        
         try {
-            // 初始化音频分析器（如果还未初始化）
-            if (this.state.deviceCapabilities.webAudio && !this.audioAnalyzer) {
-                try {
-                    this.audioAnalyzer = new AudioAnalyzer(this.elements.audioElement);
-                    await this.audioAnalyzer.init();
-                    
-                    // 连接可视化器
-                    this.visualizer.connect(this.audioAnalyzer);
-                    
-                    console.log('Audio analyzer initialized successfully');
-                } catch (analyzerError) {
-                    console.warn('Failed to initialize audio analyzer:', analyzerError);
-                    // 继续播放，但没有分析功能
+            const analyzer = new AudioAnalyzer(this.elements.audioElement, { clock: this.audioClock });
+            analyzer.updateConfig(this.settingsStore.get('analyzer'));
+            await analyzer.init();
+            analyzer.setLoudness(this.state.loudness);
+            
+            // 后台标签页中动画帧停止，改由音频线程的特征消息驱动分析和振动
+            analyzer.on('onFeatures', () => {
+                if (document.hidden && this.isAnalysisActive()) {
+                    this.updateAudioAnalysis();
                 }
+            });
+            
+            // 用户在浏览器中停止共享时回到本地文件模式
+            analyzer.on('onInputEnded', () => {
+                this.stopLiveInput();
+                showError('实时输入已停止');
+            });
+            
+            this.audioAnalyzer = analyzer;
+            
+            // 连接可视化器
+            this.visualizer.connect(this.audioAnalyzer);
+            
+            console.log('Audio analyzer initialized successfully');
+            return true;
+        } catch (analyzerError) {
+            console.warn('Failed to initialize audio analyzer:', analyzerError);
+            return false;
+        }
+    }
+
+    // 节拍信息文本：BPM，拍号估计可靠时附带小节和拍位置
+    formatBeatInfo(beat) {
+        const text = `${beat.bpm} BPM`;
+        if (!beat.beatInBar || beat.meterConfidence < this.vibrationController.config.downbeatConfidence) {
+            return text;
+        }
+        return `${text} · ${beat.meter} 第${beat.barIndex + 1}小节 第${beat.beatInBar}拍`;
+    }
+
+    // 是否需要运行分析循环（播放中或实时输入中）
+    isAnalysisActive() {
+        return this.state.isPlaying || this.state.inputMode !== 'file';
+    }
+
+    // 切换输入源
+    async setInputMode(mode) {
+        if (mode === this.state.inputMode) return;
+        
+        if (mode === 'file') {
+            this.stopLiveInput();
+            return;
+        }
+        
+        // 实时输入与播放器互斥
+        if (this.state.isPlaying) {
+            this.pause();
+        }
+        
+        if (!(await this.ensureAudioAnalyzer())) {
+            showError('当前浏览器不支持实时音频分析');
+            return;
+        }
+        
+        try {
+            await this.audioAnalyzer.startStream(mode);
+            await this.audioAnalyzer.resumeContext();
+        } catch (error) {
+            console.error('Failed to start live input:', error);
+            showError(this.getLiveInputErrorMessage(mode, error));
+            this.updateInputModeUI();
+            return;
+        }
+        
+        this.state.inputMode = mode;
+        
+        // 节拍图和振动轨对应播放器中的音频，实时输入时暂时卸载
+        this.syncVibrationTimelines();
+        
+        // 没有加载文件时也需要显示振动和可视化界面
+        this.elements.vibrationSection.style.display = 'block';
+        this.elements.visualizationSection.style.display = 'block';
+        this.elements.settingsSection.style.display = 'block';
+        this.updateOutputControls();
+        
+        this.startAnalysisLoop();
+        if (this.visualizer) {
+            this.visualizer.start();
+        }
+        
+        this.updateInputModeUI();
+        showSuccess(mode === 'microphone' ? '正在分析麦克风声音' : '正在分析标签页音频');
+    }
+
+    // 停止实时输入，回到本地文件模式
+    stopLiveInput() {
+        if (this.state.inputMode === 'file') return;
+        
+        if (this.audioAnalyzer) {
+            this.audioAnalyzer.stopStream();
+        }
+        
+        this.state.inputMode = 'file';
+        this.vibrationController.stopVibration();
+        
+        // 恢复当前音频的节拍图和振动轨
+        this.syncVibrationTimelines();
+        
+        if (!this.state.isPlaying) {
+            this.stopAnalysisLoop();
+            if (this.visualizer) {
+                this.visualizer.stop();
             }
+        }
+        
+        this.updateInputModeUI();
+    }
+
+    // 实时输入失败的提示
+    getLiveInputErrorMessage(mode, error) {
+        switch (error.name) {
+            case 'NotAllowedError':
+                return mode === 'microphone' ? '未获得麦克风权限' : '已取消共享';
+            case 'NotFoundError':
+                return '未找到麦克风设备';
+            case 'NoAudioTrackError':
+                return '共享内容不包含音频，请在共享时勾选“分享音频”';
+            case 'NotSupportedError':
+                return '当前浏览器不支持该输入方式';
+            default:
+                return '无法开启实时输入';
+        }
+    }
+
+    // 更新输入源选择器状态
+    updateInputModeUI() {
+        const supportedModes = ['file', ...AudioAnalyzer.getSupportedInputModes()];
+        
+        this.elements.inputModeSelector.querySelectorAll('[data-mode]').forEach(button => {
+            const mode = button.dataset.mode;
+            button.style.display = supportedModes.includes(mode) ? '' : 'none';
+            button.classList.toggle('active', mode === this.state.inputMode);
+        });
+    }
+
+    // 播放音频
+    async play() {
+        try {
+            // 播放本地文件时退出实时输入
+            this.stopLiveInput();
+            
+            // 初始化音频分析器（失败时继续播放，但没有分析功能）
+            await this.ensureAudioAnalyzer();
             
             // 恢复音频上下文（处理自动播放策略）
             if (this.audioAnalyzer) {
@@ -438,6 +1555,7 @@ class AudioVibrateApp {
             if (this.visualizer) {
                 this.visualizer.start();
             }
+            this.seekBar.start();
             
         } catch (error) {
             console.error('Failed to play audio:', error);
@@ -458,6 +1576,11 @@ class AudioVibrateApp {
         this.elements.audioElement.pause();
         this.state.isPlaying = false;
         this.elements.playPauseBtn.innerHTML = '<span class="play-icon">▶️</span>';
+        this.seekBar.stop();
+        this.seekBar.draw();
+        
+        // 实时输入时继续分析
+        if (this.isAnalysisActive()) return;
         
         // 停止音频分析循环
         this.stopAnalysisLoop();
@@ -473,18 +1596,6 @@ class AudioVibrateApp {
         this.elements.audioElement.volume = Math.max(0, Math.min(1, volume));
     }
 
-    // 跳转到指定位置
-    seekTo(event) {
-        const rect = this.elements.progressBar.getBoundingClientRect();
-        const clickX = event.clientX - rect.left;
-        const progress = clickX / rect.width;
-        const duration = this.elements.audioElement.duration;
-        
-        if (duration > 0) {
-            this.elements.audioElement.currentTime = progress * duration;
-        }
-    }
-
     // 切换振动功能
     toggleVibration(enabled) {
         this.state.vibrationEnabled = enabled;
@@ -496,6 +1607,100 @@ class AudioVibrateApp {
             this.elements.statusIndicator.textContent = '⚪';
             this.elements.statusText.textContent = '振动已关闭';
         }
+
+        this.updateHapticLimitStatus();
+    }
+
+    // 在振动状态区显示功耗调节器的当前强度等级和安全限制状态
+    updateHapticLimitStatus() {
+        const element = this.elements.statusLevel;
+        if (!element || !this.vibrationController) return;
+
+        const state = this.vibrationController.governor.getState();
+        const safety = this.vibrationController.safety.getState();
+        const details = [];
+        if (safety.profile === 'gentle') {
+            details.push('轻柔模式');
+        }
+        if (state.battery) {
+            details.push(`电量${Math.round(state.battery.level * 100)}%${state.battery.charging ? '充电中' : ''}`);
+        }
+        if (state.reasons.includes('duty')) {
+            details.push('振动过密');
+        }
+        if (safety.cooling) {
+            details.push(safety.reason === 'continuous' ? '连续振动过长，马达休息中' : '振动过多，马达休息中');
+        }
+
+        element.textContent = details.length > 0 ? `${state.level}（${details.join('，')}）` : state.level;
+        element.dataset.step = safety.cooling ? HAPTIC_GOVERNOR_STEPS.length - 1 : state.step;
+        element.style.display = this.state.vibrationEnabled ? 'inline' : 'none';
+    }
+
+    // 启用或停用某个振动输出后端
+    async setOutputBackend(type, enabled) {
+        const controller = this.vibrationController;
+        
+        if (!enabled) {
+            controller.removeBackend(type);
+            this.updateOutputControls();
+            return;
+        }
+        
+        const url = this.elements.websocketUrlInput.value.trim();
+        if (type === 'websocket' && !/^wss?:\/\//.test(url)) {
+            showError('请输入以 ws:// 或 wss:// 开头的外部设备地址');
+            this.updateOutputControls();
+            return;
+        }
+        
+        try {
+            if (type === 'preview') {
+                controller.addBackend(type, this.hapticPreview);
+            } else if (type === 'webhid') {
+                const backend = new WebHidBackend();
+                await backend.connect();
+                controller.addBackend(type, backend);
+                showSuccess('已连接HID振动设备');
+            } else if (type === 'websocket') {
+                const backend = new WebSocketBackend(url);
+                await backend.connect();
+                controller.addBackend(type, backend);
+                showSuccess('已连接外部振动设备');
+            } else {
+                const backend = HapticBackend.create(type);
+                controller.addBackend(type, backend);
+                
+                if (type === 'gamepad' && !backend.getActuator()) {
+                    showSuccess('请按一下手柄按键以完成连接');
+                }
+            }
+        } catch (error) {
+            console.error('Failed to enable haptic backend:', error);
+            const messages = { webhid: '无法连接HID振动设备', websocket: '无法连接外部振动设备' };
+            showError(messages[type] || '振动输出启用失败');
+        }
+        
+        this.updateOutputControls();
+    }
+
+    // 根据当前启用的输出后端刷新界面
+    updateOutputControls() {
+        const controller = this.vibrationController;
+        
+        this.elements.hapticOutputs.querySelectorAll('input[data-backend]').forEach(input => {
+            const type = input.dataset.backend;
+            const BackendClass = HapticBackend.types[type];
+            
+            input.closest('label').style.display = BackendClass && BackendClass.isAvailable() ? '' : 'none';
+            input.checked = controller.hasBackend(type);
+        });
+        
+        const previewActive = controller.hasBackend('preview');
+        this.elements.hapticPreview.style.display = previewActive ? 'block' : 'none';
+        if (previewActive) {
+            this.hapticPreview.setupCanvas();
+        }
     }
 
     // 开始音频分析循环
@@ -503,7 +1708,7 @@ class AudioVibrateApp {
         if (this.analysisLoopId) return;
         
         const loop = () => {
-            if (this.state.isPlaying) {
+            if (this.isAnalysisActive()) {
                 this.updateAudioAnalysis();
                 this.analysisLoopId = requestAnimationFrame(loop);
             }
@@ -521,14 +1726,17 @@ class AudioVibrateApp {
     }
 
     // 音频播放结束事件
-    onAudioEnded() {
+    async onAudioEnded() {
         this.state.isPlaying = false;
         this.elements.playPauseBtn.innerHTML = '<span class="play-icon">▶️</span>';
         this.stopAnalysisLoop();
         
-        // 重置进度条
-        this.elements.progressFill.style.width = '0%';
-        this.elements.progressHandle.style.left = '0%';
+        // 停止进度条动画（播放头停在结尾）
+        this.seekBar.stop();
+        this.seekBar.draw();
+        
+        // 自动播放队列中的下一首
+        await this.playNext(true);
     }
 
     // 音频错误事件
@@ -542,6 +1750,15 @@ class AudioVibrateApp {
     handleKeyboard(event) {
         if (event.target.tagName === 'INPUT') return;
         
+        // 校准时空格键用于跟拍点击
+        if (this.latencyCalibrator && this.latencyCalibrator.isRunning()) {
+            if (event.code === 'Space' && !event.repeat) {
+                event.preventDefault();
+                this.tapCalibration(event.timeStamp);
+            }
+            return;
+        }
+        
         switch (event.code) {
             case 'Space':
                 event.preventDefault();
@@ -555,6 +1772,14 @@ class AudioVibrateApp {
                 event.preventDefault();
                 this.elements.audioElement.currentTime += 10;
                 break;
+            case 'PageUp':
+                event.preventDefault();
+                this.jumpToSection(-1);
+                break;
+            case 'PageDown':
+                event.preventDefault();
+                this.jumpToSection(1);
+                break;
         }
     }
 
@@ -574,7 +1799,7 @@ class AudioVibrateApp {
         if (capabilities.vibration) {
             supportText += '✅ 振动功能 ';
         } else {
-            supportText += '❌ 振动功能 ';
+            supportText += '👁️ 振动预览 ';
         }
         
         if (capabilities.fileAPI) {
@@ -622,9 +1847,6 @@ class AudioVibrateApp {
             }
         });
 
-        // 移动端进度条触摸优化
-        this.setupMobileProgressBar();
-
         // 移动端音量控制优化
         this.setupMobileVolumeControl();
 
@@ -639,6 +1861,14 @@ class AudioVibrateApp {
             this.visualizer.resize();
         }
 
+        if (this.hapticPreview) {
+            this.hapticPreview.setupCanvas();
+        }
+
+        if (this.seekBar) {
+            this.seekBar.resize();
+        }
+
         // 重新计算布局
         setTimeout(() => {
             window.scrollTo(0, 0);
@@ -668,45 +1898,6 @@ class AudioVibrateApp {
         }
     }
 
-    // 移动端进度条优化
-    setupMobileProgressBar() {
-        const progressBar = this.elements.progressBar;
-        let isDragging = false;
-
-        // 触摸开始
-        progressBar.addEventListener('touchstart', (e) => {
-            isDragging = true;
-            e.preventDefault();
-            this.handleProgressTouch(e);
-        });
-
-        // 触摸移动
-        progressBar.addEventListener('touchmove', (e) => {
-            if (isDragging) {
-                e.preventDefault();
-                this.handleProgressTouch(e);
-            }
-        });
-
-        // 触摸结束
-        progressBar.addEventListener('touchend', () => {
-            isDragging = false;
-        });
-    }
-
-    // 处理进度条触摸
-    handleProgressTouch(event) {
-        const rect = this.elements.progressBar.getBoundingClientRect();
-        const touch = event.touches[0];
-        const clickX = touch.clientX - rect.left;
-        const progress = Math.max(0, Math.min(1, clickX / rect.width));
-        const duration = this.elements.audioElement.duration;
-        
-        if (duration > 0) {
-            this.elements.audioElement.currentTime = progress * duration;
-        }
-    }
-
     // 移动端音量控制优化
     setupMobileVolumeControl() {
         const volumeSlider = this.elements.volumeSlider;
@@ -728,6 +1919,8 @@ class AudioVibrateApp {
     addTouchFeedback() {
         const touchElements = [
             this.elements.playPauseBtn,
+            this.elements.prevBtn,
+            this.elements.nextBtn,
             this.elements.vibrationToggle.parentElement,
             this.elements.uploadArea
         ];
@@ -749,33 +1942,314 @@ class AudioVibrateApp {
         });
     }
 
-    // 移动端性能优化
-    optimizeForMobile() {
-        if (!isMobileDevice()) return;
+    // 设置面板控件与设置项的对应关系
+    getSettingControls() {
+        return [
+            {
+                // 灵敏度0-100映射到节拍阈值2.0-1.1（越灵敏阈值越低）
+                element: this.elements.sensitivitySlider,
+                section: 'analyzer',
+                key: 'beatThreshold',
+                toInput: (value) => Math.round((2 - value) / 0.9 * 100),
+                fromInput: (value) => Math.round((2 - value / 100 * 0.9) * 100) / 100
+            },
+            {
+                element: this.elements.intensitySlider,
+                section: 'vibration',
+                key: 'intensityMultiplier',
+                toInput: (value) => value,
+                fromInput: (value) => parseFloat(value)
+            },
+            {
+                element: this.elements.thresholdSlider,
+                section: 'vibration',
+                key: 'frequencyThreshold',
+                toInput: (value) => Math.round(value * 100),
+                fromInput: (value) => value / 100
+            },
+            {
+                // 已删除的用户预设回到默认预设
+                element: this.elements.presetSelect,
+                section: 'vibration',
+                key: 'preset',
+                toInput: (value) => (this.presetLibrary.get(value) ? value : 'default'),
+                fromInput: (value) => value
+            },
+            {
+                element: this.elements.motorProfileSelect,
+                section: 'vibration',
+                key: 'motorProfile',
+                toInput: (value) => value,
+                fromInput: (value) => value
+            },
+            {
+                element: this.elements.governorModeSelect,
+                section: 'vibration',
+                key: 'governorMode',
+                toInput: (value) => value,
+                fromInput: (value) => value
+            },
+            {
+                element: this.elements.comfortModeSelect,
+                section: 'vibration',
+                key: 'comfortMode',
+                toInput: (value) => value,
+                fromInput: (value) => value
+            },
+            {
+                element: this.elements.percussionModeSelect,
+                section: 'vibration',
+                key: 'percussionChannels',
+                toInput: (value) => (value ? 'percussion' : 'beat'),
+                fromInput: (value) => value === 'percussion'
+            },
+            {
+                element: this.elements.sectionDynamicsSelect,
+                section: 'vibration',
+                key: 'sectionDynamics',
+                toInput: (value) => (value ? 'on' : 'off'),
+                fromInput: (value) => value === 'on'
+            },
+            {
+                element: this.elements.fftSizeSelect,
+                section: 'analyzer',
+                key: 'fftSize',
+                toInput: (value) => String(value),
+                fromInput: (value) => parseInt(value, 10)
+            },
+            {
+                element: this.elements.analysisEngineSelect,
+                section: 'analyzer',
+                key: 'engine',
+                toInput: (value) => value,
+                fromInput: (value) => value
+            },
+            {
+                element: this.elements.onsetDetectorSelect,
+                section: 'analyzer',
+                key: 'onsetDetector',
+                toInput: (value) => value,
+                fromInput: (value) => value
+            },
+            {
+                element: this.elements.bandScaleSelect,
+                section: 'analyzer',
+                key: 'bandScale',
+                toInput: (value) => value,
+                fromInput: (value) => value
+            },
+            {
+                element: this.elements.bandCountSelect,
+                section: 'analyzer',
+                key: 'bandCount',
+                toInput: (value) => String(value),
+                fromInput: (value) => parseInt(value, 10)
+            },
+            {
+                element: this.elements.bandWeightingSelect,
+                section: 'analyzer',
+                key: 'bandWeighting',
+                toInput: (value) => value,
+                fromInput: (value) => value
+            },
+            {
+                element: this.elements.loudnessNormalizationSelect,
+                section: 'analyzer',
+                key: 'loudnessNormalization',
+                toInput: (value) => value,
+                fromInput: (value) => value
+            },
+            {
+                element: this.elements.visualizerStyleSelect,
+                section: 'visualizer',
+                key: 'style',
+                toInput: (value) => value,
+                fromInput: (value) => value
+            }
+        ];
+    }
 
-        // 降低分析频率以节省电量
-        if (this.audioAnalyzer) {
-            this.audioAnalyzer.updateConfig({
-                fftSize: 1024, // 降低FFT大小
-                smoothingTimeConstant: 0.9 // 增加平滑度
-            });
+    // 打开延迟校准（校准时暂停播放，避免干扰点击声）
+    openLatencyCalibration() {
+        if (this.state.isPlaying) {
+            this.pause();
         }
+        
+        this.calibrationResult = null;
+        this.elements.calibrationSaveBtn.disabled = true;
+        this.elements.calibrationProgressFill.style.width = '0';
+        this.elements.calibrationResult.textContent = this.formatLatencyProfile(this.latencyProfiles.load());
+        this.elements.calibrationSection.style.display = 'block';
+        this.elements.calibrationSection.classList.add('fade-in');
+        this.elements.calibrationSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
 
-        // 降低可视化帧率
-        if (this.visualizer) {
-            this.visualizer.updateConfig({
-                targetFPS: 30 // 降低到30FPS
-            });
+    // 关闭延迟校准（取消正在进行的校准）
+    closeLatencyCalibration() {
+        this.latencyCalibrator.cancel();
+        this.elements.calibrationSection.style.display = 'none';
+    }
+
+    // 依次校准音频和振动（没有真实振动输出、只有屏幕预览时只校准音频）
+    async startLatencyCalibration() {
+        const calibrator = this.latencyCalibrator;
+        if (calibrator.isRunning()) return;
+        
+        const { calibrationStep, calibrationPad, calibrationStartBtn, calibrationSaveBtn, calibrationResult } = this.elements;
+        this.calibrationResult = null;
+        calibrationSaveBtn.disabled = true;
+        calibrationStartBtn.disabled = true;
+        calibrationPad.disabled = false;
+        calibrationResult.textContent = '';
+        
+        try {
+            calibrationStep.textContent = '第1步：跟着点击声点击（前4拍用于找节奏，不计入结果）';
+            const audio = await calibrator.calibrateAudio();
+            
+            let haptic = null;
+            if (this.vibrationController.hasPhysicalOutput()) {
+                calibrationStep.textContent = '第2步：跟着振动点击（没有声音）';
+                haptic = await calibrator.calibrateHaptic();
+            }
+            
+            this.calibrationResult = {
+                audioOffset: audio.offset,
+                hapticLatency: haptic ? haptic.offset : null,
+                deviation: Math.max(audio.deviation, haptic ? haptic.deviation : 0),
+                calibratedAt: Date.now()
+            };
+            calibrationStep.textContent = '校准完成，保存后立即生效';
+            calibrationResult.textContent = this.formatLatencyProfile(this.calibrationResult);
+            calibrationSaveBtn.disabled = false;
+        } catch (error) {
+            console.warn('Latency calibration failed:', error);
+            calibrationStep.textContent = '校准未完成，可以重新开始';
+            calibrationResult.textContent = error.message;
+        } finally {
+            calibrationPad.disabled = true;
+            calibrationStartBtn.disabled = false;
+            calibrationStartBtn.textContent = '重新校准';
         }
+    }
 
-        // 优化振动参数
-        if (this.vibrationController) {
-            this.vibrationController.updateConfig({
-                minInterval: 100, // 增加最小间隔
-                maxDuration: 300  // 减少最大持续时间
-            });
+    // 记录一次跟拍点击
+    tapCalibration(time) {
+        if (!this.latencyCalibrator.isRunning()) return;
+        
+        this.latencyCalibrator.tap(time);
+        
+        const pad = this.elements.calibrationPad;
+        pad.classList.add('tapped');
+        setTimeout(() => pad.classList.remove('tapped'), 100);
+    }
+
+    // 更新校准进度条
+    updateCalibrationProgress({ beat, beats }) {
+        this.elements.calibrationProgressFill.style.width = `${Math.round(beat / beats * 100)}%`;
+    }
+
+    // 保存本设备的校准结果并立即生效
+    saveLatencyCalibration() {
+        if (!this.calibrationResult) return;
+        
+        this.latencyProfiles.save(this.calibrationResult);
+        this.applyLatencyProfile(this.calibrationResult);
+        this.elements.calibrationSaveBtn.disabled = true;
+        showSuccess('延迟校准已保存');
+    }
+
+    // 清除本设备的校准结果，恢复默认延迟
+    resetLatencyCalibration() {
+        this.latencyCalibrator.cancel();
+        this.latencyProfiles.remove();
+        this.applyLatencyProfile(null);
+        this.calibrationResult = null;
+        this.elements.calibrationSaveBtn.disabled = true;
+        this.elements.calibrationResult.textContent = this.formatLatencyProfile(null);
+        showSuccess('已清除延迟校准');
+    }
+
+    // 把校准结果应用到音频时钟和振动控制器（null表示未校准）
+    applyLatencyProfile(profile) {
+        this.audioClock.setCalibrationOffset(profile ? profile.audioOffset : 0);
+        
+        const hapticLatency = profile && profile.hapticLatency !== null
+            ? profile.hapticLatency
+            : this.vibrationController.defaultLatency;
+        this.vibrationController.updateConfig({ latencyCompensation: hapticLatency });
+    }
+
+    // 校准结果的说明文字
+    formatLatencyProfile(profile) {
+        if (!profile) {
+            return '本设备尚未校准，使用默认延迟';
+        }
+        
+        const parts = [`音频额外延迟 ${profile.audioOffset} ms`];
+        if (profile.hapticLatency !== null) {
+            parts.push(`振动延迟 ${profile.hapticLatency} ms`);
+        }
+        parts.push(`点击偏差 ±${profile.deviation} ms`);
+        return parts.join('，');
+    }
+
+    // 将保存的设置应用到各模块和界面
+    applySettings() {
+        const settings = this.settingsStore.settings;
+        const { enabled, preAnalysis, ...vibrationConfig } = settings.vibration;
+
+        // 播放器
+        this.setVolume(settings.player.volume);
+        this.elements.volumeSlider.value = Math.round(settings.player.volume * 100);
+
+        // 振动
+        this.vibrationController.updateConfig(vibrationConfig);
+        this.elements.vibrationToggle.checked = enabled;
+        this.toggleVibration(enabled);
+        this.elements.preAnalysisToggle.checked = preAnalysis;
+        this.togglePreAnalysis(preAnalysis);
+
+        // 分析器（未初始化时在首次播放创建后应用）
+        if (this.audioAnalyzer) {
+            this.audioAnalyzer.updateConfig(settings.analyzer);
+        }
+
+        // 可视化
+        this.visualizer.updateConfig(settings.visualizer);
+
+        // 同步设置面板
+        this.getSettingControls().forEach(control => {
+            control.element.value = control.toInput(settings[control.section][control.key]);
+        });
+        this.updatePresetInfo();
+    }
+
+    // 更新单项设置并立即生效
+    updateSetting(section, values) {
+        const updated = this.settingsStore.update(section, values);
+        if (!updated) return;
+
+        switch (section) {
+            case 'analyzer':
+                if (this.audioAnalyzer) {
+                    this.audioAnalyzer.updateConfig(values);
+                }
+                break;
+            case 'vibration':
+                this.vibrationController.updateConfig(values);
+                break;
+            case 'visualizer':
+                this.visualizer.updateConfig(values);
+                break;
         }
     }
+
+    // 恢复默认设置
+    resetSettings() {
+        this.settingsStore.reset();
+        this.applySettings();
+        showSuccess('已恢复默认设置');
+    }
 }
 
 // 应用实例
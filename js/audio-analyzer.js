@@ -4,40 +4,88 @@
  */
 
 class AudioAnalyzer {
-    constructor(audioElement) {
+    constructor(audioElement, options = {}) {
         this.audioElement = audioElement;
         this.audioContext = null;
+        
+        // 音频时钟：节拍时间以音频上下文时间为准，不受requestAnimationFrame节流影响
+        this.clock = options.clock || new AudioClock(audioElement);
+        
+        // 上一帧的时间线位置（用于检测跳转和变速）
+        this.timeline = { contextTime: 0, mediaTime: null, playbackRate: 1 };
+        
+        // 节拍网格跟踪（预测下一拍的时间）
+        this.tempoTracker = new TempoTracker();
+        
+        // 拍号与强拍跟踪（网格重新锁定后重置）
+        this.meterTracker = new MeterTracker();
+        this.meterEpoch = 0;
         this.analyserNode = null;
-        this.sourceNode = null;
+        this.sourceNode = null;   // <audio>元素音源
+        this.inputNode = null;    // 分析输入汇总节点（增益用于响度标准化）
+        this.playbackGainNode = null; // 播放音量标准化增益
+        
+        // 当前曲目的整曲响度（LoudnessMeter测量结果，未知时为null）
+        this.loudness = null;
         this.isInitialized = false;
         
+        // 实时输入（麦克风/标签页音频）
+        this.inputMode = 'element'; // 'element' | 'microphone' | 'tab'
+        this.stream = null;
+        this.streamSource = null;
+        
+        // 事件回调
+        this.callbacks = {
+            onInputEnded: [],
+            onFeatures: []
+        };
+        
         // 分析配置
         this.config = {
             fftSize: 2048,
             smoothingTimeConstant: 0.8,
             minDecibels: -90,
             maxDecibels: -10,
-            sampleRate: 44100
+            sampleRate: 44100,
+            beatThreshold: 1.3, // 节拍阈值（相对于近期检测函数中值，越低越灵敏）
+            onsetDetector: 'spectralFlux', // 起始点检测算法：energy / spectralFlux / hfc / complex / fusion
+            bandScale: 'mel',   // 多频段分析的频段刻度：linear / octave / mel / bark
+            bandCount: 8,       // 频段数
+            bandWeighting: 'none', // 频段电平计权：none / a（A计权）
+            engine: 'worklet',  // 分析引擎：'worklet'在音频线程逐块分析，'analyser'按动画帧轮询AnalyserNode
+            loudnessNormalization: 'analysis', // 响度标准化：'off'不调整，'analysis'只调整分析输入，'playback'同时调整播放音量
+            targetLoudness: -14,    // 标准化目标响度（LUFS）
+            maxNormalizationGain: 12 // 标准化增益上限（dB）
         };
         
+        // AudioWorklet分析引擎（不支持时为空，使用AnalyserNode轮询）
+        this.workletEngine = null;
+        
         // 分析数据缓冲区
         this.buffers = {
             frequencyData: null,
             timeData: null,
-            previousFrequencyData: null
+            levels: null,           // 当前帧0-1电平
+            previousLevels: null    // 上一帧0-1电平
         };
         
         // 节拍检测状态
         this.beatDetection = {
-            threshold: 1.3,
+            threshold: this.config.beatThreshold,
             minInterval: 300, // 最小节拍间隔（毫秒）
             lastBeatTime: 0,
-            energyHistory: [],
-            historySize: 43, // 约1秒的历史数据
-            variance: 0,
-            average: 0
+            historySize: 43 // 自适应阈值参考约1秒的历史数据
         };
         
+        // 起始点检测器（可按音乐类型选择算法）
+        this.onsetDetector = this.createOnsetDetector();
+        
+        // 打击乐分声部检测（踢鼓/军鼓/踩镲）
+        this.percussionDetector = new PercussionDetector({ historySize: this.beatDetection.historySize });
+        
+        // 多频段分析（结果在frequency.bands中）
+        this.bandAnalyzer = new BandAnalyzer(this.getBandConfig());
+        
         // 频率分析状态
         this.frequencyAnalysis = {
             bassRange: [20, 250],      // 低频范围
@@ -61,6 +109,7 @@ class AudioAnalyzer {
             }
             
             this.audioContext = new AudioContext();
+            this.clock.attachContext(this.audioContext);
             
             // 创建分析节点
             this.analyserNode = this.audioContext.createAnalyser();
@@ -69,16 +118,24 @@ class AudioAnalyzer {
             this.analyserNode.minDecibels = this.config.minDecibels;
             this.analyserNode.maxDecibels = this.config.maxDecibels;
             
-            // 创建音频源节点
-            this.sourceNode = this.audioContext.createMediaElementSource(this.audioElement);
+            // 分析输入节点：所有音源都汇入这里再送往分析节点，分析节点本身不连接扬声器
+            this.inputNode = this.audioContext.createGain();
+            this.inputNode.connect(this.analyserNode);
             
-            // 连接音频节点
-            this.sourceNode.connect(this.analyserNode);
-            this.analyserNode.connect(this.audioContext.destination);
+            // 创建音频源节点：播放器声音经标准化增益输出，同时送入分析
+            this.sourceNode = this.audioContext.createMediaElementSource(this.audioElement);
+            this.playbackGainNode = this.audioContext.createGain();
+            this.sourceNode.connect(this.playbackGainNode);
+            this.playbackGainNode.connect(this.audioContext.destination);
+            this.sourceNode.connect(this.inputNode);
+            this.applyNormalization();
             
             // 初始化数据缓冲区
             this.initBuffers();
             
+            // 启用AudioWorklet分析引擎
+            await this.setupEngine();
+            
             this.isInitialized = true;
             console.log('AudioAnalyzer initialized successfully');
             
@@ -88,12 +145,220 @@ class AudioAnalyzer {
         }
     }
 
+    // 切换到实时输入：'microphone'为麦克风，'tab'为标签页/系统音频
+    async startStream(mode) {
+        if (!this.isInitialized) {
+            throw new Error('AudioAnalyzer not initialized');
+        }
+        
+        const stream = await this.requestStream(mode);
+        
+        if (stream.getAudioTracks().length === 0) {
+            stream.getTracks().forEach(track => track.stop());
+            const error = new Error('Stream has no audio track');
+            error.name = 'NoAudioTrackError';
+            throw error;
+        }
+        
+        // 屏幕共享附带的视频轨不需要
+        stream.getVideoTracks().forEach(track => track.stop());
+        
+        // 切换实时输入时先释放旧的流；从播放器切换时断开播放器的分析连接
+        this.stopStream(false);
+        if (this.inputMode === 'element') {
+            this.sourceNode.disconnect(this.inputNode);
+        }
+        
+        // 实时输入只送入分析，不连接扬声器，避免麦克风啸叫
+        this.stream = stream;
+        this.streamSource = this.audioContext.createMediaStreamSource(stream);
+        this.streamSource.connect(this.inputNode);
+        this.inputMode = mode;
+        this.applyNormalization();
+        
+        // 用户在浏览器中停止共享或拔出麦克风
+        stream.getAudioTracks().forEach(track => {
+            track.addEventListener('ended', () => {
+                if (this.stream === stream) {
+                    this.stopStream();
+                    this.triggerCallbacks('onInputEnded', { mode });
+                }
+            });
+        });
+        
+        this.reset();
+        console.log('Live input started:', mode);
+    }
+
+    // 请求媒体流
+    async requestStream(mode) {
+        const mediaDevices = navigator.mediaDevices;
+        
+        // 关闭语音处理，保留音乐的原始动态
+        const audioConstraints = {
+            echoCancellation: false,
+            noiseSuppression: false,
+            autoGainControl: false
+        };
+        
+        if (mode === 'microphone' && mediaDevices && mediaDevices.getUserMedia) {
+            return mediaDevices.getUserMedia({ audio: audioConstraints });
+        }
+        
+        if (mode === 'tab' && mediaDevices && mediaDevices.getDisplayMedia) {
+            // 多数浏览器要求同时请求视频才允许共享音频
+            return mediaDevices.getDisplayMedia({ video: true, audio: audioConstraints });
+        }
+        
+        const error = new Error(`Input mode not supported: ${mode}`);
+        error.name = 'NotSupportedError';
+        throw error;
+    }
+
+    // 停止实时输入，恢复分析播放器声音
+    stopStream(restoreElement = true) {
+        if (this.streamSource) {
+            this.streamSource.disconnect();
+            this.streamSource = null;
+        }
+        
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        
+        if (restoreElement && this.inputMode !== 'element') {
+            this.sourceNode.connect(this.inputNode);
+            this.inputMode = 'element';
+            this.applyNormalization();
+            this.reset();
+            console.log('Live input stopped');
+        }
+    }
+
+    // 是否处于实时输入模式
+    isLiveInput() {
+        return this.inputMode !== 'element';
+    }
+
+    // 设置当前曲目的整曲响度（null表示未知），按目标响度调整分析与播放增益
+    setLoudness(loudness) {
+        this.loudness = loudness;
+        this.applyNormalization();
+    }
+
+    // 标准化增益（dB）：analysis为分析输入增益，playback为播放增益
+    getNormalizationGains() {
+        const mode = this.config.loudnessNormalization;
+        const gain = mode === 'off'
+            ? 0
+            : LoudnessMeter.getGain(this.loudness, this.config.targetLoudness, this.config.maxNormalizationGain);
+        
+        // 播放增益不能让峰值削波
+        let playback = mode === 'playback' ? gain : 0;
+        if (playback > 0 && this.loudness && this.loudness.peak > 0) {
+            playback = Math.min(playback, -20 * Math.log10(this.loudness.peak));
+        }
+        
+        return {
+            analysis: this.inputMode === 'element' ? gain : 0, // 实时输入没有整曲响度
+            playback
+        };
+    }
+
+    // 把标准化增益应用到音频图
+    applyNormalization() {
+        if (!this.audioContext || !this.inputNode || !this.playbackGainNode) return;
+        
+        const gains = this.getNormalizationGains();
+        const now = this.audioContext.currentTime;
+        this.inputNode.gain.setTargetAtTime(Math.pow(10, gains.analysis / 20), now, 0.05);
+        this.playbackGainNode.gain.setTargetAtTime(Math.pow(10, gains.playback / 20), now, 0.05);
+    }
+
+    // 检查浏览器支持的实时输入方式
+    static getSupportedInputModes() {
+        const mediaDevices = navigator.mediaDevices;
+        const modes = [];
+        
+        if (mediaDevices && mediaDevices.getUserMedia) {
+            modes.push('microphone');
+        }
+        if (mediaDevices && mediaDevices.getDisplayMedia) {
+            modes.push('tab');
+        }
+        
+        return modes;
+    }
+
+    // 按配置启用或停用AudioWorklet分析引擎，不支持时退回AnalyserNode轮询
+    async setupEngine() {
+        const useWorklet = this.config.engine === 'worklet' &&
+            WorkletAnalysisEngine.isSupported(this.audioContext);
+        
+        if (!useWorklet) {
+            if (this.workletEngine) {
+                this.workletEngine.cleanup();
+                this.workletEngine = null;
+            }
+            return;
+        }
+        
+        if (this.workletEngine) return;
+        
+        try {
+            const engine = new WorkletAnalysisEngine(this.audioContext, this.getEngineConfig());
+            await engine.init(this.inputNode);
+            
+            // 特征消息在后台标签页中也会到达
+            engine.on('onFeatures', (features) => {
+                this.triggerCallbacks('onFeatures', features);
+            });
+            
+            this.workletEngine = engine;
+        } catch (error) {
+            console.warn('AudioWorklet analysis unavailable, falling back to AnalyserNode:', error);
+        }
+    }
+
+    // 传给分析引擎的配置
+    getEngineConfig() {
+        return {
+            fftSize: this.config.fftSize,
+            minDecibels: this.config.minDecibels,
+            maxDecibels: this.config.maxDecibels,
+            onsetThreshold: this.config.beatThreshold,
+            minOnsetInterval: this.beatDetection.minInterval / 1000,
+            detector: this.config.onsetDetector,
+            bands: this.getBandConfig()
+        };
+    }
+
+    // 多频段分析配置
+    getBandConfig() {
+        return {
+            scale: this.config.bandScale,
+            bandCount: this.config.bandCount,
+            weighting: this.config.bandWeighting
+        };
+    }
+
+    // 按配置创建起始点检测器（未知算法退回频谱通量）
+    createOnsetDetector() {
+        const type = OnsetDetector.types[this.config.onsetDetector] ? this.config.onsetDetector : 'spectralFlux';
+        return OnsetDetector.create(type, {
+            historySize: this.beatDetection.historySize,
+            multiplier: this.config.beatThreshold
+        });
+    }
+
     // 初始化数据缓冲区
     initBuffers() {
         const bufferLength = this.analyserNode.frequencyBinCount;
         this.buffers.frequencyData = new Uint8Array(bufferLength);
         this.buffers.timeData = new Uint8Array(bufferLength);
-        this.buffers.previousFrequencyData = new Uint8Array(bufferLength);
+        this.buffers.levels = new Float32Array(bufferLength);
+        this.buffers.previousLevels = new Float32Array(bufferLength);
     }
 
     // 获取实时分析数据
@@ -101,28 +366,45 @@ class AudioAnalyzer {
         if (!this.isInitialized || !this.analyserNode) {
             return null;
         }
+        
+        if (this.workletEngine) {
+            return this.getWorkletAnalysisData();
+        }
 
         try {
             // 获取频谱和时域数据
             this.analyserNode.getByteFrequencyData(this.buffers.frequencyData);
             this.analyserNode.getByteTimeDomainData(this.buffers.timeData);
             
+            // 当前分析数据对应的音频时间
+            const contextTime = this.clock.getContextTime();
+            const mediaTime = this.isLiveInput() ? null : this.audioElement.currentTime;
+            this.checkTimeline(contextTime, mediaTime);
+            
             // 分析音频特征
             const volume = this.calculateVolume();
             const frequency = this.analyzeFrequency();
-            const beat = this.detectBeat();
+            const frame = this.createFrame(contextTime);
+            frequency.bands = this.bandAnalyzer.process(frame);
+            const beat = this.detectBeat(frame);
+            const percussion = PercussionDetector.summarize(this.percussionDetector.process(frame));
+            this.updateHistory();
             
-        // 更新历史数据
-        this.updateHistory();
-        
-        // 添加频谱通量分析
-        const spectralFlux = this.calculateSpectralFlux();
+            // 节拍携带音频时间，振动可以按真实输出延迟调度
+            beat.mediaTime = mediaTime === null
+                ? null
+                : Math.max(0, mediaTime - (contextTime - beat.time) * this.clock.getPlaybackRate());
+            this.applyTempoGrid(beat, contextTime);
+            this.applyMeter(beat, percussion);
             
             return {
                 volume,
                 frequency,
                 beat,
-                timestamp: Date.now()
+                percussion,
+                timestamp: contextTime * 1000,
+                contextTime,
+                mediaTime
             };
             
         } catch (error) {
@@ -131,6 +413,146 @@ class AudioAnalyzer {
         }
     }
 
+    // 从AudioWorklet引擎获取分析数据（结构与AnalyserNode轮询一致）
+    getWorkletAnalysisData() {
+        const data = this.workletEngine.getAnalysisData();
+        if (!data) {
+            return null;
+        }
+        
+        const contextTime = this.clock.getContextTime();
+        const mediaTime = this.isLiveInput() ? null : this.audioElement.currentTime;
+        this.checkTimeline(contextTime, mediaTime);
+        
+        // 节拍使用起始点在音频线程中的精确时间
+        const beat = data.beat;
+        if (beat.detected) {
+            beat.bpm = this.estimateBPM(beat.time * 1000);
+            this.beatDetection.lastBeatTime = beat.time * 1000;
+        }
+        beat.mediaTime = mediaTime === null
+            ? null
+            : Math.max(0, mediaTime - (contextTime - beat.time) * this.clock.getPlaybackRate());
+        this.applyTempoGrid(beat, contextTime);
+        this.applyMeter(beat, data.percussion);
+        
+        this.frequencyAnalysis.bassLevel = data.frequency.bass;
+        this.frequencyAnalysis.midLevel = data.frequency.mid;
+        this.frequencyAnalysis.trebleLevel = data.frequency.treble;
+        
+        return {
+            volume: data.volume,
+            frequency: data.frequency,
+            beat,
+            percussion: data.percussion,
+            timestamp: contextTime * 1000,
+            contextTime,
+            mediaTime
+        };
+    }
+
+    // 用检测到的节拍修正节拍网格，并为节拍补充网格相位和下一拍预测
+    applyTempoGrid(beat, contextTime) {
+        if (beat.detected) {
+            beat.onGrid = this.tempoTracker.addOnset(beat.time, beat.strength, beat.type);
+        }
+        
+        this.tempoTracker.update(contextTime);
+        const grid = this.tempoTracker.getState(contextTime);
+        
+        // 锁定后网格速度比间隔中位数更稳定
+        if (beat.detected && grid.locked) {
+            beat.bpm = grid.bpm;
+        }
+        
+        beat.phase = grid.phase;
+        beat.nextBeatTime = grid.nextBeatTime;
+        beat.grid = grid;
+    }
+
+    // 在节拍网格上估计拍号和强拍，为落在拍上的节拍和预测的下一拍补充小节位置
+    applyMeter(beat, percussion) {
+        const grid = beat.grid;
+        
+        // 重新锁定后网格序号从头开始，之前的重音统计作废
+        if (grid.epoch !== this.meterEpoch) {
+            this.meterTracker.reset();
+            this.meterEpoch = grid.epoch;
+        }
+        
+        if (!grid.locked) return;
+        
+        if (beat.detected && beat.onGrid) {
+            const index = this.tempoTracker.lastMatchedIndex;
+            
+            // 重音：节拍强度，踢鼓额外加重
+            const kick = beat.type === 'kick' || (percussion && percussion.kick.detected);
+            this.meterTracker.addBeat(index, beat.strength + (kick ? 0.5 : 0));
+            Object.assign(beat, this.meterTracker.getPosition(index));
+        }
+        
+        const meter = this.meterTracker.getState();
+        const next = this.meterTracker.getPosition(grid.nextBeatIndex);
+        grid.nextBeatInBar = next.beatInBar;
+        grid.nextBarIndex = next.barIndex;
+        grid.meter = meter.signature;
+        grid.meterConfidence = meter.confidence;
+        
+        beat.meter = meter.signature;
+        beat.meterConfidence = meter.confidence;
+    }
+
+    // 检测跳转和变速：节拍间隔在跳转处不连续，变速后旧的间隔不再有效
+    checkTimeline(contextTime, mediaTime) {
+        const last = this.timeline;
+        const playbackRate = this.clock.getPlaybackRate();
+        
+        if (mediaTime !== null && last.mediaTime !== null) {
+            const expected = last.mediaTime + (contextTime - last.contextTime) * last.playbackRate;
+            
+            // 暂停时媒体时间不前进，只把向后跳或超出预期的前进视为跳转
+            if (mediaTime < last.mediaTime - 0.05 || mediaTime - expected > 0.25) {
+                this.lastBeatTimestamp = 0;
+                this.beatDetection.lastBeatTime = 0;
+                this.tempoTracker.reset();
+            }
+        }
+        
+        if (playbackRate !== last.playbackRate) {
+            this.beatIntervals = [];
+            this.lastBeatTimestamp = 0;
+            this.tempoTracker.reset();
+        }
+        
+        this.timeline = { contextTime, mediaTime, playbackRate };
+    }
+
+    // 重置单曲分析状态（切换曲目时调用，保留音频节点连接）
+    reset() {
+        this.beatDetection.lastBeatTime = 0;
+        this.onsetDetector.reset();
+        this.percussionDetector.reset();
+        
+        this.beatIntervals = [];
+        this.lastBeatTimestamp = 0;
+        this.timeline = { contextTime: 0, mediaTime: null, playbackRate: this.clock.getPlaybackRate() };
+        this.tempoTracker.reset();
+        
+        if (this.buffers.previousLevels) {
+            this.buffers.previousLevels.fill(0);
+        }
+        
+        this.frequencyAnalysis.bassLevel = 0;
+        this.frequencyAnalysis.midLevel = 0;
+        this.frequencyAnalysis.trebleLevel = 0;
+        
+        if (this.workletEngine) {
+            this.workletEngine.reset();
+        }
+        
+        console.log('AudioAnalyzer state reset');
+    }
+
     // 计算音量
     calculateVolume() {
         const data = this.buffers.timeData;
@@ -168,9 +590,8 @@ class AudioAnalyzer {
         let peakValue = 0;
         let totalEnergy = 0;
         
-        // 重点分析音乐频率范围 (20Hz - 5000Hz)
-        const maxFreq = Math.min(5000, sampleRate / 2);
-        const maxBin = Math.floor(maxFreq * binCount / (sampleRate / 2));
+        // 分析到奈奎斯特频率，高频段才有数据
+        const maxBin = binCount;
         
         for (let i = 1; i < maxBin; i++) { // 跳过DC分量
             const frequency = i * binSize;
@@ -228,81 +649,57 @@ class AudioAnalyzer {
         };
     }
 
-    // 节拍检测
-    detectBeat() {
-        const currentTime = Date.now();
+    // 当前频谱的检测帧（结构见onset-detectors.js）
+    createFrame(contextTime) {
+        const data = this.buffers.frequencyData;
+        const levels = this.buffers.levels;
+        for (let i = 0; i < data.length; i++) {
+            levels[i] = data[i] / 255;
+        }
+        
+        return {
+            time: contextTime,
+            magnitudes: levels,
+            previous: this.buffers.previousLevels,
+            binSize: this.audioContext.sampleRate / this.analyserNode.fftSize,
+            decibelRange: this.analyserNode.maxDecibels - this.analyserNode.minDecibels
+        };
+    }
+
+    // 节拍检测（使用配置的起始点检测算法，峰值拾取会延迟一帧，节拍时间取峰值所在帧）
+    detectBeat(frame) {
+        const result = this.onsetDetector.process(frame);
+        
+        // 计算当前能量
+        const energyData = this.calculateEnergy();
+        const kickFlux = OnsetDetector.bandFlux(frame, 60, 120);
+        const flux = OnsetDetector.bandFlux(frame, 20, 4000);
         
         // 检查最小间隔
-        if (currentTime - this.beatDetection.lastBeatTime < this.beatDetection.minInterval) {
+        const beatTime = result.time * 1000;
+        if (!result.onset || beatTime - this.beatDetection.lastBeatTime < this.beatDetection.minInterval) {
             return {
                 detected: false,
                 strength: 0,
                 bpm: 0,
-                confidence: 0
+                confidence: 0,
+                energy: energyData.total,
+                kickEnergy: energyData.kick,
+                time: frame.time
             };
         }
         
-        // 计算当前能量
-        const energyData = this.calculateEnergy();
-        const currentEnergy = energyData.total;
-        const kickEnergy = energyData.kick;
-        
-        // 更新能量历史
-        this.beatDetection.energyHistory.push(currentEnergy);
-        if (this.beatDetection.energyHistory.length > this.beatDetection.historySize) {
-            this.beatDetection.energyHistory.shift();
-        }
-        
-        // 计算平均值和方差
-        if (this.beatDetection.energyHistory.length >= this.beatDetection.historySize) {
-            const sum = this.beatDetection.energyHistory.reduce((a, b) => a + b, 0);
-            this.beatDetection.average = sum / this.beatDetection.energyHistory.length;
-            
-            const variance = this.beatDetection.energyHistory.reduce((sum, value) => {
-                return sum + Math.pow(value - this.beatDetection.average, 2);
-            }, 0) / this.beatDetection.energyHistory.length;
-            
-            this.beatDetection.variance = variance;
-        }
-        
-        // 改进的节拍检测算法
-        const threshold = this.beatDetection.average * this.beatDetection.threshold;
-        const kickThreshold = this.beatDetection.average * 0.8; // 踢鼓阈值稍低
-        
-        // 综合考虑总能量和踢鼓能量
-        const energyBeat = currentEnergy > threshold && this.beatDetection.variance > 0.01;
-        const kickBeat = kickEnergy > kickThreshold;
-        const beatDetected = energyBeat || kickBeat;
-        
-        if (beatDetected) {
-            this.beatDetection.lastBeatTime = currentTime;
-            
-            // 计算BPM
-            const bpm = this.estimateBPM();
-            
-            // 计算节拍强度
-            const energyStrength = energyBeat ? (currentEnergy - threshold) / threshold : 0;
-            const kickStrength = kickBeat ? (kickEnergy - kickThreshold) / kickThreshold : 0;
-            const strength = Math.min(Math.max(energyStrength, kickStrength), 1);
-            
-            return {
-                detected: true,
-                strength: strength,
-                bpm: bpm,
-                confidence: Math.min(this.beatDetection.variance * 10, 1),
-                energy: currentEnergy,
-                kickEnergy: kickEnergy,
-                type: kickBeat ? 'kick' : 'energy'
-            };
-        }
+        this.beatDetection.lastBeatTime = beatTime;
         
         return {
-            detected: false,
-            strength: 0,
-            bpm: 0,
-            confidence: 0,
-            energy: currentEnergy,
-            kickEnergy: kickEnergy
+            detected: true,
+            strength: result.strength,
+            bpm: this.estimateBPM(beatTime),
+            confidence: Math.min(result.value / result.threshold - 1, 1),
+            energy: energyData.total,
+            kickEnergy: energyData.kick,
+            type: kickFlux > flux * 1.5 ? 'kick' : 'energy', // 低频踢鼓频段的上升占主导
+            time: result.time
         };
     }
 
@@ -351,15 +748,13 @@ class AudioAnalyzer {
         };
     }
 
-    // 估算BPM
-    estimateBPM() {
+    // 估算BPM（currentTime为本次节拍的音频时钟时间，毫秒）
+    estimateBPM(currentTime = this.clock.now()) {
         // 基于节拍间隔历史计算BPM
         if (!this.beatIntervals) {
             this.beatIntervals = [];
         }
         
-        const currentTime = Date.now();
-        
         // 记录节拍间隔
         if (this.lastBeatTimestamp) {
             const interval = currentTime - this.lastBeatTimestamp;
@@ -398,81 +793,8 @@ class AudioAnalyzer {
 
     // 更新历史数据
     updateHistory() {
-        // 保存当前频谱数据作为历史数据
-        this.buffers.previousFrequencyData.set(this.buffers.frequencyData);
-    }
-
-    // 计算频谱通量（用于更精确的节拍检测）
-    calculateSpectralFlux() {
-        if (!this.buffers.previousFrequencyData) {
-            return 0;
-        }
-        
-        let flux = 0;
-        const current = this.buffers.frequencyData;
-        const previous = this.buffers.previousFrequencyData;
-        
-        // 重点关注低频和中频范围
-        const startBin = Math.floor(20 * current.length / (this.audioContext.sampleRate / 2));
-        const endBin = Math.floor(4000 * current.length / (this.audioContext.sampleRate / 2));
-        
-        for (let i = startBin; i < endBin && i < current.length; i++) {
-            const currentMagnitude = current[i] / 255;
-            const previousMagnitude = previous[i] / 255;
-            
-            // 只考虑增加的能量（正向通量）
-            const diff = currentMagnitude - previousMagnitude;
-            if (diff > 0) {
-                flux += diff;
-            }
-        }
-        
-        return flux / (endBin - startBin);
-    }
-
-    // 基于频谱通量的节拍检测
-    detectBeatWithSpectralFlux() {
-        const flux = this.calculateSpectralFlux();
-        
-        // 维护频谱通量历史
-        if (!this.spectralFluxHistory) {
-            this.spectralFluxHistory = [];
-        }
-        
-        this.spectralFluxHistory.push(flux);
-        if (this.spectralFluxHistory.length > 43) { // 约1秒的历史
-            this.spectralFluxHistory.shift();
-        }
-        
-        if (this.spectralFluxHistory.length < 10) {
-            return false;
-        }
-        
-        // 计算动态阈值
-        const recentFlux = this.spectralFluxHistory.slice(-10);
-        const avgFlux = recentFlux.reduce((sum, val) => sum + val, 0) / recentFlux.length;
-        const threshold = avgFlux * 1.5;
-        
-        // 检测峰值
-        const currentTime = Date.now();
-        if (flux > threshold && 
-            currentTime - this.beatDetection.lastBeatTime > this.beatDetection.minInterval) {
-            
-            this.beatDetection.lastBeatTime = currentTime;
-            return {
-                detected: true,
-                strength: Math.min(flux / threshold, 2),
-                flux: flux,
-                threshold: threshold
-            };
-        }
-        
-        return {
-            detected: false,
-            strength: 0,
-            flux: flux,
-            threshold: threshold
-        };
+        // 保存当前电平作为下一帧的对比
+        this.buffers.previousLevels.set(this.buffers.levels);
     }
 
     // 获取频谱数据
@@ -495,18 +817,47 @@ class AudioAnalyzer {
     getState() {
         return {
             initialized: this.isInitialized,
+            inputMode: this.inputMode,
+            engine: this.workletEngine ? 'worklet' : 'analyser',
+            onsetDetector: this.config.onsetDetector,
             contextState: this.audioContext ? this.audioContext.state : 'closed',
             sampleRate: this.audioContext ? this.audioContext.sampleRate : 0,
             fftSize: this.config.fftSize,
             bufferLength: this.analyserNode ? this.analyserNode.frequencyBinCount : 0,
             beatDetection: this.beatDetection,
-            frequencyAnalysis: this.frequencyAnalysis
+            tempo: this.tempoTracker.getState(this.clock.getContextTime()),
+            meter: this.meterTracker.getState(),
+            loudness: this.loudness,
+            normalizationGains: this.getNormalizationGains(),
+            frequencyAnalysis: this.frequencyAnalysis,
+            bands: this.bandAnalyzer.getBands()
         };
     }
 
     // 更新配置
     updateConfig(newConfig) {
+        const previousEngine = this.config.engine;
+        const previousDetector = this.config.onsetDetector;
         this.config = { ...this.config, ...newConfig };
+        this.beatDetection.threshold = this.config.beatThreshold;
+        
+        if (this.config.onsetDetector !== previousDetector) {
+            this.onsetDetector = this.createOnsetDetector();
+        } else {
+            this.onsetDetector.updateConfig({ multiplier: this.config.beatThreshold });
+        }
+        this.bandAnalyzer.updateConfig(this.getBandConfig());
+        
+        if (this.workletEngine) {
+            this.workletEngine.updateConfig(this.getEngineConfig());
+        }
+        
+        // 运行中切换分析引擎
+        if (this.isInitialized && this.config.engine !== previousEngine) {
+            this.setupEngine();
+        }
+        
+        this.applyNormalization();
         
         if (this.analyserNode) {
             this.analyserNode.fftSize = this.config.fftSize;
@@ -535,11 +886,28 @@ class AudioAnalyzer {
 
     // 清理资源
     cleanup() {
+        this.stopStream(false);
+        
+        if (this.workletEngine) {
+            this.workletEngine.cleanup();
+            this.workletEngine = null;
+        }
+        
+        if (this.inputNode) {
+            this.inputNode.disconnect();
+            this.inputNode = null;
+        }
+        
         if (this.sourceNode) {
             this.sourceNode.disconnect();
             this.sourceNode = null;
         }
         
+        if (this.playbackGainNode) {
+            this.playbackGainNode.disconnect();
+            this.playbackGainNode = null;
+        }
+        
         if (this.analyserNode) {
             this.analyserNode.disconnect();
             this.analyserNode = null;
@@ -553,4 +921,6 @@ class AudioAnalyzer {
         this.isInitialized = false;
         console.log('AudioAnalyzer cleaned up');
     }
-}
\ No newline at end of file
+}
+
+Object.assign(AudioAnalyzer.prototype, EventEmitterMixin);
\ No newline at end of file
@@ -0,0 +1,108 @@
+/**
+ * 音频时钟
+ * 以AudioContext时间为基准统一节拍检测与振动调度，并通过getOutputTimestamp换算到页面时间（performance.now），
+ * 从而补偿真实的输出延迟（蓝牙耳机可达数百毫秒），并正确处理暂停、跳转和倍速播放；
+ * 系统未报告的那部分延迟由延迟校准测得（calibrationOffset）
+ */
+
+class AudioClock {
+    constructor(audioElement = null, audioContext = null) {
+        this.audioElement = audioElement;
+        this.audioContext = audioContext;
+
+        // 输出延迟（秒），对getOutputTimestamp的测量值做平滑
+        this.outputLatency = 0;
+        this.latencySmoothing = 0.9;
+
+        // 校准测得的额外输出延迟（秒），叠加在系统报告的延迟上，可为负
+        this.calibrationOffset = 0;
+    }
+
+    // 设置校准测得的额外输出延迟（毫秒）
+    setCalibrationOffset(offsetMs) {
+        this.calibrationOffset = (offsetMs || 0) / 1000;
+    }
+
+    // 关联音频上下文（分析器初始化后调用）
+    attachContext(audioContext) {
+        this.audioContext = audioContext;
+        this.outputLatency = 0;
+    }
+
+    // 当前音频上下文时间（秒），没有上下文时退回页面时间
+    getContextTime() {
+        if (this.audioContext) {
+            return this.audioContext.currentTime;
+        }
+        return performance.now() / 1000;
+    }
+
+    // 当前音频时钟（毫秒），用于节拍间隔等计算
+    now() {
+        return this.getContextTime() * 1000;
+    }
+
+    // 测量输出延迟：已处理的音频需要多久才能被听到（秒）
+    getOutputLatency() {
+        const context = this.audioContext;
+        if (!context) {
+            return 0;
+        }
+
+        let measured = null;
+
+        if (context.getOutputTimestamp) {
+            const timestamp = context.getOutputTimestamp();
+            // 刚启动时contextTime为0，测量无效
+            if (timestamp && timestamp.contextTime > 0) {
+                const audibleTime = timestamp.contextTime + (performance.now() - timestamp.performanceTime) / 1000;
+                measured = Math.max(0, context.currentTime - audibleTime);
+            }
+        }
+
+        if (measured === null) {
+            measured = context.outputLatency || context.baseLatency || 0;
+        }
+
+        this.outputLatency = this.outputLatency > 0
+            ? this.outputLatency * this.latencySmoothing + measured * (1 - this.latencySmoothing)
+            : measured;
+
+        return this.outputLatency;
+    }
+
+    // 当前播放速率
+    getPlaybackRate() {
+        return this.audioElement ? this.audioElement.playbackRate || 1 : 1;
+    }
+
+    // 当前听到的音频在曲目中的位置（秒）
+    getMediaTime() {
+        if (!this.audioElement) {
+            return 0;
+        }
+
+        const latency = (this.getOutputLatency() + this.calibrationOffset) * this.getPlaybackRate();
+        return Math.max(0, this.audioElement.currentTime - latency);
+    }
+
+    // 将音频上下文时间换算为该时刻声音被听到时的页面时间（毫秒）
+    contextToPerformanceTime(contextTime) {
+        const context = this.audioContext;
+
+        if (context && context.getOutputTimestamp) {
+            const timestamp = context.getOutputTimestamp();
+            if (timestamp && timestamp.contextTime > 0) {
+                return timestamp.performanceTime + (contextTime - timestamp.contextTime + this.calibrationOffset) * 1000;
+            }
+        }
+
+        const contextNow = this.getContextTime();
+        return performance.now() + (contextTime - contextNow + this.getOutputLatency() + this.calibrationOffset) * 1000;
+    }
+
+    // 将曲目位置换算为该位置被听到时的页面时间（毫秒）
+    mediaToPerformanceTime(mediaTime) {
+        return performance.now() + (mediaTime - this.getMediaTime()) / this.getPlaybackRate() * 1000;
+    }
+}
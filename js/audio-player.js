@@ -13,6 +13,13 @@ class AudioPlayer {
         this.isMuted = false;
         this.previousVolume = 0.5;
         
+        // 播放队列
+        this.queue = [];
+        this.currentIndex = -1;
+        this.shuffle = false;
+        this.shuffleOrder = [];     // 随机播放顺序（曲目ID）
+        this.repeatMode = 'none';   // 'none' | 'one' | 'all'
+        
         // 事件回调
         this.callbacks = {
             onPlay: [],
@@ -21,7 +28,9 @@ class AudioPlayer {
             onLoadedMetadata: [],
             onEnded: [],
             onError: [],
-            onVolumeChange: []
+            onVolumeChange: [],
+            onQueueChange: [],
+            onTrackChange: []
         };
         
         this.init();
@@ -169,6 +178,263 @@ class AudioPlayer {
         });
     }
 
+    // 添加文件到播放队列
+    addToQueue(files) {
+        const added = [];
+        const rejected = [];
+        
+        Array.from(files).forEach(file => {
+            const validation = validateAudioFile(file);
+            if (!validation.valid) {
+                rejected.push({ file, error: validation.error });
+                return;
+            }
+            
+            const track = {
+                id: generateId(),
+                file: file,
+                name: file.name
+            };
+            
+            this.queue.push(track);
+            added.push(track);
+            
+            // 随机模式下把新曲目插入到当前曲目之后的随机位置
+            if (this.shuffle) {
+                const currentPosition = this.shuffleOrder.indexOf(this.getCurrentTrackId());
+                const insertAt = currentPosition + 1 +
+                    Math.floor(Math.random() * (this.shuffleOrder.length - currentPosition));
+                this.shuffleOrder.splice(insertAt, 0, track.id);
+            }
+        });
+        
+        if (added.length > 0) {
+            this.notifyQueueChange();
+        }
+        
+        return { added, rejected };
+    }
+
+    // 从播放队列移除曲目
+    removeFromQueue(index) {
+        if (index < 0 || index >= this.queue.length) {
+            return null;
+        }
+        
+        const [removed] = this.queue.splice(index, 1);
+        this.shuffleOrder = this.shuffleOrder.filter(id => id !== removed.id);
+        
+        const removedCurrent = index === this.currentIndex;
+        if (removedCurrent) {
+            this.currentIndex = -1;
+        } else if (index < this.currentIndex) {
+            this.currentIndex--;
+        }
+        
+        this.notifyQueueChange();
+        return { track: removed, removedCurrent };
+    }
+
+    // 调整队列顺序
+    moveInQueue(fromIndex, toIndex) {
+        if (fromIndex < 0 || fromIndex >= this.queue.length ||
+            toIndex < 0 || toIndex >= this.queue.length || fromIndex === toIndex) {
+            return false;
+        }
+        
+        const currentId = this.getCurrentTrackId();
+        const [track] = this.queue.splice(fromIndex, 1);
+        this.queue.splice(toIndex, 0, track);
+        
+        // 保持当前曲目不变
+        if (currentId) {
+            this.currentIndex = this.queue.findIndex(item => item.id === currentId);
+        }
+        
+        this.notifyQueueChange();
+        return true;
+    }
+
+    // 清空播放队列
+    clearQueue() {
+        this.queue = [];
+        this.shuffleOrder = [];
+        this.currentIndex = -1;
+        this.notifyQueueChange();
+    }
+
+    // 加载队列中的指定曲目
+    async loadTrack(index) {
+        const track = this.queue[index];
+        if (!track) {
+            throw new Error('Track not found in queue');
+        }
+        
+        this.currentIndex = index;
+        const info = await this.loadFile(track.file);
+        
+        this.triggerCallbacks('onTrackChange', {
+            index,
+            track,
+            ...info
+        });
+        this.notifyQueueChange();
+        
+        return info;
+    }
+
+    // 获取下一首曲目索引（auto为播放结束自动切换）
+    getNextIndex(auto = false) {
+        if (this.queue.length === 0) {
+            return -1;
+        }
+        
+        // 单曲循环只影响自动切换，手动切换仍然前进
+        if (auto && this.repeatMode === 'one' && this.currentIndex !== -1) {
+            return this.currentIndex;
+        }
+        
+        const order = this.getPlayOrder();
+        const position = order.indexOf(this.currentIndex);
+        
+        if (position + 1 < order.length) {
+            return order[position + 1];
+        }
+        
+        if (this.repeatMode !== 'none') {
+            // 列表循环时每一轮重新洗牌
+            if (this.shuffle) {
+                this.buildShuffleOrder(false);
+            }
+            return this.getPlayOrder()[0];
+        }
+        
+        return -1;
+    }
+
+    // 获取上一首曲目索引
+    getPreviousIndex() {
+        if (this.queue.length === 0) {
+            return -1;
+        }
+        
+        const order = this.getPlayOrder();
+        const position = order.indexOf(this.currentIndex);
+        
+        if (position > 0) {
+            return order[position - 1];
+        }
+        
+        if (this.repeatMode !== 'none') {
+            return order[order.length - 1];
+        }
+        
+        return -1;
+    }
+
+    // 设置随机播放
+    setShuffle(enabled) {
+        this.shuffle = enabled;
+        if (enabled) {
+            this.buildShuffleOrder(true);
+        } else {
+            this.shuffleOrder = [];
+        }
+        
+        this.notifyQueueChange();
+        return this.shuffle;
+    }
+
+    // 设置循环模式
+    setRepeatMode(mode) {
+        if (['none', 'one', 'all'].includes(mode)) {
+            this.repeatMode = mode;
+            this.notifyQueueChange();
+        }
+        return this.repeatMode;
+    }
+
+    // 依次切换循环模式：不循环 -> 列表循环 -> 单曲循环
+    cycleRepeatMode() {
+        const modes = ['none', 'all', 'one'];
+        const nextMode = modes[(modes.indexOf(this.repeatMode) + 1) % modes.length];
+        return this.setRepeatMode(nextMode);
+    }
+
+    // 生成随机播放顺序（keepCurrentFirst时当前曲目排在最前）
+    buildShuffleOrder(keepCurrentFirst) {
+        const ids = this.queue.map(track => track.id);
+        
+        // Fisher-Yates 洗牌
+        for (let i = ids.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [ids[i], ids[j]] = [ids[j], ids[i]];
+        }
+        
+        const currentId = this.getCurrentTrackId();
+        if (currentId && ids.length > 1) {
+            const currentPosition = ids.indexOf(currentId);
+            ids.splice(currentPosition, 1);
+            
+            if (keepCurrentFirst) {
+                ids.unshift(currentId);
+            } else {
+                // 新一轮不要立刻重复刚播完的曲目
+                ids.splice(1 + Math.floor(Math.random() * ids.length), 0, currentId);
+            }
+        }
+        
+        this.shuffleOrder = ids;
+    }
+
+    // 获取播放顺序（曲目索引数组）
+    getPlayOrder() {
+        if (!this.shuffle) {
+            return this.queue.map((track, index) => index);
+        }
+        
+        return this.shuffleOrder
+            .map(id => this.queue.findIndex(track => track.id === id))
+            .filter(index => index !== -1);
+    }
+
+    // 获取当前曲目ID
+    getCurrentTrackId() {
+        const track = this.queue[this.currentIndex];
+        return track ? track.id : null;
+    }
+
+    // 获取队列状态
+    getQueueState() {
+        return {
+            tracks: this.queue.map(track => ({ id: track.id, name: track.name })),
+            currentIndex: this.currentIndex,
+            shuffle: this.shuffle,
+            repeatMode: this.repeatMode
+        };
+    }
+
+    // 通知队列变化
+    notifyQueueChange() {
+        this.triggerCallbacks('onQueueChange', this.getQueueState());
+    }
+
+    // 卸载当前音频源
+    unload() {
+        this.pause();
+        
+        if (this.audioElement.src && this.audioElement.src.startsWith('blob:')) {
+            URL.revokeObjectURL(this.audioElement.src);
+        }
+        
+        // 移除src属性而不是置空，避免触发错误事件
+        this.audioElement.removeAttribute('src');
+        this.audioElement.load();
+        
+        this.currentTime = 0;
+        this.duration = 0;
+    }
+
     // 播放音频
     async play() {
         try {
@@ -301,36 +567,6 @@ class AudioPlayer {
         return this.audioElement.readyState >= 3; // HAVE_FUTURE_DATA
     }
 
-    // 添加事件回调
-    on(event, callback) {
-        if (this.callbacks[event]) {
-            this.callbacks[event].push(callback);
-        }
-    }
-
-    // 移除事件回调
-    off(event, callback) {
-        if (this.callbacks[event]) {
-            const index = this.callbacks[event].indexOf(callback);
-            if (index > -1) {
-                this.callbacks[event].splice(index, 1);
-            }
-        }
-    }
-
-    // 触发回调
-    triggerCallbacks(event, data = null) {
-        if (this.callbacks[event]) {
-            this.callbacks[event].forEach(callback => {
-                try {
-                    callback(data);
-                } catch (error) {
-                    console.error(`Error in ${event} callback:`, error);
-                }
-            });
-        }
-    }
-
     // 获取音频信息
     getAudioInfo() {
         return {
@@ -401,4 +637,6 @@ class AudioPlayer {
         const audio = new Audio();
         return audio.canPlayType(mimeType);
     }
-}
\ No newline at end of file
+}
+
+Object.assign(AudioPlayer.prototype, EventEmitterMixin);
\ No newline at end of file
@@ -0,0 +1,147 @@
+/**
+ * 多频段分析器
+ * 按线性、倍频程、Mel或Bark刻度把频谱等分为N个频段，可选A计权，逐帧输出每个频段的电平、峰值和通量。
+ * 与onset-detectors.js使用相同的检测帧结构，主线程和AudioWorklet中均可使用
+ */
+
+class BandAnalyzer {
+    constructor(options = {}) {
+        // 分析配置
+        this.config = {
+            scale: 'mel',           // 频段刻度：linear / octave / mel / bark
+            bandCount: 8,           // 频段数
+            minFrequency: 20,       // 最低频率（Hz）
+            maxFrequency: 20000,    // 最高频率（Hz），超过奈奎斯特频率时取奈奎斯特频率
+            weighting: 'none',      // 频率计权：none / a
+            ...options
+        };
+
+        // 频段定义随帧的频点分辨率生成
+        this.bands = [];
+        this.layout = null;
+    }
+
+    // 按帧的频点分辨率生成频段（分辨率不变时复用）
+    setup(binSize, binCount) {
+        const layout = `${binSize}:${binCount}`;
+        if (layout === this.layout) return;
+
+        const scale = BandAnalyzer.scales[this.config.scale] || BandAnalyzer.scales.mel;
+        const nyquist = binSize * binCount;
+        const minFrequency = Math.max(binSize, this.config.minFrequency);
+        const maxFrequency = Math.min(nyquist, this.config.maxFrequency);
+        const low = scale.toScale(minFrequency);
+        const high = scale.toScale(maxFrequency);
+        const count = Math.max(1, Math.round(this.config.bandCount));
+
+        this.bands = [];
+        for (let i = 0; i < count; i++) {
+            const lowFrequency = scale.fromScale(low + (high - low) * i / count);
+            const highFrequency = scale.fromScale(low + (high - low) * (i + 1) / count);
+
+            // 相邻频段首尾相接；低频段可能窄于一个频点，至少包含一个频点
+            const startBin = Math.min(binCount - 1, Math.max(1, Math.round(lowFrequency / binSize)));
+            const endBin = Math.min(binCount, Math.max(startBin + 1, Math.round(highFrequency / binSize)));
+
+            // 频段内各频点的计权（dB）
+            const weights = new Float32Array(endBin - startBin);
+            for (let bin = startBin; bin < endBin; bin++) {
+                weights[bin - startBin] = this.config.weighting === 'a' ? BandAnalyzer.aWeighting(bin * binSize) : 0;
+            }
+
+            this.bands.push({
+                low: lowFrequency,
+                high: highFrequency,
+                center: scale.fromScale(low + (high - low) * (i + 0.5) / count),
+                startBin,
+                endBin,
+                weights
+            });
+        }
+
+        this.layout = layout;
+    }
+
+    // 分析一帧，返回 [{low, high, center, level, peak, flux}]，电平均为0-1
+    process(frame) {
+        const { magnitudes, previous, binSize, decibelRange } = frame;
+        this.setup(binSize, magnitudes.length);
+
+        return this.bands.map(band => {
+            let sum = 0;
+            let peak = 0;
+            let flux = 0;
+
+            for (let bin = band.startBin; bin < band.endBin; bin++) {
+                // 电平是按分贝范围归一化的，计权按分贝平移
+                const weight = band.weights[bin - band.startBin];
+                const level = weight === 0
+                    ? magnitudes[bin]
+                    : Math.max(0, Math.min(1, magnitudes[bin] + weight / decibelRange));
+                sum += level;
+                if (level > peak) peak = level;
+
+                const diff = magnitudes[bin] - previous[bin];
+                if (diff > 0) flux += diff;
+            }
+
+            const width = band.endBin - band.startBin;
+            return {
+                low: band.low,
+                high: band.high,
+                center: band.center,
+                level: sum / width,
+                peak,
+                flux: flux / width
+            };
+        });
+    }
+
+    // 获取频段定义
+    getBands() {
+        return this.bands.map(({ low, high, center }) => ({ low, high, center }));
+    }
+
+    // 更新配置（频段在下一帧重新生成）
+    updateConfig(newConfig) {
+        this.config = { ...this.config, ...newConfig };
+        this.layout = null;
+    }
+
+    // A计权（IEC 61672，dB，1kHz处为0）
+    static aWeighting(frequency) {
+        const f2 = frequency * frequency;
+        const ra = (148693636 * f2 * f2) /
+            ((f2 + 424.36) * Math.sqrt((f2 + 11599.29) * (f2 + 544496.41)) * (f2 + 148693636));
+        return 20 * Math.log10(ra) + 2.0;
+    }
+
+    // 获取可用的频段刻度
+    static getAvailableScales() {
+        return Object.keys(BandAnalyzer.scales);
+    }
+}
+
+// 频段刻度：频率与刻度值的相互换算，频段在刻度上等分
+BandAnalyzer.scales = {
+    linear: {
+        toScale: (frequency) => frequency,
+        fromScale: (value) => value
+    },
+    octave: {
+        toScale: (frequency) => Math.log2(frequency),
+        fromScale: (value) => Math.pow(2, value)
+    },
+    mel: {
+        toScale: (frequency) => 2595 * Math.log10(1 + frequency / 700),
+        fromScale: (value) => 700 * (Math.pow(10, value / 2595) - 1)
+    },
+    bark: {
+        // Traunmüller近似
+        toScale: (frequency) => 26.81 * frequency / (1960 + frequency) - 0.53,
+        fromScale: (value) => 1960 * (value + 0.53) / (26.28 - value)
+    }
+};
+
+// AudioWorklet中每个模块有独立作用域，挂到全局后分析处理器才能使用
+globalThis.BandAnalyzer = BandAnalyzer;
@@ -0,0 +1,295 @@
+/**
+ * 整曲节拍图预分析器
+ * 负责通过离线音频上下文从已解码的音频生成完整的节拍/起音图（解码见utils.js的decodeAudioFile，按config.sampleRate解码即可）
+ */
+
+class BeatMapAnalyzer {
+    constructor() {
+        this.isAnalyzing = false;
+        this.currentJob = 0;
+
+        // 预分析配置
+        this.config = {
+            sampleRate: 22050,        // 解码与离线渲染采样率（降采样以加快分析）
+            hopSize: 512,             // 分析帧步长（采样点）
+            historySeconds: 1,        // 能量历史窗口（秒）
+            threshold: 1.3,           // 能量节拍阈值（与实时检测保持一致）
+            kickThreshold: 1.5,       // 踢鼓节拍阈值（相对踢鼓频段平均能量）
+            minDeviation: 0.1,        // 最小能量离散度（标准差/均值），过滤平稳段落
+            minInterval: 0.3,         // 最小节拍间隔（秒）
+            kickFrequency: 90,        // 踢鼓带通中心频率（Hz）
+            kickQ: 1.2,               // 踢鼓带通Q值
+            highFrequency: 4000       // 高频通道高通截止频率（Hz），用于结构分析
+        };
+
+        // 歌曲结构分析（段落边界与类型）
+        this.structureAnalyzer = new StructureAnalyzer();
+
+        console.log('BeatMapAnalyzer created');
+    }
+
+    // 分析已解码的音频缓冲区
+    async analyzeBuffer(audioBuffer) {
+        const jobId = ++this.currentJob;
+        this.isAnalyzing = true;
+
+        try {
+            const rendered = await this.renderAnalysisChannels(audioBuffer);
+
+            // 有更新的分析任务时放弃当前结果
+            if (jobId !== this.currentJob) {
+                return null;
+            }
+
+            const frames = this.computeFrames(rendered);
+            const beats = this.detectBeats(frames);
+            const bpm = this.estimateBPM(beats);
+            const meter = this.assignBars(beats, bpm);
+            const sections = this.structureAnalyzer.analyze(frames, beats, audioBuffer.duration);
+
+            return {
+                version: 1,
+                duration: audioBuffer.duration,
+                sampleRate: rendered.sampleRate,
+                frameDuration: frames.frameDuration,
+                bpm,
+                meter: meter ? meter.signature : null,
+                meterConfidence: meter ? meter.confidence : 0,
+                beats,
+                sections,
+                frames
+            };
+        } finally {
+            if (jobId === this.currentJob) {
+                this.isAnalyzing = false;
+            }
+        }
+    }
+
+    // 离线渲染：通道0为单声道混音，通道1为踢鼓频段，通道2为高频
+    renderAnalysisChannels(audioBuffer) {
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        const sampleRate = this.config.sampleRate;
+        const length = Math.ceil(audioBuffer.duration * sampleRate);
+        const context = new OfflineContext(3, length, sampleRate);
+
+        const source = context.createBufferSource();
+        source.buffer = audioBuffer;
+
+        // 单声道混音
+        const mixdown = context.createGain();
+        mixdown.channelCount = 1;
+        mixdown.channelCountMode = 'explicit';
+        mixdown.channelInterpretation = 'speakers';
+
+        // 踢鼓频段带通滤波
+        const kickFilter = context.createBiquadFilter();
+        kickFilter.type = 'bandpass';
+        kickFilter.frequency.value = this.config.kickFrequency;
+        kickFilter.Q.value = this.config.kickQ;
+
+        // 高频高通滤波
+        const highFilter = context.createBiquadFilter();
+        highFilter.type = 'highpass';
+        highFilter.frequency.value = this.config.highFrequency;
+
+        const merger = context.createChannelMerger(3);
+
+        source.connect(mixdown);
+        mixdown.connect(merger, 0, 0);
+        mixdown.connect(kickFilter);
+        kickFilter.connect(merger, 0, 1);
+        mixdown.connect(highFilter);
+        highFilter.connect(merger, 0, 2);
+        merger.connect(context.destination);
+
+        source.start(0);
+
+        // 兼容旧版事件形式的startRendering
+        return new Promise((resolve, reject) => {
+            context.oncomplete = (event) => resolve(event.renderedBuffer);
+            const promise = context.startRendering();
+            if (promise && promise.then) {
+                promise.then(resolve, reject);
+            }
+        });
+    }
+
+    // 计算逐帧能量
+    computeFrames(renderedBuffer) {
+        const hopSize = this.config.hopSize;
+        const full = renderedBuffer.getChannelData(0);
+        const kick = renderedBuffer.getChannelData(1);
+        const high = renderedBuffer.getChannelData(2);
+        const frameCount = Math.floor(full.length / hopSize);
+
+        const energy = new Float32Array(frameCount);
+        const kickEnergy = new Float32Array(frameCount);
+        const highEnergy = new Float32Array(frameCount);
+
+        for (let frame = 0; frame < frameCount; frame++) {
+            const start = frame * hopSize;
+            let fullSum = 0;
+            let kickSum = 0;
+            let highSum = 0;
+
+            for (let i = start; i < start + hopSize; i++) {
+                fullSum += full[i] * full[i];
+                kickSum += kick[i] * kick[i];
+                highSum += high[i] * high[i];
+            }
+
+            energy[frame] = fullSum / hopSize;
+            kickEnergy[frame] = kickSum / hopSize;
+            highEnergy[frame] = highSum / hopSize;
+        }
+
+        return {
+            frameDuration: hopSize / renderedBuffer.sampleRate,
+            energy,
+            kick: kickEnergy,
+            high: highEnergy
+        };
+    }
+
+    // 基于能量方差的整曲节拍检测
+    detectBeats(frames) {
+        const { energy, kick, frameDuration } = frames;
+        const historySize = Math.max(1, Math.round(this.config.historySeconds / frameDuration));
+        const beats = [];
+
+        let energySum = 0;
+        let energySquareSum = 0;
+        let kickSum = 0;
+        let lastBeatTime = -Infinity;
+
+        // 维护以当前帧为中心的滑动窗口，整曲分析可以“看到未来”
+        const halfWindow = Math.floor(historySize / 2);
+        for (let i = 0; i < Math.min(halfWindow, energy.length); i++) {
+            energySum += energy[i];
+            energySquareSum += energy[i] * energy[i];
+            kickSum += kick[i];
+        }
+
+        for (let frame = 0; frame < energy.length; frame++) {
+            const enter = frame + halfWindow;
+            const leave = enter - historySize;
+
+            if (enter < energy.length) {
+                energySum += energy[enter];
+                energySquareSum += energy[enter] * energy[enter];
+                kickSum += kick[enter];
+            }
+            if (leave >= 0) {
+                energySum -= energy[leave];
+                energySquareSum -= energy[leave] * energy[leave];
+                kickSum -= kick[leave];
+            }
+
+            const windowSize = Math.min(energy.length, enter + 1) - Math.max(0, leave + 1);
+            if (windowSize <= 0) continue;
+
+            const average = energySum / windowSize;
+            const variance = Math.max(0, energySquareSum / windowSize - average * average);
+            const kickAverage = kickSum / windowSize;
+
+            // 只在局部峰值处判定节拍
+            const isEnergyPeak = this.isLocalPeak(energy, frame);
+            const isKickPeak = this.isLocalPeak(kick, frame);
+
+            const threshold = average * this.config.threshold;
+            const kickThreshold = kickAverage * this.config.kickThreshold;
+
+            const energyBeat = isEnergyPeak && energy[frame] > threshold && Math.sqrt(variance) > this.config.minDeviation * average;
+            const kickBeat = isKickPeak && kick[frame] > kickThreshold && kickAverage > 0;
+
+            const time = frame * frameDuration;
+            if ((energyBeat || kickBeat) && time - lastBeatTime >= this.config.minInterval) {
+                const energyStrength = energyBeat ? (energy[frame] - threshold) / threshold : 0;
+                const kickStrength = kickBeat ? (kick[frame] - kickThreshold) / kickThreshold : 0;
+
+                beats.push({
+                    time,
+                    strength: Math.min(Math.max(energyStrength, kickStrength), 1),
+                    type: kickBeat ? 'kick' : 'energy'
+                });
+                lastBeatTime = time;
+            }
+        }
+
+        return beats;
+    }
+
+    // 判断是否为局部峰值
+    isLocalPeak(values, index) {
+        const previous = index > 0 ? values[index - 1] : 0;
+        const next = index < values.length - 1 ? values[index + 1] : 0;
+        return values[index] > previous && values[index] >= next;
+    }
+
+    // 根据节拍间隔估算BPM
+    estimateBPM(beats) {
+        const intervals = [];
+        for (let i = 1; i < beats.length; i++) {
+            const interval = beats[i].time - beats[i - 1].time;
+            if (interval >= this.config.minInterval && interval <= 2) {
+                intervals.push(interval);
+            }
+        }
+
+        if (intervals.length < 4) {
+            return 0;
+        }
+
+        // 使用中位数来减少异常值影响
+        intervals.sort((a, b) => a - b);
+        const medianInterval = intervals[Math.floor(intervals.length / 2)];
+
+        // 对中位数附近的间隔取平均，抵消帧量化误差
+        const nearMedian = intervals.filter(interval => Math.abs(interval - medianInterval) <= medianInterval * 0.1);
+        const averageInterval = nearMedian.reduce((sum, interval) => sum + interval, 0) / nearMedian.length;
+        const bpm = Math.round(60 / averageInterval);
+
+        return Math.max(60, Math.min(200, bpm));
+    }
+
+    // 估计拍号和强拍，为每个节拍标注小节位置（beatInBar/barIndex）
+    assignBars(beats, bpm) {
+        if (!bpm || beats.length === 0) {
+            return null;
+        }
+
+        // 按速度把节拍换算为网格序号（相邻节拍之间可能漏了几拍）
+        const period = 60 / bpm;
+        const tracker = new MeterTracker();
+        let index = 0;
+        const indices = beats.map((beat, i) => {
+            if (i > 0) {
+                index += Math.max(1, Math.round((beat.time - beats[i - 1].time) / period));
+            }
+            tracker.record(index, beat.strength + (beat.type === 'kick' ? 0.5 : 0));
+            return index;
+        });
+
+        // 整曲分析可以“看到未来”，用以每拍为中心的窗口估计
+        const halfWindow = Math.floor(tracker.config.historyBeats / 2);
+        beats.forEach((beat, i) => {
+            tracker.update(indices[i] - halfWindow, indices[i] + halfWindow);
+            Object.assign(beat, tracker.getPosition(indices[i]));
+        });
+
+        return tracker.getState();
+    }
+
+    // 取消正在进行的分析
+    cancel() {
+        this.currentJob++;
+        this.isAnalyzing = false;
+    }
+
+    // 更新配置
+    updateConfig(newConfig) {
+        this.config = { ...this.config, ...newConfig };
+        console.log('BeatMapAnalyzer config updated');
+    }
+}
@@ -0,0 +1,394 @@
+/**
+ * 振动输出后端
+ * 同一套节拍振动模式可以同时输出到多个目标：设备振动、手柄双马达、外部硬件（WebHID、WebSocket）、录制等。
+ * 每个后端声明自己的能力，振动控制器据此调整发送的模式
+ */
+
+// 输出后端基类
+class HapticBackend {
+    constructor(name) {
+        this.name = name;
+    }
+
+    // 后端能力
+    // intensity: 是否支持直接设置强度（不支持时由控制器合成PWM脉冲）
+    // maxPatternLength: 模式数组最大长度；maxDuration: 单段最大时长（毫秒）
+    getCapabilities() {
+        return {
+            intensity: false,
+            maxPatternLength: Infinity,
+            maxDuration: Infinity
+        };
+    }
+
+    // 输出振动模式，options.intensity为0-1强度（仅intensity能力的后端会收到）
+    vibrate(pattern, options = {}) {
+        return false;
+    }
+
+    // 停止振动
+    stop() {}
+
+    // 清理资源
+    cleanup() {
+        this.stop();
+    }
+
+    // 当前环境是否可用
+    static isAvailable() {
+        return true;
+    }
+
+    // 注册后端类型，供运行时按名称创建
+    static register(type, BackendClass) {
+        HapticBackend.types[type] = BackendClass;
+    }
+
+    // 按类型创建后端
+    static create(type, ...args) {
+        const BackendClass = HapticBackend.types[type];
+        if (!BackendClass) {
+            throw new Error(`Unknown haptic backend: ${type}`);
+        }
+        return new BackendClass(...args);
+    }
+
+    // 列出当前环境可用的后端类型
+    static getAvailableTypes() {
+        return Object.keys(HapticBackend.types).filter(type => HapticBackend.types[type].isAvailable());
+    }
+}
+
+HapticBackend.types = {};
+
+// 设备振动（Vibration API）
+class VibrationApiBackend extends HapticBackend {
+    constructor() {
+        super('vibration');
+    }
+
+    getCapabilities() {
+        return {
+            intensity: false,
+            maxPatternLength: 99,   // Chromium对模式长度的限制
+            maxDuration: 10000      // Chromium对单段时长的限制
+        };
+    }
+
+    vibrate(pattern) {
+        return navigator.vibrate(pattern);
+    }
+
+    stop() {
+        navigator.vibrate(0);
+    }
+
+    static isAvailable() {
+        return 'vibrate' in navigator;
+    }
+}
+
+// 手柄双马达振动（Gamepad vibrationActuator）
+class GamepadRumbleBackend extends HapticBackend {
+    constructor() {
+        super('gamepad');
+        this.timers = [];
+    }
+
+    getCapabilities() {
+        return {
+            intensity: true,
+            maxPatternLength: Infinity,
+            maxDuration: 5000       // dual-rumble单次效果的时长上限
+        };
+    }
+
+    // 获取第一个支持振动的手柄（手柄需要按过按键才会出现在列表中）
+    getActuator() {
+        const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+        for (const gamepad of gamepads) {
+            if (gamepad && gamepad.vibrationActuator) {
+                return gamepad.vibrationActuator;
+            }
+        }
+        return null;
+    }
+
+    vibrate(pattern, options = {}) {
+        const actuator = this.getActuator();
+        if (!actuator) {
+            return false;
+        }
+
+        this.stop();
+
+        const intensity = options.intensity === undefined ? 1 : options.intensity;
+        const segments = Array.isArray(pattern) ? pattern : [pattern];
+
+        // playEffect会覆盖正在进行的效果，因此按时间逐段触发
+        let offset = 0;
+        segments.forEach((duration, index) => {
+            if (index % 2 === 0 && duration > 0) {
+                const timer = setTimeout(() => {
+                    actuator.playEffect('dual-rumble', {
+                        duration,
+                        strongMagnitude: intensity,
+                        weakMagnitude: intensity * 0.5
+                    }).catch(() => {});
+                }, offset);
+                this.timers.push(timer);
+            }
+            offset += duration;
+        });
+
+        return true;
+    }
+
+    stop() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers = [];
+
+        const actuator = this.getActuator();
+        if (actuator && actuator.reset) {
+            actuator.reset().catch(() => {});
+        }
+    }
+
+    static isAvailable() {
+        return 'getGamepads' in navigator;
+    }
+}
+
+// 外部振动硬件（通过WebHID输出报告发送强度）
+class WebHidBackend extends HapticBackend {
+    constructor(filters = []) {
+        super('webhid');
+        this.filters = filters;
+        this.device = null;
+        this.report = null;     // 使用的输出报告 {reportId, length}
+        this.timers = [];
+    }
+
+    getCapabilities() {
+        return {
+            intensity: true,
+            maxPatternLength: Infinity,
+            maxDuration: Infinity
+        };
+    }
+
+    // 请求用户选择设备并打开（必须在用户操作中调用）
+    async connect() {
+        const devices = await navigator.hid.requestDevice({ filters: this.filters });
+        const device = devices.find(item => this.findOutputReport(item));
+        if (!device) {
+            throw new Error('No HID device with output reports selected');
+        }
+
+        if (!device.opened) {
+            await device.open();
+        }
+        this.device = device;
+        this.report = this.findOutputReport(device);
+        console.log('Haptic HID device connected:', device.productName);
+    }
+
+    // 查找设备的第一个输出报告，长度按报告项的位数计算
+    findOutputReport(device) {
+        for (const collection of device.collections) {
+            const report = (collection.outputReports || [])[0];
+            if (report) {
+                const bits = report.items.reduce((sum, item) => sum + item.reportSize * item.reportCount, 0);
+                return { reportId: report.reportId, length: Math.ceil(bits / 8) };
+            }
+        }
+        return null;
+    }
+
+    // 是否已连接
+    isConnected() {
+        return !!this.device && this.device.opened;
+    }
+
+    // 发送强度（0-1），输出报告的每个字节都写入同一强度值（0-255），双马达设备两个马达同时驱动
+    sendIntensity(intensity) {
+        if (!this.isConnected()) {
+            return false;
+        }
+
+        const level = Math.round(Math.max(0, Math.min(1, intensity)) * 255);
+        const data = new Uint8Array(this.report.length).fill(level);
+        this.device.sendReport(this.report.reportId, data).catch(() => {});
+        return true;
+    }
+
+    vibrate(pattern, options = {}) {
+        if (!this.isConnected()) {
+            return false;
+        }
+
+        this.stop();
+
+        const intensity = options.intensity === undefined ? 1 : options.intensity;
+        const segments = Array.isArray(pattern) ? pattern : [pattern];
+
+        // HID设备只接收强度，按时间逐段切换振动与停顿，结束后归零
+        let offset = 0;
+        segments.forEach((duration, index) => {
+            const level = index % 2 === 0 ? intensity : 0;
+            this.timers.push(setTimeout(() => this.sendIntensity(level), offset));
+            offset += duration;
+        });
+        this.timers.push(setTimeout(() => this.sendIntensity(0), offset));
+
+        return true;
+    }
+
+    stop() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers = [];
+        this.sendIntensity(0);
+    }
+
+    cleanup() {
+        this.stop();
+        if (this.device) {
+            this.device.close().catch(() => {});
+            this.device = null;
+        }
+    }
+
+    static isAvailable() {
+        return 'hid' in navigator;
+    }
+}
+
+// 外部振动硬件（通过WebSocket发送JSON消息）
+class WebSocketBackend extends HapticBackend {
+    constructor(url) {
+        super('websocket');
+        this.url = url;
+        this.socket = null;
+    }
+
+    getCapabilities() {
+        return {
+            intensity: true,
+            maxPatternLength: Infinity,
+            maxDuration: Infinity
+        };
+    }
+
+    // 连接到外部硬件
+    connect() {
+        return new Promise((resolve, reject) => {
+            try {
+                this.socket = new WebSocket(this.url);
+            } catch (error) {
+                reject(error);
+                return;
+            }
+
+            this.socket.onopen = () => {
+                console.log('Haptic WebSocket connected:', this.url);
+                resolve();
+            };
+            this.socket.onerror = () => {
+                reject(new Error('Failed to connect haptic WebSocket'));
+            };
+            this.socket.onclose = () => {
+                console.log('Haptic WebSocket closed');
+            };
+        });
+    }
+
+    // 是否已连接
+    isConnected() {
+        return !!this.socket && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    // 发送消息
+    send(message) {
+        if (!this.isConnected()) {
+            return false;
+        }
+
+        this.socket.send(JSON.stringify({
+            ...message,
+            timestamp: Date.now()
+        }));
+        return true;
+    }
+
+    vibrate(pattern, options = {}) {
+        return this.send({
+            type: 'vibrate',
+            pattern: Array.isArray(pattern) ? pattern : [pattern],
+            intensity: options.intensity === undefined ? 1 : options.intensity
+        });
+    }
+
+    stop() {
+        this.send({ type: 'stop' });
+    }
+
+    cleanup() {
+        this.stop();
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+
+    static isAvailable() {
+        return 'WebSocket' in window;
+    }
+}
+
+// 录制后端（测试与调试用，记录所有输出而不振动）
+class RecordingBackend extends HapticBackend {
+    constructor() {
+        super('recording');
+        this.records = [];
+    }
+
+    getCapabilities() {
+        return {
+            intensity: true,
+            maxPatternLength: Infinity,
+            maxDuration: Infinity
+        };
+    }
+
+    vibrate(pattern, options = {}) {
+        this.records.push({
+            time: performance.now(),
+            pattern: Array.isArray(pattern) ? [...pattern] : [pattern],
+            intensity: options.intensity
+        });
+        return true;
+    }
+
+    stop() {
+        this.records.push({
+            time: performance.now(),
+            pattern: [0]
+        });
+    }
+
+    // 获取录制结果
+    getRecords() {
+        return this.records;
+    }
+
+    // 清空录制
+    clear() {
+        this.records = [];
+    }
+}
+
+HapticBackend.register('vibration', VibrationApiBackend);
+HapticBackend.register('gamepad', GamepadRumbleBackend);
+HapticBackend.register('webhid', WebHidBackend);
+HapticBackend.register('websocket', WebSocketBackend);
+HapticBackend.register('recording', RecordingBackend);
@@ -0,0 +1,210 @@
+/**
+ * 振动功耗调节器
+ * 在滚动时间窗口内统计马达的实际工作占空比，结合电池状态（Battery Status API）和用户选择的模式
+ * （省电/均衡/最强）决定当前的振动强度等级：等级越低，振动越弱、越短、越稀疏
+ */
+
+// 强度等级：intensity为强度倍数，length为振动段时长倍数，minInterval为额外的最小振动间隔（毫秒）
+const HAPTIC_GOVERNOR_STEPS = [
+    { name: '满强度', intensity: 1, length: 1, minInterval: 0 },
+    { name: '较强', intensity: 0.85, length: 0.85, minInterval: 80 },
+    { name: '节能', intensity: 0.7, length: 0.7, minInterval: 150 },
+    { name: '最低', intensity: 0.5, length: 0.5, minInterval: 250 }
+];
+
+class HapticGovernor {
+    constructor(mode = 'balanced') {
+        // 调节配置
+        this.config = {
+            shortWindow: 5000,      // 短窗口（毫秒），限制突发的密集振动
+            longWindow: 30000,      // 长窗口（毫秒），限制持续的平均功耗
+            burstFactor: 2,         // 短窗口允许的占空比是预算的几倍
+            minSegment: 10          // 缩短后的振动段最短时长（毫秒）
+        };
+
+        this.mode = 'balanced';
+        this.segments = [];         // 最近的振动段 {start, end, weight}
+        this.lastOutput = -Infinity;     // 上次实际输出的时间
+        this.step = 0;
+        this.reasons = [];
+
+        // 电池状态（不支持Battery Status API时为null）
+        this.battery = null;
+
+        // 事件回调
+        this.callbacks = {
+            onChange: []    // 强度等级变化
+        };
+
+        this.setMode(mode);
+    }
+
+    // 连接电池状态，电量或充电状态变化时重新计算等级
+    async connectBattery() {
+        if (typeof navigator === 'undefined' || !navigator.getBattery) {
+            return false;
+        }
+
+        try {
+            const battery = await navigator.getBattery();
+            const update = () => {
+                this.battery = { level: battery.level, charging: battery.charging };
+                this.updateStep(performance.now());
+            };
+
+            battery.addEventListener('levelchange', update);
+            battery.addEventListener('chargingchange', update);
+            update();
+            return true;
+        } catch (error) {
+            console.warn('Battery status not available:', error);
+            return false;
+        }
+    }
+
+    // 切换模式
+    setMode(mode) {
+        if (!HapticGovernor.modes[mode]) {
+            console.warn('Unknown governor mode:', mode);
+            return false;
+        }
+
+        this.mode = mode;
+        this.updateStep(performance.now());
+        return true;
+    }
+
+    // 按当前等级调整一次振动，返回 {pattern, options}；需要跳过这次振动时返回null
+    apply(pattern, options, now) {
+        this.updateStep(now);
+
+        const step = HAPTIC_GOVERNOR_STEPS[this.step];
+        if (now - this.lastOutput < step.minInterval) {
+            return null;
+        }
+
+        // 占空比超出短窗口预算时跳过，让马达休息
+        const mode = HapticGovernor.modes[this.mode];
+        if (this.getDuty(this.config.shortWindow, now) > mode.maxDuty * this.config.burstFactor * this.getBatteryFactor()) {
+            return null;
+        }
+
+        if (this.step === 0) {
+            return { pattern, options };
+        }
+
+        const segments = Array.isArray(pattern) ? pattern : [pattern];
+        return {
+            pattern: segments.map((duration, index) => {
+                return index % 2 === 0 ? Math.max(this.config.minSegment, Math.round(duration * step.length)) : duration;
+            }),
+            options: {
+                ...options,
+                intensity: (options.intensity !== undefined ? options.intensity : 1) * step.intensity
+            }
+        };
+    }
+
+    // 记录实际输出的振动（强度越低计入的功耗越少）；最小间隔从实际输出时算起，被安全限制拦下或输出失败的振动不占间隔
+    record(pattern, options, now) {
+        this.lastOutput = now;
+        const weight = options.intensity !== undefined ? options.intensity : 1;
+        let time = now;
+
+        (Array.isArray(pattern) ? pattern : [pattern]).forEach((duration, index) => {
+            if (index % 2 === 0 && duration > 0) {
+                this.segments.push({ start: time, end: time + duration, weight });
+            }
+            time += duration;
+        });
+
+        // 只保留长窗口内的记录
+        const oldest = now - this.config.longWindow;
+        this.segments = this.segments.filter(segment => segment.end > oldest);
+    }
+
+    // 窗口内的加权占空比（0-1）
+    getDuty(windowMs, now) {
+        const from = now - windowMs;
+        let active = 0;
+
+        this.segments.forEach(segment => {
+            const overlap = Math.min(segment.end, now) - Math.max(segment.start, from);
+            if (overlap > 0) {
+                active += overlap * segment.weight;
+            }
+        });
+
+        return active / windowMs;
+    }
+
+    // 电量对功耗预算的影响（充电时不限制）
+    getBatteryFactor() {
+        const battery = this.battery;
+        if (!HapticGovernor.modes[this.mode].batteryAware || !battery || battery.charging) {
+            return 1;
+        }
+        if (battery.level > 0.5) return 1;
+        if (battery.level > 0.3) return 0.75;
+        if (battery.level > 0.15) return 0.5;
+        return 0.3;
+    }
+
+    // 重新计算强度等级：模式的基础等级 + 电量等级 + 占空比超出预算的等级
+    updateStep(now) {
+        const mode = HapticGovernor.modes[this.mode];
+        const reasons = [];
+        let step = mode.baseStep;
+
+        const batteryFactor = this.getBatteryFactor();
+        if (batteryFactor < 1) {
+            step += batteryFactor >= 0.75 ? 1 : batteryFactor >= 0.5 ? 2 : 3;
+            reasons.push('battery');
+        }
+
+        const budget = mode.maxDuty * batteryFactor;
+        if (this.getDuty(this.config.longWindow, now) > budget) {
+            step++;
+            reasons.push('duty');
+        }
+
+        step = Math.min(HAPTIC_GOVERNOR_STEPS.length - 1, step);
+        const changed = step !== this.step || reasons.join() !== this.reasons.join();
+        this.step = step;
+        this.reasons = reasons;
+
+        if (changed) {
+            this.triggerCallbacks('onChange', this.getState());
+        }
+    }
+
+    // 获取当前状态
+    getState() {
+        const now = performance.now();
+        return {
+            mode: this.mode,
+            step: this.step,
+            level: HAPTIC_GOVERNOR_STEPS[this.step].name,
+            reasons: [...this.reasons],
+            battery: this.battery ? { ...this.battery } : null,
+            duty: {
+                short: this.getDuty(this.config.shortWindow, now),
+                long: this.getDuty(this.config.longWindow, now)
+            }
+        };
+    }
+
+    // 更新配置
+    updateConfig(newConfig) {
+        this.config = { ...this.config, ...newConfig };
+    }
+}
+
+// 模式：baseStep为基础强度等级，maxDuty为长窗口内允许的平均占空比，batteryAware表示是否随电量降级
+HapticGovernor.modes = {
+    eco: { name: '省电', baseStep: 1, maxDuty: 0.15, batteryAware: true },
+    balanced: { name: '均衡', baseStep: 0, maxDuty: 0.3, batteryAware: true },
+    max: { name: '最强', baseStep: 0, maxDuty: Infinity, batteryAware: false }
+};
+
+Object.assign(HapticGovernor.prototype, EventEmitterMixin);
@@ -0,0 +1,206 @@
+/**
+ * 振动模式合成器
+ * Vibration API只支持开/关，这里通过类PWM的快速脉冲序列模拟振动强度：
+ * 把0-1的连续强度包络转换为开关脉冲，占空比越高手感越强
+ */
+
+// 不同马达的脉冲参数（马达启动时间不同，能感知的最短脉冲也不同）
+const HAPTIC_MOTOR_PROFILES = {
+    default: {
+        period: 40,     // PWM周期（毫秒）
+        minPulse: 15,   // 最短可感知脉冲（毫秒）
+        minGap: 10      // 最短可感知停顿（毫秒）
+    },
+    lra: {
+        // 线性马达：响应快，可以用更短的周期
+        period: 25,
+        minPulse: 8,
+        minGap: 8
+    },
+    erm: {
+        // 转子马达：启动和停止都慢，需要更长的脉冲
+        period: 60,
+        minPulse: 25,
+        minGap: 15
+    }
+};
+
+class HapticPatternSynth {
+    constructor(profileName = 'default') {
+        this.profileName = 'default';
+
+        // 合成配置
+        this.config = {
+            ...HAPTIC_MOTOR_PROFILES.default,
+            minIntensity: 0.05,     // 低于此强度不振动
+            maxIntensity: 0.95,     // 高于此强度直接连续振动
+            curve: 1,               // 强度曲线指数（>1时弱振动更弱）
+            maxPatternLength: 128   // 模式数组最大长度
+        };
+
+        this.setProfile(profileName);
+    }
+
+    // 切换马达配置
+    setProfile(profileName) {
+        const profile = HAPTIC_MOTOR_PROFILES[profileName];
+        if (!profile) {
+            console.warn('Unknown motor profile:', profileName);
+            return false;
+        }
+
+        this.profileName = profileName;
+        this.config = { ...this.config, ...profile };
+        return true;
+    }
+
+    // 将强度包络合成为振动模式
+    // envelope: [{ duration, intensity, endIntensity? }]，endIntensity存在时线性渐变
+    // maxLength: 模式数组最大长度（输出后端有更严格限制时传入）
+    synthesize(envelope, maxLength = this.config.maxPatternLength) {
+        const limit = Math.min(maxLength, this.config.maxPatternLength);
+        let period = this.config.period;
+        let pattern = this.renderEnvelope(envelope, period);
+
+        // 模式过长时加大周期重新合成（牺牲平滑度换取兼容性）
+        for (let attempt = 0; pattern.length > limit && attempt < 4; attempt++) {
+            period *= 1.5;
+            pattern = this.renderEnvelope(envelope, period);
+        }
+
+        return pattern.slice(0, limit);
+    }
+
+    // 恒定强度的单个脉冲
+    pulse(intensity, duration) {
+        return this.synthesize([{ duration, intensity }]);
+    }
+
+    // 从给定强度衰减的脉冲（更接近打击乐的手感）
+    decay(intensity, duration, sustain = 0.3) {
+        return this.synthesize([{
+            duration,
+            intensity,
+            endIntensity: intensity * sustain
+        }]);
+    }
+
+    // 按强度重新塑形开关模式：振动段按强度合成，停顿段保持不变
+    // options.sustain: 每段振动结束时的强度比例（小于1时逐段衰减）；options.maxLength: 模式最大长度
+    shapePattern(pattern, intensity, options = {}) {
+        const segments = Array.isArray(pattern) ? pattern : [pattern];
+        const sustain = options.sustain === undefined ? 1 : options.sustain;
+
+        return this.synthesize(segments.map((duration, index) => ({
+            duration,
+            intensity: index % 2 === 0 ? intensity : 0,
+            endIntensity: index % 2 === 0 ? intensity * sustain : 0
+        })), options.maxLength);
+    }
+
+    // 按指定周期渲染包络
+    renderEnvelope(envelope, period) {
+        const pattern = [];
+        const state = { carry: 0, active: false };
+
+        envelope.forEach(segment => {
+            const duration = Math.max(0, segment.duration || 0);
+            const startIntensity = this.clamp(segment.intensity);
+            const endIntensity = segment.endIntensity === undefined
+                ? startIntensity
+                : this.clamp(segment.endIntensity);
+
+            let elapsed = 0;
+            while (elapsed < duration) {
+                const cycle = Math.min(period, duration - elapsed);
+
+                // 以周期中点的强度作为本周期占空比
+                const progress = duration > 0 ? (elapsed + cycle / 2) / duration : 0;
+                const intensity = startIntensity + (endIntensity - startIntensity) * progress;
+                const [on, off] = this.dutyCycle(intensity, cycle, state);
+
+                this.appendSegment(pattern, true, on);
+                this.appendSegment(pattern, false, off);
+                elapsed += cycle;
+            }
+        });
+
+        // 去掉末尾无意义的停顿
+        if (pattern.length % 2 === 0) {
+            pattern.pop();
+        }
+
+        return pattern.map(value => Math.round(value));
+    }
+
+    // 计算一个周期内的开/关时长
+    // state.carry记录因马达限制未能输出（或多输出）的振动时长，累积到后续周期（误差扩散），保证平均强度不变
+    dutyCycle(intensity, cycle, state) {
+        if (intensity < this.config.minIntensity) {
+            state.carry = 0;
+            state.active = false;
+            return [0, cycle];
+        }
+
+        const wasActive = state.active;
+        state.active = true;
+
+        if (intensity >= this.config.maxIntensity) {
+            state.carry = 0;
+            return [cycle, 0];
+        }
+
+        const duty = Math.pow(intensity, this.config.curve);
+        const wanted = cycle * duty + state.carry;
+
+        // 起振时立即输出一个可感知脉冲，保证与节拍对齐，多出的时长由后续周期偿还
+        if (!wasActive && wanted < this.config.minPulse) {
+            const on = Math.min(this.config.minPulse, cycle);
+            state.carry = wanted - on;
+            return [on, cycle - on];
+        }
+
+        // 马达来不及启动：本周期不振动，时长累积到下个周期
+        if (wanted < this.config.minPulse) {
+            state.carry = wanted;
+            return [0, cycle];
+        }
+
+        let on = Math.min(wanted, cycle);
+
+        // 停顿太短马达停不下来：整个周期都振动
+        if (cycle - on < this.config.minGap) {
+            on = cycle;
+        }
+
+        state.carry = wanted - on;
+        return [on, cycle - on];
+    }
+
+    // 追加一段开或关，与相同状态的上一段合并
+    appendSegment(pattern, isOn, duration) {
+        if (duration <= 0) return;
+
+        // 模式数组偶数位为振动，奇数位为停顿
+        const nextIsOn = pattern.length % 2 === 0;
+
+        if (nextIsOn === isOn) {
+            pattern.push(duration);
+        } else if (pattern.length === 0) {
+            // 以停顿开头时补一个0毫秒的振动
+            pattern.push(0, duration);
+        } else {
+            pattern[pattern.length - 1] += duration;
+        }
+    }
+
+    // 限制强度范围
+    clamp(value) {
+        return Math.max(0, Math.min(1, value || 0));
+    }
+
+    // 获取可用的马达配置
+    static getProfiles() {
+        return Object.keys(HAPTIC_MOTOR_PROFILES);
+    }
+}
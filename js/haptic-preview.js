@@ -0,0 +1,247 @@
+/**
+ * 振动预览输出
+ * 在不支持振动的设备（桌面、iOS）上把振动模式渲染为屏幕上的时间线和脉冲指示灯，
+ * 并可选地用短促的点击声表示每次振动
+ */
+
+class HapticPreviewBackend extends HapticBackend {
+    constructor(elements = {}) {
+        super('preview');
+        this.indicator = elements.indicator;
+        this.canvas = elements.canvas;
+        this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
+
+        // 预览配置
+        this.config = {
+            audibleClick: false,    // 是否播放点击声
+            clickFrequency: 180,    // 点击声频率（Hz）
+            clickVolume: 0.25,      // 点击声音量
+            clickDuration: 0.012,   // 点击声长度（秒）
+            timelineWindow: 3000,   // 时间线显示范围（毫秒）
+            backgroundColor: '#f5f5f5',
+            pulseColor: '#FF5722',
+            gridColor: 'rgba(0, 0, 0, 0.08)'
+        };
+
+        // 已输出的振动事件：{ start, end, pattern }
+        this.events = [];
+        this.animationId = null;
+        this.audioContext = null;
+
+        this.setupCanvas();
+
+        console.log('HapticPreviewBackend initialized');
+    }
+
+    // 设置画布分辨率
+    setupCanvas() {
+        if (!this.canvas) return;
+
+        const rect = this.canvas.getBoundingClientRect();
+        const dpr = window.devicePixelRatio || 1;
+        const width = rect.width || 300;
+        const height = rect.height || 40;
+
+        this.canvas.width = width * dpr;
+        this.canvas.height = height * dpr;
+        this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+        this.width = width;
+        this.height = height;
+        this.draw(performance.now());
+    }
+
+    // 后端能力：与设备振动一致，只显示开/关
+    getCapabilities() {
+        return {
+            intensity: false,
+            maxPatternLength: Infinity,
+            maxDuration: Infinity
+        };
+    }
+
+    // 输出振动模式（与navigator.vibrate语义一致：新模式会打断正在进行的模式）
+    vibrate(pattern) {
+        const segments = Array.isArray(pattern) ? pattern : [pattern];
+        const now = performance.now();
+
+        this.cancelCurrent(now);
+
+        const total = segments.reduce((sum, value) => sum + value, 0);
+        if (total <= 0) {
+            return true;
+        }
+
+        this.events.push({
+            start: now,
+            end: now + total,
+            pattern: segments
+        });
+
+        if (this.config.audibleClick) {
+            this.playClicks(segments);
+        }
+
+        this.startAnimation();
+        return true;
+    }
+
+    // 停止振动
+    stop() {
+        this.cancelCurrent(performance.now());
+    }
+
+    // 截断正在进行的振动
+    cancelCurrent(now) {
+        const last = this.events[this.events.length - 1];
+        if (last && last.end > now) {
+            last.end = now;
+        }
+
+        if (this.clickGain) {
+            this.clickGain.disconnect();
+            this.clickGain = null;
+        }
+    }
+
+    // 判断某一时刻是否处于振动状态
+    isOnAt(time) {
+        for (let i = this.events.length - 1; i >= 0; i--) {
+            const event = this.events[i];
+            if (time < event.start) continue;
+            if (time >= event.end) return false;
+
+            let offset = event.start;
+            for (let j = 0; j < event.pattern.length; j++) {
+                offset += event.pattern[j];
+                if (time < offset) {
+                    return j % 2 === 0;
+                }
+            }
+            return false;
+        }
+        return false;
+    }
+
+    // 用点击声表示每段振动的开始
+    playClicks(segments) {
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContext) return;
+
+        if (!this.audioContext) {
+            this.audioContext = new AudioContext();
+        }
+
+        const context = this.audioContext;
+        const gainNode = context.createGain();
+        gainNode.gain.value = this.config.clickVolume;
+        gainNode.connect(context.destination);
+        this.clickGain = gainNode;
+
+        let offset = 0;
+        segments.forEach((duration, index) => {
+            if (index % 2 === 0 && duration > 0) {
+                const startTime = context.currentTime + offset / 1000;
+                const oscillator = context.createOscillator();
+                const envelope = context.createGain();
+
+                oscillator.frequency.value = this.config.clickFrequency;
+                envelope.gain.setValueAtTime(1, startTime);
+                envelope.gain.exponentialRampToValueAtTime(0.001, startTime + this.config.clickDuration);
+
+                oscillator.connect(envelope);
+                envelope.connect(gainNode);
+                oscillator.start(startTime);
+                oscillator.stop(startTime + this.config.clickDuration);
+            }
+            offset += duration;
+        });
+    }
+
+    // 开始动画
+    startAnimation() {
+        if (this.animationId) return;
+
+        const loop = (time) => {
+            this.draw(time);
+
+            // 丢弃已移出时间线的事件
+            this.events = this.events.filter(event => time - event.end < this.config.timelineWindow);
+
+            // 所有事件都移出时间线后停止动画
+            const last = this.events[this.events.length - 1];
+            if (last && time - last.end < this.config.timelineWindow) {
+                this.animationId = requestAnimationFrame(loop);
+            } else {
+                this.animationId = null;
+                this.events = [];
+            }
+        };
+
+        this.animationId = requestAnimationFrame(loop);
+    }
+
+    // 绘制指示灯和时间线
+    draw(now) {
+        if (this.indicator) {
+            this.indicator.classList.toggle('active', this.isOnAt(now));
+        }
+
+        if (!this.ctx) return;
+
+        const ctx = this.ctx;
+        const width = this.width;
+        const height = this.height;
+        const windowStart = now - this.config.timelineWindow;
+        const scale = width / this.config.timelineWindow;
+
+        ctx.fillStyle = this.config.backgroundColor;
+        ctx.fillRect(0, 0, width, height);
+
+        // 每500毫秒一条网格线
+        ctx.fillStyle = this.config.gridColor;
+        for (let t = Math.ceil(windowStart / 500) * 500; t < now; t += 500) {
+            ctx.fillRect((t - windowStart) * scale, 0, 1, height);
+        }
+
+        // 振动段
+        ctx.fillStyle = this.config.pulseColor;
+        this.events.forEach(event => {
+            if (event.end < windowStart) return;
+
+            let offset = event.start;
+            event.pattern.forEach((duration, index) => {
+                const segmentStart = offset;
+                const segmentEnd = Math.min(offset + duration, event.end, now);
+                offset += duration;
+
+                if (index % 2 !== 0 || segmentEnd <= segmentStart || segmentEnd < windowStart) return;
+
+                const x = (Math.max(segmentStart, windowStart) - windowStart) * scale;
+                const w = Math.max(1, (segmentEnd - Math.max(segmentStart, windowStart)) * scale);
+                ctx.fillRect(x, height * 0.2, w, height * 0.6);
+            });
+        });
+    }
+
+    // 更新配置
+    updateConfig(newConfig) {
+        this.config = { ...this.config, ...newConfig };
+    }
+
+    // 清理资源
+    cleanup() {
+        this.stop();
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+        this.events = [];
+    }
+}
+
+HapticBackend.register('preview', HapticPreviewBackend);
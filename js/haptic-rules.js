@@ -0,0 +1,318 @@
+/**
+ * 振动规则引擎
+ * 用声明式规则把实时分析特征映射为振动：每条规则是一组特征条件加上振动模式、优先级、冷却时间和强度缩放，
+ * 每帧触发满足条件且优先级最高的一条规则。特征按路径取值（如 frequency.bass、volume.level、frequency.bands.0.level），
+ * config.* 取振动控制器的配置
+ */
+
+// 默认规则：节拍 > 频率突变 > 音量突增（与原先固定的优先级链一致）
+// 频率突变后低频未超过阈值时不振动，但本帧不再检查音量突增
+const HAPTIC_DEFAULT_RULES = [
+    {
+        id: 'beat',
+        name: '节拍',
+        priority: 100,
+        action: 'beat'      // 节拍网格预测与分乐器振动由振动控制器处理
+    },
+    {
+        id: 'bass-jump',
+        name: '低频突变',
+        priority: 50,
+        gap: 150,
+        conditions: [
+            { feature: 'frequency.bass', above: 0.5 },
+            { feature: 'frequency.bass', change: 0.3 }
+        ],
+        gate: [{ feature: 'frequency.bass', above: 'config.frequencyThreshold' }],
+        pattern: ['config.maxDuration', 100],
+        intensity: { feature: 'frequency.bass', scale: 'config.intensityMultiplier', max: 1 },
+        lengthScale: { feature: 'frequency.bass', scale: 'config.intensityMultiplier', max: 1 },
+        minLength: 51,
+        sustain: 0.3
+    },
+    {
+        id: 'treble-jump',
+        name: '高频突变',
+        priority: 50,
+        gap: 150,
+        conditions: [
+            { feature: 'frequency.treble', above: 0.6 },
+            { feature: 'frequency.treble', change: 0.4 }
+        ],
+        gate: [{ feature: 'frequency.bass', above: 'config.frequencyThreshold' }],
+        pattern: ['config.maxDuration', 100],
+        intensity: { feature: 'frequency.bass', scale: 'config.intensityMultiplier', max: 1 },
+        lengthScale: { feature: 'frequency.bass', scale: 'config.intensityMultiplier', max: 1 },
+        minLength: 51,
+        sustain: 0.3
+    },
+    {
+        id: 'volume-jump',
+        name: '音量突增',
+        priority: 10,
+        gap: 200,
+        idleOnly: true,
+        conditions: [
+            { feature: 'volume.level', above: 0.8 },
+            { feature: 'volume.level', change: 0.3 }
+        ],
+        pattern: [150, 50],
+        lengthScale: 'volume.level'
+    }
+];
+
+class HapticRuleEngine {
+    constructor(rules = HAPTIC_DEFAULT_RULES) {
+        this.setRules(rules);
+    }
+
+    // 设置规则（校验后按优先级从高到低排列），无效时抛出错误
+    setRules(rules) {
+        this.rules = HapticRuleEngine.normalizeRules(rules)
+            .filter(rule => rule.enabled)
+            .sort((a, b) => b.priority - a.priority);
+        this.reset();
+    }
+
+    // 清空条件状态（上一帧的特征值、持续时间）和冷却计时
+    reset() {
+        this.state = new Map();
+        this.rules.forEach(rule => {
+            this.state.set(rule.id, {
+                lastFired: -Infinity,
+                conditions: rule.conditions.map(() => ({ previous: undefined, since: null }))
+            });
+        });
+    }
+
+    // 评估一帧特征，返回满足条件且不在冷却中的规则（按优先级排列）
+    // status: { lastVibrationTime, isVibrating } 振动控制器的当前状态
+    evaluate(features, now, status = {}) {
+        const matched = [];
+
+        this.rules.forEach(rule => {
+            const state = this.state.get(rule.id);
+            const waiting = now - state.lastFired < rule.cooldown ||
+                now - (status.lastVibrationTime || 0) < rule.gap;
+
+            // 所有条件每帧都要检查，持续时间才不会因为其他规则触发而中断；
+            // 冷却期间不更新变化量的基准，冷却结束后与冷却前的值比较
+            let holds = true;
+            rule.conditions.forEach((condition, index) => {
+                if (!this.checkCondition(condition, state.conditions[index], features, now, !waiting)) {
+                    holds = false;
+                }
+            });
+
+            if (holds && !waiting && !(rule.idleOnly && status.isVibrating)) {
+                matched.push(rule);
+            }
+        });
+
+        return matched;
+    }
+
+    // 记录规则已触发（开始冷却）
+    markFired(rule, now) {
+        const state = this.state.get(rule.id);
+        if (state) {
+            state.lastFired = now;
+        }
+    }
+
+    // 检查单个条件，阈值可以是数字或特征路径，sustain条件需要连续满足指定毫秒数
+    // updateBaseline为false时保留change/rise比较的上一个值
+    checkCondition(condition, state, features, now, updateBaseline = true) {
+        const value = HapticRuleEngine.getValue(features, condition.feature);
+        if (typeof value !== 'number' && typeof value !== 'boolean') {
+            state.previous = undefined;
+            state.since = null;
+            return false;
+        }
+
+        const number = Number(value);
+        const previous = state.previous;
+        if (updateBaseline || previous === undefined) {
+            state.previous = number;
+        }
+
+        const threshold = (key) => this.resolve(condition[key], features);
+        let holds = true;
+        if (condition.equals !== undefined && value !== condition.equals) holds = false;
+        if (condition.above !== undefined && !(number > threshold('above'))) holds = false;
+        if (condition.below !== undefined && !(number < threshold('below'))) holds = false;
+        if (condition.change !== undefined && !(previous !== undefined && Math.abs(number - previous) > threshold('change'))) holds = false;
+        if (condition.rise !== undefined && !(previous !== undefined && number - previous > threshold('rise'))) holds = false;
+
+        if (!condition.sustain) {
+            return holds;
+        }
+        if (!holds) {
+            state.since = null;
+            return false;
+        }
+        if (state.since === null) {
+            state.since = now;
+        }
+        return now - state.since >= condition.sustain;
+    }
+
+    // 生成规则的振动：返回 {pattern, options}，不满足gate条件或振动太短时返回null（规则仍算作已触发）
+    // patterns: 当前预设的命名振动模式（规则的pattern为字符串时使用）
+    buildVibration(rule, features, patterns = {}) {
+        if (!rule.gate.every(condition => this.checkCondition(condition, { previous: undefined, since: null }, features, 0))) {
+            return null;
+        }
+
+        let pattern = typeof rule.pattern === 'string'
+            ? patterns[rule.pattern]
+            : rule.pattern.map(value => this.resolve(value, features));
+
+        if (!pattern || pattern.some(value => !isFinite(value))) {
+            return null;
+        }
+
+        // 长度缩放只作用于振动段，停顿保持不变
+        const lengthScale = rule.lengthScale !== undefined ? this.resolve(rule.lengthScale, features) : 1;
+        pattern = pattern.map((duration, index) => {
+            return index % 2 === 0 ? Math.max(0, Math.floor(duration * lengthScale)) : duration;
+        });
+
+        if (!(pattern[0] >= rule.minLength)) {
+            return null;
+        }
+
+        const options = {};
+        if (rule.intensity !== undefined) {
+            options.intensity = Math.max(0, Math.min(1, this.resolve(rule.intensity, features)));
+        }
+        if (rule.sustain !== undefined) {
+            options.sustain = rule.sustain;
+        }
+
+        return { pattern, options };
+    }
+
+    // 计算表达式：数字、特征路径，或 {feature, scale, offset, min, max}（scale也可以是路径）
+    resolve(expression, features) {
+        if (typeof expression === 'number') {
+            return expression;
+        }
+        if (typeof expression === 'string') {
+            return Number(HapticRuleEngine.getValue(features, expression));
+        }
+
+        let value = Number(HapticRuleEngine.getValue(features, expression.feature)) *
+            this.resolve(expression.scale !== undefined ? expression.scale : 1, features) +
+            (expression.offset || 0);
+        if (expression.min !== undefined) value = Math.max(expression.min, value);
+        if (expression.max !== undefined) value = Math.min(expression.max, value);
+        return value;
+    }
+
+    // 获取当前规则
+    getRules() {
+        return this.rules;
+    }
+
+    // 按路径取特征值（如 frequency.bands.0.level）
+    static getValue(features, path) {
+        return path.split('.').reduce((value, key) => {
+            return value !== null && value !== undefined ? value[key] : undefined;
+        }, features);
+    }
+
+    // 校验规则列表并补全缺省字段，无效时抛出错误
+    static normalizeRules(rules) {
+        if (!Array.isArray(rules)) {
+            throw new Error('振动规则必须是数组');
+        }
+
+        const ids = new Set();
+        return rules.map((rule, index) => {
+            const normalized = HapticRuleEngine.normalizeRule(rule, index);
+            if (ids.has(normalized.id)) {
+                throw new Error(`振动规则ID重复：${normalized.id}`);
+            }
+            ids.add(normalized.id);
+            return normalized;
+        });
+    }
+
+    // 校验单条规则并补全缺省字段
+    static normalizeRule(rule, index) {
+        if (!rule || typeof rule !== 'object') {
+            throw new Error(`第${index + 1}条振动规则格式无效`);
+        }
+
+        const id = typeof rule.id === 'string' && rule.id ? rule.id : `rule-${index + 1}`;
+        const isNumber = value => typeof value === 'number' && isFinite(value);
+        const isExpression = value => isNumber(value) || (typeof value === 'string' && value.length > 0) ||
+            (value && typeof value === 'object' && typeof value.feature === 'string' &&
+                ['scale', 'offset', 'min', 'max'].every(key => {
+                    return value[key] === undefined || isNumber(value[key]) || (key === 'scale' && typeof value[key] === 'string');
+                }));
+        const fail = (message) => {
+            throw new Error(`振动规则 ${id}：${message}`);
+        };
+
+        const checkConditions = (list, key) => {
+            if (!Array.isArray(list)) fail(`${key}必须是数组`);
+            list.forEach(condition => {
+                if (!condition || typeof condition.feature !== 'string' || !condition.feature) fail('条件缺少feature');
+                ['above', 'below', 'change', 'rise'].forEach(name => {
+                    if (condition[name] !== undefined && !isNumber(condition[name]) && typeof condition[name] !== 'string') {
+                        fail(`条件的${name}必须是数字或特征路径`);
+                    }
+                });
+                if (condition.sustain !== undefined && !isNumber(condition.sustain)) fail('条件的sustain必须是数字');
+            });
+        };
+
+        const conditions = rule.conditions === undefined ? [] : rule.conditions;
+        checkConditions(conditions, 'conditions');
+
+        // gate只在触发时检查一次，不支持与上一帧比较或持续时间
+        const gate = rule.gate === undefined ? [] : rule.gate;
+        checkConditions(gate, 'gate');
+        if (gate.some(condition => ['change', 'rise', 'sustain'].some(name => condition[name] !== undefined))) {
+            fail('gate条件不支持change、rise和sustain');
+        }
+
+        if (rule.action !== undefined) {
+            if (!HapticRuleEngine.actions.includes(rule.action)) fail(`未知的动作 ${rule.action}`);
+        } else if (typeof rule.pattern === 'string') {
+            if (!rule.pattern) fail('缺少振动模式');
+        } else if (!Array.isArray(rule.pattern) || rule.pattern.length === 0 || !rule.pattern.every(isExpression)) {
+            fail('振动模式无效');
+        }
+
+        ['intensity', 'lengthScale'].forEach(key => {
+            if (rule[key] !== undefined && !isExpression(rule[key])) fail(`${key}无效`);
+        });
+        ['priority', 'cooldown', 'gap', 'minLength', 'sustain'].forEach(key => {
+            if (rule[key] !== undefined && !isNumber(rule[key])) fail(`${key}必须是数字`);
+        });
+
+        return {
+            id,
+            name: typeof rule.name === 'string' ? rule.name : id,
+            enabled: rule.enabled !== false,
+            priority: rule.priority || 0,
+            conditions: conditions.map(condition => ({ ...condition })),
+            gate: gate.map(condition => ({ ...condition })),    // 触发后还需满足才振动，不满足时本帧也不再尝试较低优先级的规则
+            action: rule.action,
+            pattern: Array.isArray(rule.pattern) ? [...rule.pattern] : rule.pattern,
+            intensity: rule.intensity,
+            lengthScale: rule.lengthScale,
+            sustain: rule.sustain,
+            cooldown: rule.cooldown || 0,       // 本规则两次触发的最小间隔（毫秒）
+            gap: rule.gap || 0,                 // 距上一次任意振动的最小间隔（毫秒）
+            minLength: rule.minLength || 0,     // 第一段振动短于此值（毫秒）时不振动
+            idleOnly: !!rule.idleOnly           // 只在没有振动进行时触发
+        };
+    }
+}
+
+// 由振动控制器执行的内置动作
+HapticRuleEngine.actions = ['beat'];
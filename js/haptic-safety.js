@@ -0,0 +1,233 @@
+/**
+ * 振动安全限制器
+ * 对所有振动强制执行舒适与安全上限：单次连续振动的最长时间、每分钟的最大占空比，
+ * 超出后马达必须休息一段时间；轻柔模式（可跟随系统的“减少动态效果”设置）使用更严格的上限
+ */
+
+// 限制档位：maxContinuous为连续振动最长时间（毫秒），maxDutyPerMinute为一分钟内允许的占空比，
+// cooldown为达到上限后的强制休息时间（毫秒），minRest为停顿短于此值时视为连续振动，maxIntensity为强度上限
+const HAPTIC_SAFETY_PROFILES = {
+    standard: { name: '标准', maxContinuous: 1500, maxDutyPerMinute: 0.5, cooldown: 2000, minRest: 60, maxIntensity: 1 },
+    gentle: { name: '轻柔', maxContinuous: 400, maxDutyPerMinute: 0.2, cooldown: 3000, minRest: 120, maxIntensity: 0.5 }
+};
+
+class HapticSafetyLimiter {
+    constructor(mode = 'auto') {
+        // 限制配置
+        this.config = {
+            dutyWindow: 60000,      // 占空比统计窗口（毫秒）
+            minSegment: 10          // 截断后的振动段最短时长（毫秒），更短则丢弃
+        };
+
+        this.mode = 'auto';
+        this.reducedMotion = false;     // 系统是否要求减少动态效果
+        this.segments = [];             // 最近的振动段 {start, end}
+        this.runStart = -Infinity;      // 当前连续振动的开始时间
+        this.runEnd = -Infinity;        // 当前连续振动的结束时间
+        this.cooldownUntil = -Infinity; // 强制休息的结束时间
+        this.reason = null;             // 强制休息的原因：continuous / duty
+        this.cooldownTimer = null;
+
+        // 事件回调
+        this.callbacks = {
+            onChange: []    // 档位或休息状态变化
+        };
+
+        this.setMode(mode);
+        this.watchReducedMotion();
+    }
+
+    // 跟随系统的“减少动态效果”设置（auto模式下切换为轻柔档位）
+    watchReducedMotion() {
+        if (typeof window === 'undefined' || !window.matchMedia) {
+            return;
+        }
+
+        const query = window.matchMedia('(prefers-reduced-motion: reduce)');
+        const update = () => {
+            this.reducedMotion = query.matches;
+            this.triggerCallbacks('onChange', this.getState());
+        };
+
+        if (query.addEventListener) {
+            query.addEventListener('change', update);
+        } else if (query.addListener) {
+            query.addListener(update);
+        }
+        this.reducedMotion = query.matches;
+    }
+
+    // 切换模式：auto（跟随系统）/ standard / gentle
+    setMode(mode) {
+        if (mode !== 'auto' && !HAPTIC_SAFETY_PROFILES[mode]) {
+            console.warn('Unknown safety mode:', mode);
+            return false;
+        }
+
+        this.mode = mode;
+        this.triggerCallbacks('onChange', this.getState());
+        return true;
+    }
+
+    // 当前生效的限制档位
+    getProfile() {
+        if (this.mode === 'auto') {
+            return HAPTIC_SAFETY_PROFILES[this.reducedMotion ? 'gentle' : 'standard'];
+        }
+        return HAPTIC_SAFETY_PROFILES[this.mode];
+    }
+
+    // 按限制截断振动模式并限制强度，返回 {pattern, options}；休息中或没有剩余额度时返回null
+    limit(pattern, options, now) {
+        if (now < this.cooldownUntil) {
+            return null;
+        }
+
+        const profile = this.getProfile();
+        let budget = profile.maxDutyPerMinute * this.config.dutyWindow - this.getActiveTime(now);
+
+        // 距上一次振动结束的停顿太短时，接着上一次振动计算连续时长
+        let runStart = now - this.runEnd < profile.minRest ? this.runStart : now;
+        let time = now;
+        let truncated = false;
+        const limited = [];
+
+        const segments = Array.isArray(pattern) ? pattern : [pattern];
+        for (let index = 0; index < segments.length; index++) {
+            const duration = segments[index];
+
+            if (index % 2 === 1) {
+                if (duration >= profile.minRest) {
+                    runStart = time + duration;
+                }
+                limited.push(duration);
+                time += duration;
+                continue;
+            }
+
+            const allowed = Math.min(duration, runStart + profile.maxContinuous - time, budget);
+            if (allowed < Math.min(duration, this.config.minSegment)) {
+                truncated = true;
+                break;
+            }
+
+            limited.push(Math.round(allowed));
+            time += allowed;
+            budget -= allowed;
+            if (allowed < duration) {
+                truncated = true;
+                break;
+            }
+        }
+
+        // 截断后去掉结尾的停顿
+        if (truncated && limited.length % 2 === 0) {
+            limited.pop();
+        }
+        if (!limited.some((duration, index) => index % 2 === 0 && duration > 0)) {
+            return null;
+        }
+
+        const intensity = options.intensity !== undefined ? options.intensity : 1;
+        return {
+            pattern: limited,
+            options: { ...options, intensity: Math.min(profile.maxIntensity, intensity) }
+        };
+    }
+
+    // 记录实际输出的振动；连续振动或占空比达到上限时开始强制休息
+    record(pattern, now) {
+        const profile = this.getProfile();
+
+        // 新的振动会取消尚未播放完的上一次振动
+        this.stop(now);
+
+        let time = now;
+        (Array.isArray(pattern) ? pattern : [pattern]).forEach((duration, index) => {
+            if (index % 2 === 0 && duration > 0) {
+                if (time - this.runEnd >= profile.minRest) {
+                    this.runStart = time;
+                }
+                this.segments.push({ start: time, end: time + duration });
+                this.runEnd = time + duration;
+            }
+            time += duration;
+        });
+
+        const oldest = now - this.config.dutyWindow;
+        this.segments = this.segments.filter(segment => segment.end > oldest);
+
+        // 留出1毫秒余量，避免取整误差导致达到上限却不休息
+        if (this.runEnd - this.runStart >= profile.maxContinuous - 1) {
+            this.startCooldown(this.runEnd + profile.cooldown, 'continuous');
+        } else if (this.getActiveTime(this.runEnd) >= profile.maxDutyPerMinute * this.config.dutyWindow - 1) {
+            this.startCooldown(this.runEnd + profile.cooldown, 'duty');
+        }
+    }
+
+    // 马达停止：截掉尚未播放的振动段
+    stop(now) {
+        this.segments.forEach(segment => {
+            segment.end = Math.max(segment.start, Math.min(segment.end, now));
+        });
+        this.runEnd = Math.min(this.runEnd, now);
+    }
+
+    // 开始强制休息，结束时通知监听者
+    startCooldown(until, reason) {
+        this.cooldownUntil = until;
+        this.reason = reason;
+        console.log(`Haptic cooldown (${reason}) for ${Math.round(until - performance.now())}ms`);
+        this.triggerCallbacks('onChange', this.getState());
+
+        clearTimeout(this.cooldownTimer);
+        this.cooldownTimer = setTimeout(() => {
+            this.cooldownTimer = null;
+            this.reason = null;
+            this.triggerCallbacks('onChange', this.getState());
+        }, Math.max(0, until - performance.now()));
+    }
+
+    // 统计窗口内马达的工作时间（毫秒），包含已开始但尚未结束的振动
+    getActiveTime(now) {
+        const from = now - this.config.dutyWindow;
+        return this.segments.reduce((sum, segment) => {
+            return sum + Math.max(0, segment.end - Math.max(segment.start, from));
+        }, 0);
+    }
+
+    // 获取当前状态
+    getState() {
+        const now = performance.now();
+        const profile = this.getProfile();
+        return {
+            mode: this.mode,
+            profile: profile === HAPTIC_SAFETY_PROFILES.gentle ? 'gentle' : 'standard',
+            name: profile.name,
+            reducedMotion: this.reducedMotion,
+            cooling: now < this.cooldownUntil,
+            reason: now < this.cooldownUntil ? this.reason : null,
+            duty: this.getActiveTime(now) / this.config.dutyWindow
+        };
+    }
+
+    // 清空振动记录（不清除正在进行的强制休息）
+    reset() {
+        this.segments = [];
+        this.runStart = -Infinity;
+        this.runEnd = -Infinity;
+    }
+
+    // 更新配置
+    updateConfig(newConfig) {
+        this.config = { ...this.config, ...newConfig };
+    }
+
+    // 释放资源
+    cleanup() {
+        clearTimeout(this.cooldownTimer);
+        this.cooldownTimer = null;
+    }
+}
+
+Object.assign(HapticSafetyLimiter.prototype, EventEmitterMixin);
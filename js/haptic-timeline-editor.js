@@ -0,0 +1,503 @@
+/**
+ * 振动轨时间线编辑器
+ * 在整曲波形上显示检测到的节拍和振动事件，可以添加、移动、删除振动事件和调整时长与强度，
+ * 移动和添加时可吸附到节拍。拖动空白处或双指可平移、缩放可视范围。基于TimelineCanvas的画布与时间换算，播放跳转由外部（AudioPlayer.seek）完成
+ */
+
+class HapticTimelineEditor extends TimelineCanvas {
+    constructor(canvas, options = {}) {
+        super(canvas);
+
+        // 编辑器配置
+        this.config = {
+            ...this.config,
+            targetFPS: 30,
+            waveformColor: 'rgba(33, 150, 243, 0.35)',
+            beatMarkColor: 'rgba(0, 0, 0, 0.15)',
+            downbeatMarkColor: 'rgba(0, 0, 0, 0.35)',
+            eventColor: '#FF9800',
+            selectedColor: '#FF5722',
+            playheadColor: '#f44336',
+            rulerHeight: 16,        // 底部时间刻度高度（像素）
+            handleWidth: 6,         // 事件右边缘调整时长的热区宽度（像素）
+            snapToBeat: true,       // 移动和添加事件时吸附到节拍
+            snapDistance: 10,       // 吸附距离（像素）
+            minViewDuration: 2,     // 最大放大时的可视范围（秒）
+            panThreshold: 5,        // 在空白处拖动超过该距离时平移而不是跳转（像素）
+            followDelay: 3000,      // 手动滚动或缩放后多久恢复跟随播放位置（毫秒）
+            defaultPattern: [150],  // 新增事件的振动模式
+            defaultIntensity: 0.8,
+            minSegment: 10,         // 振动段最短时长（毫秒）
+            ...options
+        };
+
+        // 编辑数据
+        this.track = null;
+        this.beats = [];
+
+        // 可视范围与交互状态
+        this.view = { start: 0, duration: 10 };
+        this.selected = null;
+        this.drag = null;
+        this.pan = null;
+        this.pinch = null;
+        this.pointers = new Map();  // 按下的指针，键为pointerId，值为横坐标
+        this.lastManualView = -Infinity;
+
+        // 当前播放位置和播放状态（由外部提供）
+        this.getCurrentTime = options.getCurrentTime || (() => 0);
+        this.isPlaying = options.isPlaying || (() => false);
+
+        // 事件回调
+        this.callbacks = {
+            onChange: [],   // 振动事件被修改
+            onSeek: [],     // 点击时间线空白处请求跳转
+            onSelect: []    // 选中的事件变化
+        };
+
+        this.bindEvents();
+    }
+
+    // 加载要编辑的振动轨和节拍图（节拍图提供波形包络和节拍）
+    load(track, beatMap) {
+        this.track = track;
+        this.beats = beatMap ? beatMap.beats : [];
+        this.duration = beatMap ? beatMap.duration : track.source.duration || 0;
+        this.envelope = beatMap ? this.computeEnvelope(beatMap.frames) : null;
+        this.view = { start: 0, duration: Math.min(this.duration || 10, 20) };
+        this.lastManualView = -Infinity;
+        this.select(null);
+    }
+
+    // 按节拍生成振动事件（替换现有事件），小节首拍用更长的振动
+    generateFromBeats() {
+        if (!this.track) return;
+
+        this.track.clear();
+        this.beats.forEach(beat => {
+            const downbeat = beat.beatInBar === 1;
+            this.track.addEvent(beat.time, downbeat ? [250] : [...this.config.defaultPattern], {
+                intensity: Math.min(1, 0.4 + beat.strength * 0.6)
+            });
+        });
+
+        this.select(null);
+        this.triggerCallbacks('onChange', this.track);
+    }
+
+    // 绑定指针、滚轮和键盘交互
+    bindEvents() {
+        const canvas = this.canvas;
+        canvas.tabIndex = 0;
+        canvas.style.touchAction = 'none';
+
+        canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        canvas.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+        canvas.addEventListener('dblclick', (e) => {
+            if (!this.hitTest(this.getPointerX(e))) {
+                this.addEvent(this.xToTime(this.getPointerX(e)));
+            }
+        });
+        canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+        canvas.addEventListener('keydown', (e) => {
+            if ((e.key === 'Delete' || e.key === 'Backspace') && this.selected) {
+                e.preventDefault();
+                this.deleteSelected();
+            }
+        });
+    }
+
+    // 吸附到附近的节拍
+    snapTime(time) {
+        time = Math.max(0, Math.min(this.duration, time));
+        if (!this.config.snapToBeat || this.beats.length === 0) {
+            return time;
+        }
+
+        const tolerance = this.config.snapDistance / this.getSize().width * this.view.duration;
+        const nearest = this.beats.reduce((best, beat) => {
+            return !best || Math.abs(beat.time - time) < Math.abs(best.time - time) ? beat : best;
+        }, null);
+
+        return Math.abs(nearest.time - time) <= tolerance ? nearest.time : time;
+    }
+
+    // 振动事件在时间线上的范围（秒）
+    getEventSpan(event) {
+        const total = event.pattern.reduce((sum, value) => sum + value, 0);
+        return { start: event.time, end: event.time + total / 1000 };
+    }
+
+    // 命中检测：返回 {event, edge}，edge为'end'表示拖动右边缘调整时长
+    hitTest(x) {
+        if (!this.track) return null;
+
+        // 从后往前找，重叠时优先较晚的事件
+        for (let i = this.track.events.length - 1; i >= 0; i--) {
+            const event = this.track.events[i];
+            const span = this.getEventSpan(event);
+            const left = this.timeToX(span.start);
+            const right = Math.max(left + this.config.handleWidth, this.timeToX(span.end));
+            // 太窄的事件整体用于移动，放大后再调整时长
+            if (x >= left && x <= right + this.config.handleWidth / 2) {
+                const resizable = right - left >= this.config.handleWidth * 2;
+                return { event, edge: resizable && x >= right - this.config.handleWidth ? 'end' : 'body' };
+            }
+        }
+        return null;
+    }
+
+    // 按下：命中事件时开始拖动，否则在空白处开始平移（未移动则松开时跳转）；第二个指针按下时开始双指缩放
+    handlePointerDown(e) {
+        if (!this.track) return;
+
+        this.canvas.focus();
+        this.canvas.setPointerCapture(e.pointerId);
+        const x = this.getPointerX(e);
+        this.pointers.set(e.pointerId, x);
+
+        if (this.pointers.size === 2) {
+            this.cancelDrag();
+            this.pan = null;
+            this.pinch = this.getPinch();
+            return;
+        }
+        if (this.pointers.size > 2) return;
+
+        const hit = this.hitTest(x);
+        if (!hit) {
+            this.select(null);
+            this.pan = { x, start: this.view.start, moved: false };
+            return;
+        }
+
+        this.select(hit.event);
+        this.drag = {
+            event: hit.event,
+            edge: hit.edge,
+            offset: this.xToTime(x) - hit.event.time,
+            time: hit.event.time,
+            pattern: [...hit.event.pattern],
+            moved: false
+        };
+    }
+
+    // 拖动：双指缩放并跟随中点滚动，空白处平移，事件上移动事件或调整时长
+    handlePointerMove(e) {
+        const x = this.getPointerX(e);
+
+        if (!this.pointers.has(e.pointerId)) {
+            const hit = this.hitTest(x);
+            this.canvas.style.cursor = hit ? (hit.edge === 'end' ? 'ew-resize' : 'move') : 'pointer';
+            return;
+        }
+        this.pointers.set(e.pointerId, x);
+
+        if (this.pinch) {
+            const pinch = this.getPinch();
+            const duration = this.pinch.duration * this.pinch.distance / Math.max(1, pinch.distance);
+            const ratio = pinch.center / this.getSize().width;
+            this.lastManualView = performance.now();
+            this.setView(this.pinch.anchor - ratio * this.clampViewDuration(duration), duration);
+            return;
+        }
+
+        if (this.pan) {
+            if (!this.pan.moved && Math.abs(x - this.pan.x) < this.config.panThreshold) return;
+            this.pan.moved = true;
+            this.lastManualView = performance.now();
+            this.setView(this.pan.start - (x - this.pan.x) / this.getSize().width * this.view.duration, this.view.duration);
+            return;
+        }
+
+        if (!this.drag) return;
+
+        const drag = this.drag;
+        const time = this.xToTime(x);
+        drag.moved = true;
+
+        if (drag.edge === 'body') {
+            drag.event.time = this.snapTime(time - drag.offset);
+        } else {
+            this.resizeEvent(drag.event, drag.pattern, (time - drag.event.time) * 1000);
+        }
+    }
+
+    // 松开：点击空白处时跳转，拖动事件后重新排序并通知修改；双指缩放结束后剩下的手指不再操作，直到重新按下
+    handlePointerUp(e) {
+        if (!this.pointers.delete(e.pointerId)) return;
+
+        if (this.canvas.hasPointerCapture(e.pointerId)) {
+            this.canvas.releasePointerCapture(e.pointerId);
+        }
+
+        if (this.pinch) {
+            this.pinch = null;
+            this.pointers.clear();
+            return;
+        }
+
+        if (this.pan) {
+            if (!this.pan.moved && e.type === 'pointerup') {
+                this.triggerCallbacks('onSeek', Math.max(0, Math.min(this.duration, this.xToTime(this.pan.x))));
+            }
+            this.pan = null;
+            return;
+        }
+
+        if (!this.drag) return;
+
+        if (this.drag.moved) {
+            this.track.sortEvents();
+            this.triggerCallbacks('onChange', this.track);
+        }
+        this.drag = null;
+    }
+
+    // 取消拖动，恢复事件原来的位置和振动模式
+    cancelDrag() {
+        if (!this.drag) return;
+
+        this.drag.event.time = this.drag.time;
+        this.drag.event.pattern = this.drag.pattern;
+        this.drag = null;
+    }
+
+    // 双指的间距、中点和中点对应的时间
+    getPinch() {
+        const [a, b] = Array.from(this.pointers.values());
+        const center = (a + b) / 2;
+        return {
+            distance: Math.abs(a - b),
+            center,
+            anchor: this.xToTime(center),
+            duration: this.view.duration
+        };
+    }
+
+    // 把振动模式按比例缩放到指定总时长（毫秒）
+    resizeEvent(event, original, totalDuration) {
+        // 导入的事件可能全是0毫秒的段，以最短振动段为基准避免除以0
+        if (!original.some(value => value > 0)) {
+            original = original.map(() => this.config.minSegment);
+        }
+        const originalTotal = original.reduce((sum, value) => sum + value, 0);
+        const scale = Math.max(this.config.minSegment, totalDuration) / originalTotal;
+        event.pattern = original.map(value => Math.max(this.config.minSegment, Math.round(value * scale)));
+    }
+
+    // 滚轮：横向滚动；按住Ctrl时以指针为中心缩放
+    handleWheel(e) {
+        if (!this.track) return;
+        e.preventDefault();
+
+        const delta = e.deltaY || e.deltaX;
+        this.lastManualView = performance.now();
+        if (e.ctrlKey) {
+            const anchor = this.xToTime(this.getPointerX(e));
+            const duration = this.clampViewDuration(this.view.duration * Math.pow(1.0015, delta));
+            const ratio = (anchor - this.view.start) / this.view.duration;
+            this.setView(anchor - ratio * duration, duration);
+        } else {
+            this.setView(this.view.start + delta / this.getSize().width * this.view.duration, this.view.duration);
+        }
+    }
+
+    // 把可视范围时长限制在最大放大和曲目时长之间
+    clampViewDuration(duration) {
+        return Math.max(this.config.minViewDuration, Math.min(this.duration || this.view.duration, duration));
+    }
+
+    // 设置可视范围（限制在曲目时长内）
+    setView(start, duration) {
+        duration = this.clampViewDuration(duration);
+        this.view.duration = duration;
+        this.view.start = Math.max(0, Math.min(Math.max(0, this.duration - duration), start));
+    }
+
+    // 播放时让播放头保持在可视范围内（手动滚动或缩放后暂停跟随一段时间）
+    followPlayhead(time) {
+        if (!this.isPlaying() || this.drag || this.pointers.size > 0) return;
+        if (performance.now() - this.lastManualView < this.config.followDelay) return;
+
+        if (time < this.view.start || time > this.view.start + this.view.duration) {
+            this.setView(time - this.view.duration * 0.1, this.view.duration);
+        }
+    }
+
+    // 在指定时间添加振动事件
+    addEvent(time) {
+        if (!this.track) return null;
+
+        const event = this.track.addEvent(this.snapTime(time), [...this.config.defaultPattern], {
+            intensity: this.config.defaultIntensity
+        });
+        this.select(event);
+        this.triggerCallbacks('onChange', this.track);
+        return event;
+    }
+
+    // 在播放位置添加振动事件（触屏设备上代替双击）
+    addEventAtPlayhead() {
+        return this.addEvent(this.getCurrentTime());
+    }
+
+    // 删除选中的事件
+    deleteSelected() {
+        if (!this.track || !this.selected) return;
+
+        this.track.removeEvent(this.selected);
+        this.select(null);
+        this.triggerCallbacks('onChange', this.track);
+    }
+
+    // 设置选中事件的强度（0-1）
+    setSelectedIntensity(intensity) {
+        if (!this.selected) return;
+
+        this.selected.intensity = Math.max(0, Math.min(1, intensity));
+        this.triggerCallbacks('onChange', this.track);
+    }
+
+    // 选中事件
+    select(event) {
+        if (event === this.selected) return;
+
+        this.selected = event;
+        this.triggerCallbacks('onSelect', event);
+    }
+
+    // 绘制时间线（覆盖可视化器的绘制）
+    draw() {
+        this.clearCanvas();
+
+        if (!this.track) {
+            this.drawPlaceholder();
+            return;
+        }
+
+        const currentTime = this.getCurrentTime();
+        this.followPlayhead(currentTime);
+
+        this.drawTimelineWaveform();
+        this.drawBeatMarks();
+        this.drawEvents();
+        this.drawRuler();
+        this.drawPlayhead(currentTime);
+    }
+
+    // 绘制整曲波形（每列取该时间范围内的最大振幅）
+    drawTimelineWaveform() {
+        if (!this.envelope) return;
+
+        const ctx = this.ctx;
+        const { width, height } = this.getSize();
+        const laneHeight = height - this.config.rulerHeight;
+        const center = laneHeight / 2;
+        const { values, frameDuration } = this.envelope;
+
+        ctx.fillStyle = this.config.waveformColor;
+        for (let x = 0; x < width; x++) {
+            const from = Math.max(0, Math.floor(this.xToTime(x) / frameDuration));
+            const to = Math.min(values.length, Math.ceil(this.xToTime(x + 1) / frameDuration));
+            let peak = 0;
+            for (let i = from; i < to; i++) {
+                if (values[i] > peak) peak = values[i];
+            }
+            const amplitude = peak * center * 0.9;
+            ctx.fillRect(x, center - amplitude, 1, amplitude * 2);
+        }
+    }
+
+    // 绘制节拍竖线（小节首拍更深）
+    drawBeatMarks() {
+        const ctx = this.ctx;
+        const { width, height } = this.getSize();
+        const laneHeight = height - this.config.rulerHeight;
+
+        this.beats.forEach(beat => {
+            const x = this.timeToX(beat.time);
+            if (x < 0 || x > width) return;
+
+            ctx.fillStyle = beat.beatInBar === 1 ? this.config.downbeatMarkColor : this.config.beatMarkColor;
+            ctx.fillRect(x, 0, 1, laneHeight);
+        });
+    }
+
+    // 绘制振动事件：振动段为实心、停顿段为浅色，高度表示强度
+    drawEvents() {
+        const ctx = this.ctx;
+        const { width, height } = this.getSize();
+        const laneHeight = height - this.config.rulerHeight;
+
+        this.track.events.forEach(event => {
+            const span = this.getEventSpan(event);
+            if (this.timeToX(span.end) < 0 || this.timeToX(span.start) > width) return;
+
+            const intensity = event.intensity !== undefined ? event.intensity : 1;
+            const barHeight = Math.max(4, intensity * laneHeight * 0.8);
+            const top = laneHeight - barHeight;
+            const color = event === this.selected ? this.config.selectedColor : this.config.eventColor;
+            let time = event.time;
+
+            event.pattern.forEach((duration, index) => {
+                const left = this.timeToX(time);
+                const right = this.timeToX(time + duration / 1000);
+                ctx.save();
+                ctx.globalAlpha = index % 2 === 0 ? 0.85 : 0.2;
+                ctx.fillStyle = color;
+                ctx.fillRect(left, top, Math.max(2, right - left), barHeight);
+                ctx.restore();
+                time += duration / 1000;
+            });
+
+            // 调整时长的手柄
+            ctx.fillStyle = color;
+            ctx.fillRect(Math.max(this.timeToX(span.start) + 2, this.timeToX(span.end)) - 2, top, 2, barHeight);
+        });
+    }
+
+    // 绘制底部时间刻度
+    drawRuler() {
+        const ctx = this.ctx;
+        const { width, height } = this.getSize();
+        const top = height - this.config.rulerHeight;
+
+        // 刻度间隔：可视范围内约8个
+        const steps = [0.5, 1, 2, 5, 10, 15, 30, 60];
+        const step = steps.find(value => this.view.duration / value <= 8) || 60;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.05)';
+        ctx.fillRect(0, top, width, this.config.rulerHeight);
+        ctx.fillStyle = '#666';
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'left';
+
+        for (let time = Math.ceil(this.view.start / step) * step; time <= this.view.start + this.view.duration; time += step) {
+            const x = this.timeToX(time);
+            ctx.fillRect(x, top, 1, 4);
+            ctx.fillText(formatTime(time), x + 2, height - 3);
+        }
+    }
+
+    // 绘制播放头
+    drawPlayhead(currentTime) {
+        const x = this.timeToX(currentTime);
+        const { height } = this.getSize();
+
+        this.ctx.fillStyle = this.config.playheadColor;
+        this.ctx.fillRect(x - 1, 0, 2, height);
+    }
+
+    // 绘制占位符（没有加载振动轨时）
+    drawPlaceholder() {
+        const { width, height } = this.getSize();
+
+        this.ctx.fillStyle = '#999';
+        this.ctx.font = '14px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText('等待整曲预分析完成...', width / 2, height / 2);
+    }
+}
@@ -0,0 +1,158 @@
+/**
+ * 振动轨（Haptic Track）
+ * 负责振动时间线的记录、导出和导入，文件格式为带版本号的JSON
+ */
+
+// 振动轨文件格式标识与当前版本
+const HAPTIC_TRACK_FORMAT = 'audio-vibrate-haptic-track';
+const HAPTIC_TRACK_VERSION = 1;
+
+class HapticTrack {
+    constructor(source = {}) {
+        // 对应的音频文件信息
+        this.source = {
+            name: source.name || '',
+            duration: source.duration || 0,
+            hash: source.hash || null
+        };
+
+        // 振动事件列表（按时间排序）
+        this.events = [];
+
+        this.createdAt = new Date().toISOString();
+
+        // 同一位置重复录制时的合并窗口（秒）
+        this.mergeWindow = 0.02;
+    }
+
+    // 添加振动事件，保持时间顺序
+    // options.intensity / options.sustain: 振动强度与衰减（回放时按输出后端能力还原）
+    addEvent(time, pattern, options = {}) {
+        const event = {
+            time: Math.max(0, time),
+            pattern: Array.isArray(pattern) ? [...pattern] : [pattern]
+        };
+
+        if (options.intensity !== undefined) {
+            event.intensity = options.intensity;
+        }
+        if (options.sustain !== undefined) {
+            event.sustain = options.sustain;
+        }
+
+        const index = this.findEventIndex(event.time - this.mergeWindow);
+
+        // 回放重录时替换同一位置的旧事件
+        if (index < this.events.length &&
+            Math.abs(this.events[index].time - event.time) <= this.mergeWindow) {
+            this.events[index] = event;
+        } else {
+            this.events.splice(index, 0, event);
+        }
+
+        return event;
+    }
+
+    // 二分查找第一个不早于指定时间的事件
+    findEventIndex(time) {
+        let low = 0;
+        let high = this.events.length;
+
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.events[mid].time < time) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+
+        return low;
+    }
+
+    // 删除振动事件
+    removeEvent(event) {
+        const index = this.events.indexOf(event);
+        if (index > -1) {
+            this.events.splice(index, 1);
+            return true;
+        }
+        return false;
+    }
+
+    // 事件时间被修改后恢复时间顺序
+    sortEvents() {
+        this.events.sort((a, b) => a.time - b.time);
+    }
+
+    // 清空事件
+    clear() {
+        this.events = [];
+    }
+
+    // 序列化为可保存的JSON对象
+    toJSON() {
+        return {
+            format: HAPTIC_TRACK_FORMAT,
+            version: HAPTIC_TRACK_VERSION,
+            createdAt: this.createdAt,
+            source: { ...this.source },
+            events: this.events.map(event => ({
+                ...event,
+                time: Math.round(event.time * 1000) / 1000
+            }))
+        };
+    }
+
+    // 从JSON对象还原振动轨并校验与音频是否匹配
+    static fromJSON(data, audioInfo = {}) {
+        if (!data || data.format !== HAPTIC_TRACK_FORMAT) {
+            throw new Error('不是有效的振动轨文件');
+        }
+
+        if (typeof data.version !== 'number' || data.version > HAPTIC_TRACK_VERSION) {
+            throw new Error('振动轨文件版本过新，请升级应用');
+        }
+
+        const source = data.source || {};
+        const tolerance = 0.5; // 时长容差（秒），兼容不同解码器的细微差异
+
+        if (audioInfo.duration > 0 &&
+            !(Math.abs((source.duration || 0) - audioInfo.duration) <= tolerance)) {
+            throw new Error('振动轨时长与当前音频不匹配');
+        }
+
+        if (!Array.isArray(data.events)) {
+            throw new Error('振动轨缺少事件列表');
+        }
+
+        const track = new HapticTrack(source);
+        track.createdAt = data.createdAt || track.createdAt;
+
+        // 强度类字段可选，存在时必须在0-1之间
+        const isLevel = value => value === undefined || (typeof value === 'number' && value >= 0 && value <= 1);
+
+        data.events.forEach(event => {
+            const pattern = Array.isArray(event.pattern) ? event.pattern : [event.pattern];
+            const valid = typeof event.time === 'number' && event.time >= 0 &&
+                pattern.length > 0 && pattern.every(value => typeof value === 'number' && value >= 0) &&
+                isLevel(event.intensity) && isLevel(event.sustain);
+
+            if (!valid) {
+                throw new Error('振动轨包含无效事件');
+            }
+
+            track.addEvent(event.time, pattern, {
+                intensity: event.intensity,
+                sustain: event.sustain
+            });
+        });
+
+        return track;
+    }
+
+    // 检查文件哈希是否与音频一致
+    matchesHash(hash) {
+        return !this.source.hash || !hash || this.source.hash === hash;
+    }
+}
@@ -0,0 +1,308 @@
+/**
+ * 延迟校准
+ * 播放节拍器点击声（或只振动、不发声），让用户跟着节奏点击屏幕，用点击与节拍的偏差估计系统未报告的音频输出延迟
+ * 和从调用振动到能感受到振动的延迟；结果按设备（平台与User Agent）保存在localStorage中
+ */
+
+// 存储键与当前数据版本
+const LATENCY_PROFILES_STORAGE_KEY = 'audioVibrate.latency';
+const LATENCY_PROFILES_VERSION = 1;
+
+class LatencyProfileStore {
+    constructor(options = {}) {
+        this.storage = options.storage !== undefined ? options.storage : this.getDefaultStorage();
+    }
+
+    // 获取默认存储（隐私模式等情况下localStorage可能不可用）
+    getDefaultStorage() {
+        try {
+            return window.localStorage;
+        } catch (error) {
+            console.warn('localStorage not available, latency calibration will not persist');
+            return null;
+        }
+    }
+
+    // 当前设备的键：同一设备换浏览器或系统版本后延迟可能不同，需要重新校准
+    static getDeviceKey() {
+        if (typeof navigator === 'undefined') {
+            return 'unknown';
+        }
+        return `${navigator.platform || ''}|${navigator.userAgent || ''}`;
+    }
+
+    // 读取所有设备的校准结果，键为设备键
+    readAll() {
+        if (!this.storage) return {};
+
+        try {
+            const raw = this.storage.getItem(LATENCY_PROFILES_STORAGE_KEY);
+            const data = raw ? JSON.parse(raw) : null;
+            if (data && data.version <= LATENCY_PROFILES_VERSION && data.profiles && typeof data.profiles === 'object') {
+                return data.profiles;
+            }
+        } catch (error) {
+            console.warn('Failed to load latency profiles:', error);
+        }
+        return {};
+    }
+
+    // 获取设备的校准结果（没有时返回null）
+    load(key = LatencyProfileStore.getDeviceKey()) {
+        const profile = this.readAll()[key];
+        return profile && typeof profile.audioOffset === 'number' ? profile : null;
+    }
+
+    // 保存设备的校准结果
+    save(profile, key = LatencyProfileStore.getDeviceKey()) {
+        if (!this.storage) return false;
+
+        try {
+            const profiles = this.readAll();
+            profiles[key] = profile;
+            this.storage.setItem(LATENCY_PROFILES_STORAGE_KEY, JSON.stringify({
+                version: LATENCY_PROFILES_VERSION,
+                profiles
+            }));
+            return true;
+        } catch (error) {
+            console.warn('Failed to save latency profile:', error);
+            return false;
+        }
+    }
+
+    // 删除设备的校准结果
+    remove(key = LatencyProfileStore.getDeviceKey()) {
+        if (!this.storage) return false;
+
+        try {
+            const profiles = this.readAll();
+            delete profiles[key];
+            this.storage.setItem(LATENCY_PROFILES_STORAGE_KEY, JSON.stringify({
+                version: LATENCY_PROFILES_VERSION,
+                profiles
+            }));
+            return true;
+        } catch (error) {
+            console.warn('Failed to remove latency profile:', error);
+            return false;
+        }
+    }
+}
+
+class LatencyCalibrator {
+    constructor(vibrationController = null) {
+        this.vibrationController = vibrationController;
+
+        // 校准配置
+        this.config = {
+            bpm: 100,               // 节拍器速度
+            leadIn: 4,              // 开头不计入结果的拍数（让用户找到节奏）
+            beats: 16,              // 每个阶段的总拍数
+            startDelay: 500,        // 第一拍前的准备时间（毫秒）
+            clickFrequency: 1500,   // 点击声频率（Hz）
+            clickDuration: 0.03,    // 点击声时长（秒）
+            pulseDuration: 40,      // 振动脉冲时长（毫秒）
+            minTaps: 8,             // 有效点击至少多少次
+            maxDeviation: 60,       // 点击偏差的平均离散度超过此值（毫秒）视为不稳定
+            audioRange: [-100, 500],    // 音频额外延迟的有效范围（毫秒）
+            hapticRange: [-100, 300]    // 振动延迟的有效范围（毫秒）
+        };
+
+        this.phase = null;          // 当前阶段：audio / haptic
+        this.clicks = [];           // 每拍被听到或触发的页面时间（毫秒），没有振动的拍为null
+        this.taps = [];             // 用户点击的页面时间（毫秒）
+        this.timers = [];
+        this.audioContext = null;
+        this.finishPhase = null;
+
+        // 事件回调
+        this.callbacks = {
+            onProgress: []  // 拍数进度 {phase, beat, beats, taps}
+        };
+    }
+
+    // 是否正在校准
+    isRunning() {
+        return this.phase !== null;
+    }
+
+    // 校准音频：播放点击声，返回 {offset, deviation, taps}，offset为系统未报告的额外输出延迟（毫秒）
+    async calibrateAudio() {
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContext) {
+            throw new Error('当前浏览器不支持音频校准');
+        }
+
+        this.audioContext = new AudioContext();
+        const context = this.audioContext;
+        await context.resume();
+
+        // 按音频上下文时间排好所有点击声，结束时再换算为被听到的页面时间
+        const interval = 60 / this.config.bpm;
+        const start = context.currentTime + this.config.startDelay / 1000;
+        const clickTimes = [];
+        for (let i = 0; i < this.config.beats; i++) {
+            const time = start + i * interval;
+            const oscillator = context.createOscillator();
+            const envelope = context.createGain();
+
+            oscillator.frequency.value = this.config.clickFrequency;
+            envelope.gain.setValueAtTime(i < this.config.leadIn ? 0.5 : 1, time);
+            envelope.gain.exponentialRampToValueAtTime(0.001, time + this.config.clickDuration);
+
+            oscillator.connect(envelope);
+            envelope.connect(context.destination);
+            oscillator.start(time);
+            oscillator.stop(time + this.config.clickDuration);
+            clickTimes.push(time);
+        }
+
+        const clock = new AudioClock(null, context);
+        try {
+            return await this.runPhase('audio', clickTimes.map(time => clock.contextToPerformanceTime(time)), (index) => {
+                // 点击声已排好，这里只更新进度；最后一拍时重新换算，输出时间戳此时已稳定
+                if (index === this.config.beats - 1) {
+                    this.clicks = clickTimes.map(time => clock.contextToPerformanceTime(time));
+                }
+            }, this.config.audioRange);
+        } finally {
+            context.close();
+            this.audioContext = null;
+        }
+    }
+
+    // 校准振动：只振动不发声，返回 {offset, deviation, taps}，offset为调用振动到感受到振动的延迟（毫秒）
+    // 脉冲直接输出到真实马达（不经过段落配置和功耗调节，不录进振动轨），只有屏幕预览时无法校准
+    async calibrateHaptic() {
+        const controller = this.vibrationController;
+        if (!controller || !controller.hasPhysicalOutput()) {
+            throw new Error('设备不支持振动功能');
+        }
+
+        const interval = 60000 / this.config.bpm;
+        const start = performance.now() + this.config.startDelay;
+        const beats = Array.from({ length: this.config.beats }, (_, i) => start + i * interval);
+
+        return this.runPhase('haptic', beats, (index) => {
+            // 记录实际调用振动的时间（定时器可能略有延迟）；被安全限制跳过的拍不参与匹配
+            const time = performance.now();
+            const fired = controller.pulse([this.config.pulseDuration], { intensity: 1 });
+            this.clicks[index] = fired ? time : null;
+        }, this.config.hapticRange);
+    }
+
+    // 运行一个校准阶段：在每拍的页面时间调用onBeat，最后一拍结束后分析点击
+    runPhase(phase, beats, onBeat, range) {
+        if (this.isRunning()) {
+            return Promise.reject(new Error('校准正在进行'));
+        }
+
+        this.phase = phase;
+        this.clicks = [...beats];
+        this.taps = [];
+
+        const interval = 60000 / this.config.bpm;
+        return new Promise((resolve, reject) => {
+            this.finishPhase = (error) => {
+                this.timers.forEach(timer => clearTimeout(timer));
+                this.timers = [];
+                this.phase = null;
+                this.finishPhase = null;
+
+                if (error) {
+                    reject(error);
+                    return;
+                }
+
+                try {
+                    const clicks = this.clicks.slice(this.config.leadIn).filter(click => click !== null);
+                    resolve(this.analyze(clicks, this.taps, interval, range));
+                } catch (analysisError) {
+                    reject(analysisError);
+                }
+            };
+
+            beats.forEach((time, index) => {
+                this.timers.push(setTimeout(() => {
+                    onBeat(index);
+                    this.triggerCallbacks('onProgress', {
+                        phase,
+                        beat: index + 1,
+                        beats: beats.length,
+                        taps: this.taps.length
+                    });
+                }, Math.max(0, time - performance.now())));
+            });
+
+            // 最后一拍后留半拍时间给最后一次点击
+            this.timers.push(setTimeout(() => {
+                if (this.finishPhase) this.finishPhase();
+            }, Math.max(0, beats[beats.length - 1] + interval / 2 - performance.now())));
+        });
+    }
+
+    // 记录一次点击（time为事件的页面时间）
+    tap(time = performance.now()) {
+        if (!this.isRunning()) return;
+
+        this.taps.push(time);
+        this.triggerCallbacks('onProgress', {
+            phase: this.phase,
+            beat: this.clicks.filter(click => click !== null && click <= time).length,
+            beats: this.clicks.length,
+            taps: this.taps.length
+        });
+    }
+
+    // 取消正在进行的校准
+    cancel() {
+        if (this.finishPhase) {
+            this.finishPhase(new Error('校准已取消'));
+        }
+    }
+
+    // 把每次点击匹配到最近的一拍，取偏差的中位数作为延迟
+    analyze(clicks, taps, interval, range) {
+        const offsets = [];
+        taps.forEach(tap => {
+            let nearest = null;
+            clicks.forEach(click => {
+                if (nearest === null || Math.abs(tap - click) < Math.abs(tap - nearest)) {
+                    nearest = click;
+                }
+            });
+            if (nearest !== null && Math.abs(tap - nearest) < interval / 2) {
+                offsets.push(tap - nearest);
+            }
+        });
+
+        if (offsets.length < this.config.minTaps) {
+            throw new Error('有效点击太少，请跟着节拍持续点击');
+        }
+
+        const sorted = [...offsets].sort((a, b) => a - b);
+        const offset = sorted[Math.floor(sorted.length / 2)];
+        const deviation = offsets.reduce((sum, value) => sum + Math.abs(value - offset), 0) / offsets.length;
+
+        if (deviation > this.config.maxDeviation) {
+            throw new Error('点击节奏不够稳定，请重新校准');
+        }
+        if (offset < range[0] || offset > range[1]) {
+            throw new Error('测得的延迟超出合理范围，请重新校准');
+        }
+
+        return {
+            offset: Math.round(offset),
+            deviation: Math.round(deviation),
+            taps: offsets.length
+        };
+    }
+
+    // 更新配置
+    updateConfig(newConfig) {
+        this.config = { ...this.config, ...newConfig };
+    }
+}
+
+Object.assign(LatencyCalibrator.prototype, EventEmitterMixin);
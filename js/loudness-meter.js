@@ -0,0 +1,183 @@
+/**
+ * 响度测量器
+ * 按EBU R128（ITU-R BS.1770）测量整曲的积分响度：K计权滤波后以400ms块计算均方，
+ * 经绝对门限（-70 LUFS）和相对门限（-10 LU）后取平均。文件带ReplayGain标签时直接使用标签，不再测量
+ */
+
+class LoudnessMeter {
+    constructor(options = {}) {
+        // 测量配置
+        this.config = {
+            blockSeconds: 0.4,          // 门限块长度
+            blockStep: 0.1,             // 块步长（75%重叠）
+            absoluteGate: -70,          // 绝对门限（LUFS）
+            relativeGate: -10,          // 相对门限（LU）
+            replayGainReference: -18,   // ReplayGain 2.0的参考响度（LUFS）
+            tagScanBytes: 512 * 1024,   // 在文件开头多大范围内查找标签
+            tagTailBytes: 128 * 1024,   // 在文件末尾多大范围内查找标签（APEv2）
+            ...options
+        };
+    }
+
+    // 由文件数据中的ReplayGain标签得到响度（响度 = 参考响度 - 曲目增益），返回 {integrated, peak, source}；没有标签时返回null
+    // 需要在解码之前调用，解码后ArrayBuffer会被转移
+    readTagLoudness(arrayBuffer) {
+        const tag = this.readReplayGain(arrayBuffer);
+        return tag
+            ? { integrated: this.config.replayGainReference - tag.gain, peak: tag.peak, source: 'replaygain' }
+            : null;
+    }
+
+    // 测量已解码的音频，返回 {integrated, peak, source}
+    analyzeBuffer(audioBuffer) {
+        return { ...this.measure(audioBuffer), source: 'measured' };
+    }
+
+    // 查找ReplayGain曲目增益标签（ID3v2 TXXX、Vorbis注释、APEv2、MP4自由格式），返回 {gain, peak} 或null
+    // 各格式的键值之间只隔着少量二进制字节，去掉空字节后按文本匹配即可兼容UTF-16编码的ID3帧
+    readReplayGain(arrayBuffer) {
+        const bytes = new Uint8Array(arrayBuffer);
+        const head = bytes.subarray(0, Math.min(bytes.length, this.config.tagScanBytes));
+        const tail = bytes.subarray(Math.max(head.length, bytes.length - this.config.tagTailBytes));
+        const text = `${this.toText(head)}\n${this.toText(tail)}`;
+
+        const gain = text.match(/replaygain_track_gain[\s\S]{0,24}?([-+]?\d+(?:\.\d+)?)\s*dB/i);
+        if (!gain) {
+            return null;
+        }
+
+        const peak = text.match(/replaygain_track_peak[\s\S]{0,24}?(\d+(?:\.\d+)?)/i);
+        return {
+            gain: parseFloat(gain[1]),
+            peak: peak ? parseFloat(peak[1]) : null
+        };
+    }
+
+    // 字节转为单字节文本（跳过空字节）
+    toText(bytes) {
+        const chunks = [];
+        const chunkSize = 8192;
+
+        for (let start = 0; start < bytes.length; start += chunkSize) {
+            const chunk = bytes.subarray(start, start + chunkSize).filter(byte => byte !== 0);
+            chunks.push(String.fromCharCode.apply(null, chunk));
+        }
+
+        return chunks.join('');
+    }
+
+    // 测量已解码音频的积分响度（LUFS）与采样峰值
+    measure(audioBuffer) {
+        const sampleRate = audioBuffer.sampleRate;
+        const blockSize = Math.round(this.config.blockSeconds * sampleRate);
+        const stepSize = Math.round(this.config.blockStep * sampleRate);
+        const channels = Math.min(audioBuffer.numberOfChannels, 2); // 左右声道权重均为1
+        const stepCount = Math.floor(audioBuffer.length / stepSize);
+        const stepsPerBlock = Math.round(blockSize / stepSize);
+        const stepEnergy = new Float64Array(stepCount);
+        let peak = 0;
+
+        // K计权滤波后按步长累积各声道能量
+        const [shelf, highPass] = this.getKWeightingFilters(sampleRate);
+        for (let c = 0; c < channels; c++) {
+            const samples = audioBuffer.getChannelData(c);
+            let x1 = 0, x2 = 0, y1 = 0, y2 = 0;   // 高架滤波状态
+            let u1 = 0, u2 = 0, z1 = 0, z2 = 0;   // 高通滤波状态
+
+            for (let step = 0; step < stepCount; step++) {
+                let sum = 0;
+                for (let i = step * stepSize; i < (step + 1) * stepSize; i++) {
+                    const x = samples[i];
+                    const abs = Math.abs(x);
+                    if (abs > peak) peak = abs;
+
+                    const y = shelf.b0 * x + shelf.b1 * x1 + shelf.b2 * x2 - shelf.a1 * y1 - shelf.a2 * y2;
+                    x2 = x1;
+                    x1 = x;
+                    y2 = y1;
+                    y1 = y;
+
+                    const z = highPass.b0 * y + highPass.b1 * u1 + highPass.b2 * u2 - highPass.a1 * z1 - highPass.a2 * z2;
+                    u2 = u1;
+                    u1 = y;
+                    z2 = z1;
+                    z1 = z;
+
+                    sum += z * z;
+                }
+                stepEnergy[step] += sum;
+            }
+        }
+
+        // 400ms块的均方
+        const blocks = [];
+        for (let start = 0; start + stepsPerBlock <= stepCount; start++) {
+            let sum = 0;
+            for (let step = start; step < start + stepsPerBlock; step++) {
+                sum += stepEnergy[step];
+            }
+            blocks.push(sum / (stepsPerBlock * stepSize));
+        }
+
+        const toLoudness = (energy) => -0.691 + 10 * Math.log10(energy);
+        const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+        // 绝对门限去掉静音，相对门限去掉明显低于整体的安静段落
+        const absolute = blocks.filter(energy => toLoudness(energy) > this.config.absoluteGate);
+        if (absolute.length === 0) {
+            return { integrated: -Infinity, peak };
+        }
+
+        const relativeGate = toLoudness(mean(absolute)) + this.config.relativeGate;
+        const gated = absolute.filter(energy => toLoudness(energy) > relativeGate);
+
+        return {
+            integrated: toLoudness(mean(gated)),
+            peak
+        };
+    }
+
+    // K计权滤波器系数：高架滤波（头部效应）与高通滤波（RLB），按采样率由模拟原型换算
+    getKWeightingFilters(sampleRate) {
+        // 第一级：高架
+        let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+        let Q = 0.7071752369554196;
+        const Vh = Math.pow(10, 3.999843853973347 / 20);
+        const Vb = Math.pow(Vh, 0.4996667741545416);
+        let a0 = 1 + K / Q + K * K;
+        const shelf = {
+            b0: (Vh + Vb * K / Q + K * K) / a0,
+            b1: 2 * (K * K - Vh) / a0,
+            b2: (Vh - Vb * K / Q + K * K) / a0,
+            a1: 2 * (K * K - 1) / a0,
+            a2: (1 - K / Q + K * K) / a0
+        };
+
+        // 第二级：高通
+        K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+        Q = 0.5003270373238773;
+        a0 = 1 + K / Q + K * K;
+        const highPass = {
+            b0: 1,
+            b1: -2,
+            b2: 1,
+            a1: 2 * (K * K - 1) / a0,
+            a2: (1 - K / Q + K * K) / a0
+        };
+
+        return [shelf, highPass];
+    }
+
+    // 更新配置
+    updateConfig(newConfig) {
+        this.config = { ...this.config, ...newConfig };
+    }
+
+    // 把响度调整到目标响度所需的增益（dB），限制在±maxGain以内；响度未知时为0
+    static getGain(loudness, targetLoudness, maxGain) {
+        if (!loudness || !isFinite(loudness.integrated)) {
+            return 0;
+        }
+        return Math.max(-maxGain, Math.min(maxGain, targetLoudness - loudness.integrated));
+    }
+}
@@ -0,0 +1,154 @@
+/**
+ * 拍号与强拍跟踪器
+ * 在节拍网格上统计每一拍的重音（强度、是否踢鼓），与各拍号的重音模板在不同起拍位置下做相关，
+ * 估计拍号（4/4、3/4、6/8）和强拍位置
+ */
+
+class MeterTracker {
+    constructor(options = {}) {
+        // 跟踪配置
+        this.config = {
+            // 候选拍号的重音模板（每小节各拍的相对重音）
+            templates: {
+                '4/4': [1, 0, 0.5, 0],
+                '3/4': [1, 0, 0],
+                '6/8': [1, 0, 0, 0.5, 0, 0]
+            },
+            historyBeats: 48,       // 实时估计参考的最近拍数
+            minBeats: 12,           // 至少积累多少拍才开始估计
+            switchMargin: 0.05,     // 新的估计需要领先当前估计多少才切换，避免来回跳
+            ...options
+        };
+
+        this.reset();
+    }
+
+    // 重置（节拍网格重新锁定或跳转后调用）
+    reset() {
+        this.accents = new Map();   // 网格序号 -> 重音
+        this.latestIndex = -1;
+        this.signature = '4/4';
+        this.meter = 4;             // 每小节拍数
+        this.phase = 0;             // 强拍所在的网格序号（对拍数取模）
+        this.confidence = 0;
+    }
+
+    // 记录一拍的重音并按最近的历史更新估计（实时使用）
+    addBeat(index, accent) {
+        this.record(index, accent);
+
+        // 只保留实时估计需要的历史
+        const oldest = this.latestIndex - this.config.historyBeats;
+        this.accents.forEach((value, key) => {
+            if (key <= oldest) {
+                this.accents.delete(key);
+            }
+        });
+
+        this.update(this.latestIndex - this.config.historyBeats + 1, this.latestIndex);
+    }
+
+    // 只记录重音，不更新估计（整曲分析时先记录全部节拍）
+    record(index, accent) {
+        this.accents.set(index, Math.max(this.accents.get(index) || 0, accent));
+        this.latestIndex = Math.max(this.latestIndex, index);
+    }
+
+    // 用序号范围内的重音更新估计
+    update(fromIndex, toIndex) {
+        const estimates = this.estimate(fromIndex, toIndex);
+        if (estimates.length === 0) return;
+
+        const best = estimates[0];
+        const current = estimates.find(item => item.signature === this.signature && item.phase === this.phase);
+
+        if (!current || best.score > current.score + this.config.switchMargin) {
+            this.signature = best.signature;
+            this.meter = best.meter;
+            this.phase = best.phase;
+            this.confidence = Math.max(0, best.score);
+        } else {
+            this.confidence = Math.max(0, current.score);
+        }
+    }
+
+    // 估计序号范围内每种拍号和起拍位置的得分（重音与模板的相关系数，-1~1），按得分降序
+    estimate(fromIndex, toIndex) {
+        const start = Math.max(0, fromIndex);
+        const accents = [];
+        let count = 0;
+
+        // 漏检的拍按无重音计入
+        for (let index = start; index <= toIndex; index++) {
+            if (this.accents.has(index)) count++;
+            accents.push(this.accents.get(index) || 0);
+        }
+        if (count < this.config.minBeats) {
+            return [];
+        }
+
+        const estimates = [];
+        Object.keys(this.config.templates).forEach(signature => {
+            const template = this.config.templates[signature];
+            const meter = template.length;
+
+            for (let phase = 0; phase < meter; phase++) {
+                const expected = accents.map((accent, offset) => template[this.mod(start + offset - phase, meter)]);
+                estimates.push({
+                    signature,
+                    meter,
+                    phase,
+                    score: this.correlate(accents, expected)
+                });
+            }
+        });
+
+        return estimates.sort((a, b) => b.score - a.score);
+    }
+
+    // 皮尔逊相关系数（任一序列无变化时为0）
+    correlate(a, b) {
+        const n = a.length;
+        const meanA = a.reduce((sum, value) => sum + value, 0) / n;
+        const meanB = b.reduce((sum, value) => sum + value, 0) / n;
+        let covariance = 0;
+        let varianceA = 0;
+        let varianceB = 0;
+
+        for (let i = 0; i < n; i++) {
+            covariance += (a[i] - meanA) * (b[i] - meanB);
+            varianceA += (a[i] - meanA) * (a[i] - meanA);
+            varianceB += (b[i] - meanB) * (b[i] - meanB);
+        }
+
+        return varianceA > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceA * varianceB) : 0;
+    }
+
+    // 网格序号在小节中的位置，beatInBar从1开始，弱起小节的barIndex为-1
+    getPosition(index) {
+        return {
+            beatInBar: this.mod(index - this.phase, this.meter) + 1,
+            barIndex: Math.floor((index - this.phase) / this.meter)
+        };
+    }
+
+    // 获取当前估计
+    getState() {
+        return {
+            meter: this.meter,
+            signature: this.signature,
+            phase: this.phase,
+            confidence: this.confidence
+        };
+    }
+
+    // 非负取模
+    mod(value, divisor) {
+        return ((value % divisor) + divisor) % divisor;
+    }
+
+    // 更新配置
+    updateConfig(newConfig) {
+        this.config = { ...this.config, ...newConfig };
+    }
+}
@@ -0,0 +1,444 @@
+/**
+ * 起始点检测算法
+ * 提供能量、频谱通量、高频内容（HFC）和复数域四种检测函数、多算法投票的融合检测，
+ * 以及踢鼓/军鼓/踩镲分声部检测。每种算法都用自适应中值阈值做峰值拾取。主线程的AnalyserNode轮询和音频线程的AudioWorklet共用此文件
+ *
+ * 输入帧结构：
+ * { time, magnitudes, previous, binSize, decibelRange, real?, imag?, scale? }
+ * magnitudes/previous为当前帧和上一帧的0-1电平（与getByteFrequencyData/255一致），decibelRange为电平对应的分贝范围，
+ * real/imag为FFT复数结果（仅AudioWorklet提供），scale为复数结果的幅度归一化系数
+ */
+
+// 自适应中值阈值峰值拾取：检测函数值是局部峰值且超过近期中值的一定倍数才算起始点
+class PeakPicker {
+    constructor(options = {}) {
+        this.config = {
+            historySize: 43,        // 阈值参考的历史帧数
+            multiplier: 1.3,        // 中值倍数（越低越灵敏）
+            deviationWeight: 1.5,   // 偏差项的权重，平稳噪声的随机起伏不会超过阈值
+            minValue: 0.002,        // 阈值下限（安静段落中不触发）
+            ...options
+        };
+
+        this.reset();
+    }
+
+    // 重置历史
+    reset() {
+        this.history = new Float32Array(this.config.historySize);
+        this.sorted = new Float32Array(this.config.historySize);
+        this.index = 0;
+        this.count = 0;
+
+        // 峰值判断需要前两帧的值，起始点报告会延迟一帧
+        this.previous = 0;
+        this.beforePrevious = 0;
+        this.previousTime = 0;
+        this.previousThreshold = Infinity;
+    }
+
+    // 按近期历史计算阈值：中值 × 倍数 + 相对中值的标准差
+    computeThreshold() {
+        // 历史不足时不检测，避免刚开始时误判
+        if (this.count < this.history.length / 4) {
+            return Infinity;
+        }
+
+        const sorted = this.sorted.subarray(0, this.count);
+        sorted.set(this.history.subarray(0, this.count));
+        sorted.sort();
+        const median = sorted[Math.floor(this.count / 2)];
+
+        let variance = 0;
+        for (let i = 0; i < this.count; i++) {
+            variance += (sorted[i] - median) * (sorted[i] - median);
+        }
+        const deviation = Math.sqrt(variance / this.count);
+
+        return Math.max(median * this.config.multiplier + deviation * this.config.deviationWeight, this.config.minValue);
+    }
+
+    // 输入一帧检测函数值，上一帧是超过阈值的局部峰值时返回起始点
+    push(value, time) {
+        const threshold = this.computeThreshold();
+
+        const peak = this.previous;
+        const isPeak = peak > this.beforePrevious && peak >= value && peak > this.previousThreshold;
+        const result = {
+            onset: isPeak,
+            time: this.previousTime,
+            value: peak,
+            threshold: this.previousThreshold,
+            strength: isPeak ? Math.min((peak - this.previousThreshold) / this.previousThreshold, 1) : 0
+        };
+
+        this.beforePrevious = this.previous;
+        this.previous = value;
+        this.previousTime = time;
+        this.previousThreshold = threshold;
+
+        this.history[this.index] = value;
+        this.index = (this.index + 1) % this.history.length;
+        this.count = Math.min(this.count + 1, this.history.length);
+
+        return result;
+    }
+
+    // 更新配置（历史长度变化时重置）
+    updateConfig(newConfig) {
+        const historySize = this.config.historySize;
+        this.config = { ...this.config, ...newConfig };
+        if (this.config.historySize !== historySize) {
+            this.reset();
+        }
+    }
+}
+
+// 起始点检测器基类
+class OnsetDetector {
+    constructor(options = {}) {
+        this.picker = new PeakPicker(options);
+    }
+
+    // 检测函数：当前帧的起始强度（子类实现）
+    compute(frame) {
+        return 0;
+    }
+
+    // 处理一帧，返回 { onset, time, value, threshold, strength }
+    process(frame) {
+        return this.picker.push(this.compute(frame), frame.time);
+    }
+
+    // 重置检测状态
+    reset() {
+        this.picker.reset();
+    }
+
+    // 更新阈值配置
+    updateConfig(newConfig) {
+        this.picker.updateConfig(newConfig);
+    }
+
+    // 频率对应的频点
+    static toBin(frame, frequency) {
+        return Math.min(frame.magnitudes.length, Math.max(1, Math.floor(frequency / frame.binSize)));
+    }
+
+    // 频段内的正向频谱通量（只计电平上升）
+    static bandFlux(frame, lowFrequency, highFrequency) {
+        const start = OnsetDetector.toBin(frame, lowFrequency);
+        const end = OnsetDetector.toBin(frame, highFrequency);
+        let sum = 0;
+
+        for (let i = start; i < end; i++) {
+            const diff = frame.magnitudes[i] - frame.previous[i];
+            if (diff > 0) sum += diff;
+        }
+
+        return end > start ? sum / (end - start) : 0;
+    }
+
+    // 注册检测算法，供运行时按名称创建
+    static register(type, DetectorClass) {
+        OnsetDetector.types[type] = DetectorClass;
+    }
+
+    // 按类型创建检测器
+    static create(type, options = {}) {
+        const DetectorClass = OnsetDetector.types[type];
+        if (!DetectorClass) {
+            throw new Error(`Unknown onset detector: ${type}`);
+        }
+        return new DetectorClass(options);
+    }
+
+    // 列出已注册的检测算法
+    static getAvailableTypes() {
+        return Object.keys(OnsetDetector.types);
+    }
+}
+
+OnsetDetector.types = {};
+
+// 能量检测：低中频能量相对近期中值的突增，适合鼓点清晰的电子音乐
+class EnergyDetector extends OnsetDetector {
+    constructor(options = {}) {
+        super({ minValue: 0.01, ...options });
+    }
+
+    compute(frame) {
+        const start = OnsetDetector.toBin(frame, 20);
+        const end = OnsetDetector.toBin(frame, 4000);
+        let energy = 0;
+
+        for (let i = start; i < end; i++) {
+            energy += frame.magnitudes[i] * frame.magnitudes[i];
+        }
+
+        return end > start ? energy / (end - start) : 0;
+    }
+}
+
+// 频谱通量：各频点电平上升量之和，对大多数音乐都比较稳定
+class SpectralFluxDetector extends OnsetDetector {
+    compute(frame) {
+        return OnsetDetector.bandFlux(frame, 20, 4000);
+    }
+}
+
+// 高频内容（HFC）：按频率加权的能量的上升量，对镲片、军鼓等打击乐起音敏感
+class HfcDetector extends OnsetDetector {
+    constructor(options = {}) {
+        super(options);
+        this.lastContent = 0;
+    }
+
+    compute(frame) {
+        const magnitudes = frame.magnitudes;
+        let content = 0;
+        let weight = 0;
+
+        for (let i = 1; i < magnitudes.length; i++) {
+            content += i * magnitudes[i] * magnitudes[i];
+            weight += i;
+        }
+        content /= weight;
+
+        const rise = Math.max(0, content - this.lastContent);
+        this.lastContent = content;
+        return rise;
+    }
+
+    reset() {
+        super.reset();
+        this.lastContent = 0;
+    }
+}
+
+// 复数域：按前两帧的幅度和相位预测当前频谱，偏离预测的部分即起始强度。
+// 能检测到吉他、钢琴等能量变化不大但相位突变的柔和起音。
+// AnalyserNode不提供相位，此时只能比较幅度（退化为全频段频谱通量）
+class ComplexDomainDetector extends OnsetDetector {
+    constructor(options = {}) {
+        super({ minValue: 0.00005, ...options });
+        this.state = null;
+    }
+
+    compute(frame) {
+        if (!frame.real || !frame.imag) {
+            return OnsetDetector.bandFlux(frame, 20, frame.binSize * frame.magnitudes.length);
+        }
+
+        const binCount = frame.magnitudes.length;
+        if (!this.state || this.state.magnitude.length !== binCount) {
+            this.state = {
+                magnitude: new Float32Array(binCount),
+                phase: new Float32Array(binCount),
+                previousPhase: new Float32Array(binCount)
+            };
+        }
+
+        const { magnitude, phase, previousPhase } = this.state;
+        const scale = frame.scale || 1;
+        let sum = 0;
+
+        for (let i = 1; i < binCount; i++) {
+            const currentMagnitude = Math.hypot(frame.real[i], frame.imag[i]) * scale;
+            const currentPhase = Math.atan2(frame.imag[i], frame.real[i]);
+
+            // 只计幅度上升的频点（整流），衰减段不会被误判
+            if (currentMagnitude >= magnitude[i]) {
+                const predictedPhase = 2 * phase[i] - previousPhase[i];
+                const distance = currentMagnitude * currentMagnitude + magnitude[i] * magnitude[i] -
+                    2 * currentMagnitude * magnitude[i] * Math.cos(currentPhase - predictedPhase);
+                sum += Math.sqrt(Math.max(0, distance));
+            }
+
+            previousPhase[i] = phase[i];
+            phase[i] = currentPhase;
+            magnitude[i] = currentMagnitude;
+        }
+
+        return sum / binCount;
+    }
+
+    reset() {
+        super.reset();
+        this.state = null;
+    }
+}
+
+// 融合检测：多种算法同时运行，在投票窗口内有足够多的算法检测到起始点才算节拍
+class FusionDetector extends OnsetDetector {
+    constructor(options = {}) {
+        const {
+            detectors = ['energy', 'spectralFlux', 'hfc', 'complex'],
+            minVotes = 2,
+            voteWindow = 0.05,
+            ...pickerOptions
+        } = options;
+
+        super(pickerOptions);
+        this.minVotes = minVotes;
+        this.voteWindow = voteWindow;
+        this.detectors = detectors.map(type => OnsetDetector.create(type, pickerOptions));
+        this.reset();
+    }
+
+    process(frame) {
+        const results = this.detectors.map(detector => detector.process(frame));
+
+        // 记录每种算法最近一次的起始点
+        results.forEach((result, index) => {
+            if (result.onset) {
+                this.lastOnsets[index] = result;
+            }
+        });
+
+        const voters = this.lastOnsets.filter(result => result && frame.time - result.time <= this.voteWindow);
+        const value = results.reduce((sum, result) => {
+            return sum + (isFinite(result.threshold) ? result.value / result.threshold : 0);
+        }, 0) / results.length;
+
+        if (voters.length < this.minVotes) {
+            return { onset: false, time: frame.time, value, threshold: 1, strength: 0 };
+        }
+
+        // 同一个起始点只报告一次，时间取最早检测到的算法
+        this.lastOnsets = this.detectors.map(() => null);
+        return {
+            onset: true,
+            time: Math.min(...voters.map(result => result.time)),
+            value: Math.max(value, 1),
+            threshold: 1,
+            strength: voters.reduce((sum, result) => sum + result.strength, 0) / voters.length,
+            votes: voters.length
+        };
+    }
+
+    reset() {
+        this.detectors.forEach(detector => detector.reset());
+        this.lastOnsets = this.detectors.map(() => null);
+    }
+
+    updateConfig(newConfig) {
+        this.detectors.forEach(detector => detector.updateConfig(newConfig));
+    }
+}
+
+// 打击乐分声部检测：踢鼓、军鼓/拍手、踩镲/镲片各用一组频段模型和独立阈值，输出各自的起始点。
+// 窄频段的dB电平在小信号时起伏很大，声部模型改用线性幅度计算频段响度的上升
+class PercussionDetector {
+    constructor(options = {}) {
+        const { instruments = {}, ...pickerOptions } = options;
+
+        // 声部模型：bands为[低频, 高频, 权重]，检测函数为各频段响度上升的加权和，
+        // 负权重的频段用于排除其他声部（如军鼓的低频成分不应触发踢鼓）
+        this.instruments = {
+            kick: {
+                bands: [[40, 120, 1], [150, 400, -1]],                     // 低频鼓皮，排除鼓身更高的军鼓
+                multiplier: 1.5,
+                minValue: 0.002,
+                minInterval: 0.2
+            },
+            snare: {
+                bands: [[150, 400, 1], [1000, 5000, 1], [40, 120, -0.5]],  // 鼓身共鸣 + 响弦/拍手噪声
+                multiplier: 1.5,
+                minValue: 0.001,
+                minInterval: 0.15
+            },
+            hihat: {
+                bands: [[6000, 16000, 1], [150, 400, -0.5]],               // 镲片高频，排除军鼓的高频泛音
+                multiplier: 1.4,
+                minValue: 0.0005,
+                minInterval: 0.08
+            },
+            ...instruments
+        };
+
+        this.pickers = {};
+        Object.keys(this.instruments).forEach(name => {
+            const { multiplier, minValue } = this.instruments[name];
+            this.pickers[name] = new PeakPicker({ ...pickerOptions, multiplier, minValue });
+        });
+
+        this.reset();
+    }
+
+    // 处理一帧，返回本帧确认的各声部起始点 [{ instrument, time, strength }]
+    process(frame) {
+        const hits = [];
+
+        Object.keys(this.instruments).forEach(name => {
+            const model = this.instruments[name];
+            const value = model.bands.reduce((sum, [low, high, weight]) => {
+                return sum + PercussionDetector.bandRise(frame, low, high) * weight;
+            }, 0);
+
+            const result = this.pickers[name].push(Math.max(0, value), frame.time);
+            if (result.onset && result.time - this.lastHitTime[name] >= model.minInterval) {
+                this.lastHitTime[name] = result.time;
+                hits.push({ instrument: name, time: result.time, strength: result.strength });
+            }
+        });
+
+        return hits;
+    }
+
+    // 重置检测状态
+    reset() {
+        this.lastHitTime = {};
+        Object.keys(this.pickers).forEach(name => {
+            this.pickers[name].reset();
+            this.lastHitTime[name] = -Infinity;
+        });
+    }
+
+    // 更新阈值历史长度等配置（各声部倍数保持独立）
+    updateConfig(newConfig) {
+        const { multiplier, minValue, ...pickerOptions } = newConfig;
+        Object.values(this.pickers).forEach(picker => picker.updateConfig(pickerOptions));
+    }
+
+    // 频段平均线性幅度相对上一帧的上升量（frame.decibelRange为电平归一化的分贝范围）
+    static bandRise(frame, lowFrequency, highFrequency) {
+        const start = OnsetDetector.toBin(frame, lowFrequency);
+        const end = OnsetDetector.toBin(frame, highFrequency);
+        const scale = (frame.decibelRange || 80) / 20;
+        let rise = 0;
+
+        for (let i = start; i < end; i++) {
+            rise += Math.pow(10, (frame.magnitudes[i] - 1) * scale) - Math.pow(10, (frame.previous[i] - 1) * scale);
+        }
+
+        return end > start ? Math.max(0, rise / (end - start)) : 0;
+    }
+
+    // 把起始点列表整理为每个声部一项（同一声部取最强的一次）
+    static summarize(hits, instruments = ['kick', 'snare', 'hihat']) {
+        const percussion = {};
+
+        instruments.forEach(name => {
+            const hit = hits
+                .filter(item => item.instrument === name)
+                .reduce((strongest, item) => (!strongest || item.strength > strongest.strength ? item : strongest), null);
+
+            percussion[name] = hit
+                ? { detected: true, strength: hit.strength, time: hit.time }
+                : { detected: false, strength: 0, time: null };
+        });
+
+        return percussion;
+    }
+}
+
+OnsetDetector.register('energy', EnergyDetector);
+OnsetDetector.register('spectralFlux', SpectralFluxDetector);
+OnsetDetector.register('hfc', HfcDetector);
+OnsetDetector.register('complex', ComplexDomainDetector);
+OnsetDetector.register('fusion', FusionDetector);
+
+// AudioWorklet中每个模块有独立作用域，挂到全局后分析处理器才能使用
+globalThis.OnsetDetector = OnsetDetector;
+globalThis.PercussionDetector = PercussionDetector;
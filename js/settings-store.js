@@ -0,0 +1,209 @@
+/**
+ * 用户设置存储
+ * 负责振动、分析器、可视化等配置的持久化（localStorage）与版本迁移
+ */
+
+// 存储键与当前设置结构版本
+const SETTINGS_STORAGE_KEY = 'audioVibrate.settings';
+const SETTINGS_SCHEMA_VERSION = 1;
+
+class SettingsStore {
+    constructor(options = {}) {
+        this.storage = options.storage || this.getDefaultStorage();
+        this.isMobile = !!options.mobile;
+        this.defaults = this.createDefaults();
+        this.settings = this.clone(this.defaults);
+
+        // 版本迁移：键为旧版本号，函数负责把该版本数据升级到下一版本
+        this.migrations = {};
+    }
+
+    // 获取默认存储（隐私模式等情况下localStorage可能不可用）
+    getDefaultStorage() {
+        try {
+            return window.localStorage;
+        } catch (error) {
+            console.warn('localStorage not available, settings will not persist');
+            return null;
+        }
+    }
+
+    // 生成默认设置
+    createDefaults() {
+        const defaults = {
+            player: {
+                volume: 0.5
+            },
+            vibration: {
+                enabled: false,
+                preAnalysis: true,
+                minInterval: 20,
+                maxDuration: 800,
+                intensityMultiplier: 4,
+                frequencyThreshold: 0.15,
+                motorProfile: 'default',
+                governorMode: 'balanced',
+                comfortMode: 'auto',
+                percussionChannels: false,
+                sectionDynamics: true,
+                preset: 'default'
+            },
+            analyzer: {
+                fftSize: 2048,
+                smoothingTimeConstant: 0.8,
+                beatThreshold: 1.3,
+                engine: 'worklet',
+                onsetDetector: 'spectralFlux',
+                loudnessNormalization: 'analysis',
+                bandScale: 'mel',
+                bandCount: 8,
+                bandWeighting: 'none'
+            },
+            visualizer: {
+                style: 'classic',
+                targetFPS: 60
+            }
+        };
+
+        // 移动端默认值：降低分析与绘制开销以节省电量
+        if (this.isMobile) {
+            defaults.vibration.minInterval = 100;
+            defaults.vibration.maxDuration = 300;
+            defaults.analyzer.fftSize = 1024;
+            defaults.analyzer.smoothingTimeConstant = 0.9;
+            defaults.visualizer.targetFPS = 30;
+        }
+
+        return defaults;
+    }
+
+    // 从存储加载设置
+    load() {
+        if (!this.storage) {
+            return this.settings;
+        }
+
+        try {
+            const raw = this.storage.getItem(SETTINGS_STORAGE_KEY);
+            if (raw) {
+                const stored = this.migrate(JSON.parse(raw));
+                this.settings = stored
+                    ? this.mergeWithDefaults(this.defaults, stored.settings)
+                    : this.clone(this.defaults);
+            }
+        } catch (error) {
+            console.warn('Failed to load settings, using defaults:', error);
+            this.settings = this.clone(this.defaults);
+        }
+
+        return this.settings;
+    }
+
+    // 保存设置到存储
+    save() {
+        if (!this.storage) return false;
+
+        try {
+            this.storage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({
+                version: SETTINGS_SCHEMA_VERSION,
+                settings: this.settings
+            }));
+            return true;
+        } catch (error) {
+            console.warn('Failed to save settings:', error);
+            return false;
+        }
+    }
+
+    // 将旧版本数据逐级迁移到当前版本
+    migrate(data) {
+        if (!data || typeof data !== 'object') {
+            return null;
+        }
+
+        let version = typeof data.version === 'number' ? data.version : 0;
+
+        // 来自更新版本的数据无法降级，放弃
+        if (version > SETTINGS_SCHEMA_VERSION) {
+            console.warn(`Settings version ${version} is newer than supported, ignoring`);
+            return null;
+        }
+
+        let settings = data.settings || {};
+        while (version < SETTINGS_SCHEMA_VERSION) {
+            const migration = this.migrations[version];
+            if (migration) {
+                settings = migration(settings);
+            }
+            version++;
+        }
+
+        return { version, settings };
+    }
+
+    // 以默认值为结构合并已存储的设置，丢弃未知或类型不符的字段
+    mergeWithDefaults(defaults, stored) {
+        const result = {};
+
+        Object.keys(defaults).forEach(key => {
+            const defaultValue = defaults[key];
+            const storedValue = stored ? stored[key] : undefined;
+
+            if (this.isPlainObject(defaultValue)) {
+                result[key] = this.mergeWithDefaults(defaultValue, this.isPlainObject(storedValue) ? storedValue : {});
+            } else if (storedValue !== undefined && typeof storedValue === typeof defaultValue) {
+                result[key] = this.clone(storedValue);
+            } else {
+                result[key] = this.clone(defaultValue);
+            }
+        });
+
+        return result;
+    }
+
+    // 获取某一分组的设置
+    get(section) {
+        return this.clone(this.settings[section] || {});
+    }
+
+    // 更新某一分组的设置并保存
+    update(section, values) {
+        if (!this.defaults[section]) {
+            console.warn('Unknown settings section:', section);
+            return null;
+        }
+
+        this.settings[section] = this.mergeWithDefaults(this.defaults[section], {
+            ...this.settings[section],
+            ...values
+        });
+        this.save();
+
+        return this.get(section);
+    }
+
+    // 恢复默认设置
+    reset() {
+        this.settings = this.clone(this.defaults);
+
+        if (this.storage) {
+            try {
+                this.storage.removeItem(SETTINGS_STORAGE_KEY);
+            } catch (error) {
+                console.warn('Failed to clear settings:', error);
+            }
+        }
+
+        return this.settings;
+    }
+
+    // 判断是否为普通对象
+    isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    // 深拷贝（设置中只包含可JSON序列化的数据）
+    clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+}
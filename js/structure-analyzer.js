@@ -0,0 +1,270 @@
+/**
+ * 歌曲结构分析器
+ * 把整曲的逐帧特征汇总为短时块，在特征的自相似矩阵上用棋盘核计算新颖度曲线，
+ * 取新颖度峰值作为段落边界（对齐到小节首拍），再按各段的响度和踢鼓能量标注前奏、主歌、副歌、间奏、高潮、尾奏
+ */
+
+class StructureAnalyzer {
+    constructor(options = {}) {
+        // 分析配置（时间单位均为秒）
+        this.config = {
+            blockSeconds: 0.5,      // 特征块长度
+            smoothSeconds: 2,       // 特征平滑窗口，抹平单个节拍带来的起伏
+            kernelSeconds: 8,       // 棋盘核半宽：边界两侧各比较多长的音乐
+            minSectionSeconds: 8,   // 最短段落
+            peakThreshold: 0.5,     // 新颖度峰值需超过均值加几倍标准差
+            snapSeconds: 2,         // 边界对齐到多远以内的小节首拍
+            ...options
+        };
+    }
+
+    // 分析整曲结构，返回按时间排列的段落 [{start, end, type, level}]
+    // frames: BeatMapAnalyzer.computeFrames的结果，beats: 整曲节拍
+    analyze(frames, beats, duration) {
+        const blocks = this.computeBlocks(frames, beats);
+        if (blocks.length === 0) {
+            return [];
+        }
+
+        const blockSeconds = blocks.blockSeconds;
+        const novelty = this.computeNovelty(this.normalize(blocks.map(block => block.features)), blockSeconds);
+        const boundaries = this.pickBoundaries(novelty, blockSeconds, duration)
+            .map(time => this.snapToDownbeat(time, beats));
+
+        // 边界切分为段落
+        const edges = [0, ...boundaries, duration];
+        const sections = [];
+        for (let i = 0; i < edges.length - 1; i++) {
+            if (edges[i + 1] - edges[i] > 0) {
+                sections.push({ start: edges[i], end: edges[i + 1] });
+            }
+        }
+
+        return this.labelSections(sections, blocks);
+    }
+
+    // 汇总为特征块：响度、踢鼓能量、高频能量（dB）与起始点密度
+    computeBlocks(frames, beats) {
+        const { energy, kick, high, frameDuration } = frames;
+        const framesPerBlock = Math.max(1, Math.round(this.config.blockSeconds / frameDuration));
+        const blockSeconds = framesPerBlock * frameDuration;
+        const blockCount = Math.floor(energy.length / framesPerBlock);
+        const toDecibels = (value) => 10 * Math.log10(value + 1e-10);
+
+        // 每块的节拍数
+        const beatCounts = new Array(blockCount).fill(0);
+        beats.forEach(beat => {
+            const index = Math.floor(beat.time / blockSeconds);
+            if (index >= 0 && index < blockCount) beatCounts[index]++;
+        });
+
+        const raw = [];
+        for (let block = 0; block < blockCount; block++) {
+            const start = block * framesPerBlock;
+            let energySum = 0;
+            let kickSum = 0;
+            let highSum = 0;
+            for (let i = start; i < start + framesPerBlock; i++) {
+                energySum += energy[i];
+                kickSum += kick[i];
+                highSum += high ? high[i] : 0;
+            }
+
+            raw.push({
+                loudness: toDecibels(energySum / framesPerBlock),
+                kick: toDecibels(kickSum / framesPerBlock),
+                high: toDecibels(highSum / framesPerBlock),
+                density: beatCounts[block] / blockSeconds
+            });
+        }
+
+        // 平滑后作为特征向量
+        const radius = Math.floor(this.config.smoothSeconds / blockSeconds / 2);
+        const blocks = raw.map((item, index) => {
+            const from = Math.max(0, index - radius);
+            const to = Math.min(raw.length - 1, index + radius);
+            const mean = { loudness: 0, kick: 0, high: 0, density: 0 };
+            for (let i = from; i <= to; i++) {
+                Object.keys(mean).forEach(key => { mean[key] += raw[i][key]; });
+            }
+            Object.keys(mean).forEach(key => { mean[key] /= to - from + 1; });
+
+            return {
+                time: index * blockSeconds,
+                ...mean,
+                features: [mean.loudness, mean.kick, mean.high, mean.density]
+            };
+        });
+        blocks.blockSeconds = blockSeconds;
+
+        return blocks;
+    }
+
+    // 各维特征标准化（零均值、单位方差），使响度与密度的量纲可比
+    normalize(features) {
+        const dimensions = features[0].length;
+        const result = features.map(vector => [...vector]);
+
+        for (let d = 0; d < dimensions; d++) {
+            const mean = features.reduce((sum, vector) => sum + vector[d], 0) / features.length;
+            const variance = features.reduce((sum, vector) => sum + (vector[d] - mean) * (vector[d] - mean), 0) / features.length;
+            const std = Math.sqrt(variance) || 1;
+            result.forEach(vector => { vector[d] = (vector[d] - mean) / std; });
+        }
+
+        return result;
+    }
+
+    // 新颖度曲线：以每块为中心的高斯棋盘核与自相似矩阵（负欧氏距离）的相关，两侧差异越大越高
+    computeNovelty(features, blockSeconds) {
+        const count = features.length;
+        const half = Math.max(1, Math.round(this.config.kernelSeconds / blockSeconds));
+        const sigma = half / 2;
+        const distance = (a, b) => {
+            let sum = 0;
+            for (let d = 0; d < a.length; d++) sum += (a[d] - b[d]) * (a[d] - b[d]);
+            return Math.sqrt(sum);
+        };
+
+        const novelty = new Float32Array(count);
+        for (let i = 0; i < count; i++) {
+            let sum = 0;
+            let weightSum = 0;
+            for (let a = -half; a < half; a++) {
+                const x = i + a;
+                if (x < 0 || x >= count) continue;
+                for (let b = -half; b < half; b++) {
+                    const y = i + b;
+                    if (y < 0 || y >= count) continue;
+
+                    // 同侧为正、跨边界为负；相似度取负距离，因此跨边界差异大时得分高
+                    const sign = (a < 0) === (b < 0) ? 1 : -1;
+                    const weight = Math.exp(-((a + 0.5) * (a + 0.5) + (b + 0.5) * (b + 0.5)) / (2 * sigma * sigma));
+                    sum -= sign * weight * distance(features[x], features[y]);
+                    weightSum += weight;
+                }
+            }
+            novelty[i] = weightSum > 0 ? Math.max(0, sum / weightSum) : 0;
+        }
+
+        return novelty;
+    }
+
+    // 取新颖度的显著峰值作为边界时间，相邻边界（含首尾）至少相隔一个最短段落
+    pickBoundaries(novelty, blockSeconds, duration) {
+        const minSection = this.config.minSectionSeconds;
+        const radius = Math.max(1, Math.round(minSection / blockSeconds / 2));
+        const mean = novelty.reduce((sum, value) => sum + value, 0) / novelty.length;
+        const std = Math.sqrt(novelty.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / novelty.length);
+        const threshold = mean + this.config.peakThreshold * std;
+
+        const peaks = [];
+        for (let i = 0; i < novelty.length; i++) {
+            if (novelty[i] <= threshold) continue;
+
+            let isPeak = true;
+            for (let j = Math.max(0, i - radius); j <= Math.min(novelty.length - 1, i + radius); j++) {
+                if (novelty[j] > novelty[i] || (novelty[j] === novelty[i] && j < i)) {
+                    isPeak = false;
+                    break;
+                }
+            }
+
+            // 块的起点即两侧窗口的分界
+            const time = i * blockSeconds;
+            if (isPeak && time >= minSection && duration - time >= minSection) {
+                peaks.push({ time, value: novelty[i] });
+            }
+        }
+
+        // 从最显著的峰开始保留，过近的较弱峰丢弃
+        const boundaries = [];
+        peaks.sort((a, b) => b.value - a.value).forEach(peak => {
+            if (boundaries.every(time => Math.abs(time - peak.time) >= minSection)) {
+                boundaries.push(peak.time);
+            }
+        });
+
+        return boundaries.sort((a, b) => a - b);
+    }
+
+    // 边界对齐到附近的小节首拍（没有小节信息时对齐到最近的节拍）
+    snapToDownbeat(time, beats) {
+        const nearest = (candidates) => candidates.reduce((best, beat) => {
+            return !best || Math.abs(beat.time - time) < Math.abs(best.time - time) ? beat : best;
+        }, null);
+
+        const downbeat = nearest(beats.filter(beat => beat.beatInBar === 1));
+        if (downbeat && Math.abs(downbeat.time - time) <= this.config.snapSeconds) {
+            return downbeat.time;
+        }
+
+        const beat = nearest(beats);
+        if (beat && Math.abs(beat.time - time) <= this.config.blockSeconds) {
+            return beat.time;
+        }
+
+        return time;
+    }
+
+    // 按段落的相对响度标注类型，level为0-1的相对响度
+    labelSections(sections, blocks) {
+        // 各段的平均响度与踢鼓能量（dB）
+        sections.forEach(section => {
+            const inside = blocks.filter(block => block.time >= section.start && block.time < section.end);
+            const items = inside.length > 0 ? inside : [blocks[Math.min(blocks.length - 1, Math.floor(section.start / blocks.blockSeconds))]];
+            section.loudness = items.reduce((sum, block) => sum + block.loudness, 0) / items.length;
+            section.kick = items.reduce((sum, block) => sum + block.kick, 0) / items.length;
+        });
+
+        const relative = (key) => {
+            const values = sections.map(section => section[key]);
+            const min = Math.min(...values);
+            const range = Math.max(...values) - min;
+            return sections.map(section => (range > 0 ? (section[key] - min) / range : 1));
+        };
+        const levels = relative('loudness');
+        const kicks = relative('kick');
+
+        return sections.map((section, index) => {
+            const level = levels[index];
+            const edge = sections.length > 2 && level < 0.5;
+            let type;
+
+            if (index === 0 && edge) {
+                type = 'intro';
+            } else if (index === sections.length - 1 && edge) {
+                type = 'outro';
+            } else if (level >= 0.7) {
+                // 从安静段落突然进入响亮且踢鼓很重的段落
+                type = index > 0 && levels[index - 1] < 0.4 && kicks[index] >= 0.7 ? 'drop' : 'chorus';
+            } else if (level < 0.35) {
+                type = 'breakdown';
+            } else {
+                type = 'verse';
+            }
+
+            return {
+                start: section.start,
+                end: section.end,
+                type,
+                level
+            };
+        });
+    }
+
+    // 更新配置
+    updateConfig(newConfig) {
+        this.config = { ...this.config, ...newConfig };
+    }
+}
+
+// 段落类型的显示名称
+StructureAnalyzer.labels = {
+    intro: '前奏',
+    verse: '主歌',
+    chorus: '副歌',
+    breakdown: '间奏',
+    drop: '高潮',
+    outro: '尾奏'
+};
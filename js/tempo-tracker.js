@@ -0,0 +1,226 @@
+/**
+ * 节拍跟踪器（锁相环）
+ * 根据检测到的起始点维护一个节拍网格：先从起始点间隔估计速度，再用锁相环逐拍修正相位和周期。
+ * 短暂没有检测到节拍时网格继续推进，可以提前预测下一拍的时间
+ */
+
+class TempoTracker {
+    constructor(options = {}) {
+        // 跟踪配置（时间单位均为秒，基于音频上下文时间）
+        this.config = {
+            minBPM: 60,
+            maxBPM: 200,
+            matchWindow: 0.15,      // 起始点距网格拍多近（占周期比例）才算落在拍上
+            phaseGain: 0.25,        // 相位修正增益
+            periodGain: 0.05,       // 周期修正增益
+            lockConfidence: 0.3,    // 刚锁定时的置信度
+            missDecay: 0.85,        // 每漏一拍置信度的衰减
+            holdBeats: 8,           // 连续漏拍超过此数则失锁
+            maxOffGrid: 6,          // 连续不在拍上的起始点超过此数则重新估计速度
+            historySize: 16,        // 用于估计速度的起始点数量
+            clusterTolerance: 0.025 // 间隔聚类容差（秒）
+        };
+
+        // 锁定次数（重置后也递增），重新锁定后网格序号不再连续
+        this.epoch = 0;
+
+        this.updateConfig(options);
+        this.reset();
+    }
+
+    // 重置跟踪状态（切换曲目、跳转、变速时调用）
+    reset() {
+        this.period = 0;            // 拍周期（秒），0表示未锁定
+        this.nextBeatTime = 0;      // 下一个尚未过去的网格拍
+        this.beatIndex = 0;         // 该网格拍的序号（每次锁定从0开始）
+        this.lastMatchedIndex = -1; // 最近一次落在拍上的起始点对应的序号
+        this.confidence = 0;
+        this.missedBeats = 0;
+        this.offGridCount = 0;
+        this.lastMatchedTime = -Infinity;
+        this.onsetHistory = [];
+
+        // 网格拍的强度与类型（取最近落在拍上的起始点）
+        this.beatStrength = 0.5;
+        this.beatType = 'energy';
+    }
+
+    // 是否已锁定节拍网格
+    isLocked() {
+        return this.period > 0;
+    }
+
+    // 输入一个起始点
+    addOnset(time, strength = 0.5, type = 'energy') {
+        this.onsetHistory.push(time);
+        if (this.onsetHistory.length > this.config.historySize) {
+            this.onsetHistory.shift();
+        }
+
+        if (!this.isLocked()) {
+            this.tryLock(time);
+            return false;
+        }
+
+        this.update(time);
+
+        // 找到最近的网格拍并计算相位误差
+        const beatsAway = Math.round((time - this.nextBeatTime) / this.period);
+        const gridTime = this.nextBeatTime + beatsAway * this.period;
+        const error = time - gridTime;
+
+        if (Math.abs(error) > this.config.matchWindow * this.period) {
+            // 切分音或误检：降低置信度，连续出现说明速度变了
+            this.confidence *= 0.95;
+            this.offGridCount++;
+            if (this.offGridCount >= this.config.maxOffGrid) {
+                this.unlock();
+                this.tryLock(time);
+            }
+            return false;
+        }
+
+        // 锁相环：按误差修正相位和周期
+        this.nextBeatTime += error * this.config.phaseGain;
+        this.period = this.clampPeriod(this.period + error * this.config.periodGain);
+
+        this.confidence += (1 - this.confidence) * 0.25;
+        this.missedBeats = 0;
+        this.offGridCount = 0;
+        this.lastMatchedTime = gridTime;
+        this.lastMatchedIndex = this.beatIndex + beatsAway;
+        this.beatStrength = this.beatStrength * 0.7 + strength * 0.3;
+        this.beatType = type;
+
+        return true;
+    }
+
+    // 推进网格到指定时间，统计漏掉的拍
+    update(time) {
+        if (!this.isLocked()) return;
+
+        const matchWindow = this.config.matchWindow * this.period;
+
+        while (time > this.nextBeatTime + matchWindow) {
+            if (this.lastMatchedTime < this.nextBeatTime - matchWindow) {
+                this.missedBeats++;
+                this.confidence *= this.config.missDecay;
+            }
+            this.nextBeatTime += this.period;
+            this.beatIndex++;
+        }
+
+        // 长时间没有节拍（间奏、停顿），放弃当前网格
+        if (this.missedBeats > this.config.holdBeats) {
+            this.unlock();
+        }
+    }
+
+    // 失锁（保留起始点历史用于重新估计）
+    unlock() {
+        this.period = 0;
+        this.confidence = 0;
+        this.missedBeats = 0;
+        this.offGridCount = 0;
+    }
+
+    // 尝试从起始点历史估计速度并锁定网格
+    tryLock(time) {
+        const period = this.estimatePeriod();
+        if (!period) return;
+
+        this.period = period;
+        this.nextBeatTime = time + period;
+        this.beatIndex = 1;
+        this.lastMatchedTime = time;
+        this.lastMatchedIndex = 0;
+        this.epoch++;
+        this.confidence = this.config.lockConfidence;
+        this.missedBeats = 0;
+        this.offGridCount = 0;
+    }
+
+    // 估计拍周期：对起始点两两间隔折算到速度范围内后聚类，取得分最高的一簇
+    estimatePeriod() {
+        const onsets = this.onsetHistory;
+        if (onsets.length < 4) return 0;
+
+        const minPeriod = 60 / this.config.maxBPM;
+        const maxPeriod = 60 / this.config.minBPM;
+        const clusters = [];
+
+        for (let i = 0; i < onsets.length; i++) {
+            for (let j = i + 1; j < onsets.length && j <= i + 4; j++) {
+                let interval = onsets[j] - onsets[i];
+                if (interval <= 0) continue;
+
+                // 相隔多拍的间隔按拍数折算
+                while (interval > maxPeriod) interval /= 2;
+                while (interval < minPeriod) interval *= 2;
+
+                // 相邻起始点的间隔权重更高
+                const weight = 1 / (j - i);
+                const cluster = clusters.find(item => Math.abs(item.period - interval) <= this.config.clusterTolerance);
+
+                if (cluster) {
+                    cluster.period = (cluster.period * cluster.weight + interval * weight) / (cluster.weight + weight);
+                    cluster.weight += weight;
+                } else {
+                    clusters.push({ period: interval, weight });
+                }
+            }
+        }
+
+        const best = clusters.reduce((top, item) => (!top || item.weight > top.weight ? item : top), null);
+
+        // 至少要有三组相邻间隔支持才可信
+        return best && best.weight >= 3 ? best.period : 0;
+    }
+
+    // 限制周期范围
+    clampPeriod(period) {
+        return Math.max(60 / this.config.maxBPM, Math.min(60 / this.config.minBPM, period));
+    }
+
+    // 获取指定时间的网格状态
+    getState(time) {
+        if (!this.isLocked()) {
+            return {
+                locked: false,
+                bpm: 0,
+                period: 0,
+                phase: 0,
+                nextBeatTime: null,
+                nextBeatIndex: null,
+                confidence: 0,
+                epoch: this.epoch
+            };
+        }
+
+        // 严格晚于当前时间的下一拍
+        let nextBeatTime = this.nextBeatTime;
+        let nextBeatIndex = this.beatIndex;
+        while (nextBeatTime <= time) {
+            nextBeatTime += this.period;
+            nextBeatIndex++;
+        }
+
+        return {
+            locked: true,
+            bpm: Math.round(60 / this.period),
+            period: this.period,
+            phase: 1 - (nextBeatTime - time) / this.period,
+            nextBeatTime,
+            nextBeatIndex,
+            confidence: this.confidence,
+            epoch: this.epoch,
+            strength: this.beatStrength,
+            type: this.beatType
+        };
+    }
+
+    // 更新配置
+    updateConfig(newConfig) {
+        this.config = { ...this.config, ...newConfig };
+    }
+}
@@ -0,0 +1,84 @@
+/**
+ * 时间线画布
+ * 振动轨编辑器和波形进度条共用的基类：在AudioVisualizer的画布与动画循环上提供可视范围（view）的时间与坐标换算、
+ * 波形包络计算和事件回调，子类负责交互和绘制
+ */
+
+class TimelineCanvas extends AudioVisualizer {
+    constructor(canvas) {
+        super(canvas);
+
+        // 曲目时长与可视范围（秒）
+        this.duration = 0;
+        this.view = { start: 0, duration: 0 };
+        this.envelope = null;       // 归一化波形包络 {values, frameDuration}
+    }
+
+    // 由逐帧能量计算归一化的振幅包络
+    computeEnvelope(frames) {
+        const values = new Float32Array(frames.energy.length);
+        let max = 0;
+        for (let i = 0; i < values.length; i++) {
+            values[i] = Math.sqrt(frames.energy[i]);
+            if (values[i] > max) max = values[i];
+        }
+        if (max > 0) {
+            for (let i = 0; i < values.length; i++) values[i] /= max;
+        }
+        return { values, frameDuration: frames.frameDuration };
+    }
+
+    // 由解码后的音频计算归一化的振幅包络（每hopSize个采样点取各声道的均方根）
+    computeBufferEnvelope(audioBuffer, hopSize = 512) {
+        const channels = [];
+        for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+            channels.push(audioBuffer.getChannelData(c));
+        }
+
+        const values = new Float32Array(Math.ceil(audioBuffer.length / hopSize));
+        let max = 0;
+        for (let i = 0; i < values.length; i++) {
+            const start = i * hopSize;
+            const end = Math.min(audioBuffer.length, start + hopSize);
+            let sum = 0;
+            channels.forEach(data => {
+                for (let j = start; j < end; j++) sum += data[j] * data[j];
+            });
+            values[i] = Math.sqrt(sum / ((end - start) * channels.length));
+            if (values[i] > max) max = values[i];
+        }
+        if (max > 0) {
+            for (let i = 0; i < values.length; i++) values[i] /= max;
+        }
+        return { values, frameDuration: hopSize / audioBuffer.sampleRate };
+    }
+
+    // 调整画布大小：清除上次设置的固定尺寸，按样式表重新取宽度
+    resize() {
+        this.canvas.style.width = '';
+        this.canvas.style.height = '';
+        super.resize();
+    }
+
+    // 画布宽高（CSS像素）
+    getSize() {
+        const dpr = window.devicePixelRatio || 1;
+        return { width: this.canvas.width / dpr, height: this.canvas.height / dpr };
+    }
+
+    // 指针在画布中的横坐标
+    getPointerX(event) {
+        return event.clientX - this.canvas.getBoundingClientRect().left;
+    }
+
+    // 时间与横坐标换算
+    timeToX(time) {
+        return (time - this.view.start) / this.view.duration * this.getSize().width;
+    }
+
+    xToTime(x) {
+        return this.view.start + x / this.getSize().width * this.view.duration;
+    }
+}
+
+Object.assign(TimelineCanvas.prototype, EventEmitterMixin);
@@ -167,6 +167,86 @@ function generateId() {
     return Math.random().toString(36).substr(2, 9);
 }
 
+// 计算文件哈希（优先SHA-256，非安全上下文退化为FNV-1a）
+async function computeFileHash(file) {
+    const buffer = await file.arrayBuffer();
+    
+    if (window.crypto && window.crypto.subtle) {
+        const digest = await window.crypto.subtle.digest('SHA-256', buffer);
+        const hex = Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+        return `sha256:${hex}`;
+    }
+    
+    const bytes = new Uint8Array(buffer);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < bytes.length; i++) {
+        hash ^= bytes[i];
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return `fnv1a:${(hash >>> 0).toString(16).padStart(8, '0')}`;
+}
+
+// 下载JSON文件
+function downloadJSON(data, filename) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    // 延迟释放，确保下载已开始
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// 读取JSON文件
+async function readJSONFile(file) {
+    const text = await file.text();
+    
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error('文件不是有效的JSON格式');
+    }
+}
+
+// 读取文件为ArrayBuffer
+function readFileAsArrayBuffer(file) {
+    if (file.arrayBuffer) {
+        return file.arrayBuffer();
+    }
+
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(new Error('Failed to read audio file'));
+        reader.readAsArrayBuffer(file);
+    });
+}
+
+// 按指定采样率解码音频数据（保留原始声道数）；解码后arrayBuffer会被转移，不能再读取
+function decodeAudioFile(arrayBuffer, sampleRate) {
+    const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    if (!OfflineContext) {
+        return Promise.reject(new Error('OfflineAudioContext not supported'));
+    }
+
+    const context = new OfflineContext(1, 1, sampleRate);
+
+    // 兼容旧版回调形式的decodeAudioData
+    return new Promise((resolve, reject) => {
+        const promise = context.decodeAudioData(arrayBuffer, resolve, reject);
+        if (promise && promise.then) {
+            promise.then(resolve, reject);
+        }
+    });
+}
+
 // 检查是否为移动设备
 function isMobileDevice() {
     return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
@@ -245,6 +325,40 @@ function initUtils() {
     });
 }
 
+// 事件回调方法，混入到用callbacks对象（键为支持的事件名，值为回调数组）管理事件的类中：
+// Object.assign(SomeClass.prototype, EventEmitterMixin);
+const EventEmitterMixin = {
+    // 添加事件回调
+    on(event, callback) {
+        if (this.callbacks[event]) {
+            this.callbacks[event].push(callback);
+        }
+    },
+
+    // 移除事件回调
+    off(event, callback) {
+        if (this.callbacks[event]) {
+            const index = this.callbacks[event].indexOf(callback);
+            if (index > -1) {
+                this.callbacks[event].splice(index, 1);
+            }
+        }
+    },
+
+    // 触发回调
+    triggerCallbacks(event, data = null) {
+        if (this.callbacks[event]) {
+            this.callbacks[event].forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in ${event} callback:`, error);
+                }
+            });
+        }
+    }
+};
+
 // 导出工具函数（如果使用模块系统）
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
@@ -259,8 +373,14 @@ if (typeof module !== 'undefined' && module.exports) {
         throttle,
         getFileExtension,
         generateId,
+        computeFileHash,
+        downloadJSON,
+        readJSONFile,
+        readFileAsArrayBuffer,
+        decodeAudioFile,
         isMobileDevice,
         getDeviceInfo,
-        initUtils
+        initUtils,
+        EventEmitterMixin
     };
 }
\ No newline at end of file
@@ -5,12 +5,48 @@
 
 class VibrationController {
     constructor() {
-        this.isSupported = 'vibrate' in navigator;
+        this.nativeSupported = VibrationApiBackend.isAvailable();
+        
+        // 输出后端（可同时输出到多个目标），键为后端ID
+        this.backends = new Map();
+        if (this.nativeSupported) {
+            this.backends.set('vibration', new VibrationApiBackend());
+        }
+        this.isSupported = this.backends.size > 0;
         this.isEnabled = false;
         this.lastVibrationTime = 0;
         this.vibrationQueue = [];
         this.isVibrating = false;
         
+        // 音频时钟（由外部设置），用于把音频时间换算为振动触发时刻
+        this.clock = null;
+        
+        // 已调度但尚未触发的振动
+        this.scheduledTimers = [];
+        
+        // 最近一次按节拍网格预测调度的拍点（音频上下文时间）
+        this.lastPredictedBeatTime = -Infinity;
+        
+        // 预分析节拍图（整曲节拍时间表）
+        this.beatMap = null;
+        this.beatMapCursor = { index: 0, lastTime: 0 };
+        
+        // 歌曲段落（整曲结构分析结果）与当前所在段落
+        this.sections = null;
+        this.currentSection = null;
+        
+        // 振动轨（按时间线精确回放振动）
+        this.hapticTrack = null;
+        this.hapticTrackCursor = { index: 0, lastTime: 0 };
+        
+        // 事件回调
+        this.callbacks = {
+            onVibrate: [],
+            onSectionChange: [],
+            onGovernorChange: [],
+            onSafetyChange: []
+        };
+        
         // 振动参数配置 - 进一步增强振动强度
         this.config = {
             minInterval: 20,        // 最小振动间隔（毫秒）- 进一步减少间隔
@@ -19,27 +55,99 @@ class VibrationController {
             intensityMultiplier: 4,      // 强度倍数 - 进一步增加
             frequencyThreshold: 0.15,    // 频率阈值 - 更敏感
             syncDelay: 0,           // 同步延迟补偿（毫秒）
-            adaptiveSync: true,     // 自适应同步
-            latencyCompensation: 20 // 延迟补偿（毫秒）
+            adaptiveSync: true,     // 按振动延迟提前触发振动
+            latencyCompensation: 20, // 振动延迟（毫秒）：从调用振动到能感受到振动的时间，由延迟校准测得
+            timelineTolerance: 0.15, // 时间线事件过期容差（秒），超过则跳过不振动
+            scheduleAhead: 0.1,     // 时间线提前调度的范围（秒），需大于一帧的间隔
+            beatPrediction: true,   // 节拍网格锁定后按预测拍点振动
+            predictionConfidence: 0.5, // 启用预测所需的网格置信度
+            percussionChannels: false, // 分乐器振动：踢鼓、军鼓、踩镲各用自己的振动模式
+            downbeatAccent: 0.3,    // 小节首拍（强拍）额外增加的振动强度，0表示不区分
+            downbeatConfidence: 0.4, // 拍号估计置信度达到多少才加重强拍
+            sectionDynamics: true,  // 按歌曲段落调整振动强度（需整曲预分析）
+            preset: 'default',      // 振动预设ID（决定振动模式和节拍映射）
+            governorMode: 'balanced', // 功耗调节模式：eco（省电）/ balanced（均衡）/ max（最强）
+            comfortMode: 'auto',    // 安全限制档位：auto（跟随系统减少动态效果设置）/ standard / gentle
+            motorProfile: 'default' // 马达类型（决定脉冲合成参数）
         };
         
-        // 同步状态
+        // 未校准时使用的振动延迟（毫秒）
+        this.defaultLatency = this.config.latencyCompensation;
+        
+        // 振动模式合成器：把强度转换为脉冲占空比
+        this.synth = new HapticPatternSynth(this.config.motorProfile);
+        
+        // 功耗调节器：按马达占空比和电池状态降低振动强度和密度
+        this.governor = new HapticGovernor(this.config.governorMode);
+        this.governor.on('onChange', (state) => {
+            this.triggerCallbacks('onGovernorChange', state);
+        });
+        this.governor.connectBattery();
+        
+        // 安全限制器：限制连续振动时长和每分钟占空比，超出后强制休息
+        this.safety = new HapticSafetyLimiter(this.config.comfortMode);
+        this.safety.on('onChange', (state) => {
+            this.triggerCallbacks('onSafetyChange', state);
+        });
+        
+        // 同步状态（振动API调用耗时，仅用于诊断）
         this.syncState = {
             lastSyncTime: 0,
-            avgLatency: 0,
-            latencyHistory: [],
-            syncAccuracy: 0
+            avgCallTime: 0,
+            callTimeHistory: []
         };
         
-        // 振动模式 - 进一步增强所有振动强度
+        // 振动预设库（由外部设置），用于按ID切换预设
+        this.presetLibrary = null;
+        
+        // 振动规则引擎：把实时分析特征映射为振动（规则由振动预设提供）
+        this.ruleEngine = new HapticRuleEngine();
+        
+        // 振动模式 - 进一步增强所有振动强度（由振动预设替换）
         this.patterns = {
+            weakBeat: [120, 30],       // 轻微节拍振动
             beat: [200, 50],           // 节拍振动：振动200ms，停止50ms
             strongBeat: [350, 50],     // 强节拍振动 - 进一步增强
+            downbeat: [400, 60],       // 小节首拍振动
+            kick: [200, 50],           // 踢鼓节拍振动
+            strongKick: [300, 50],     // 强踢鼓节拍振动
             bass: [400, 80],           // 低频振动 - 进一步增强低频感受
             continuous: [100, 30],     // 连续振动 - 增强持续感
             pulse: [150, 80, 150, 120]  // 脉冲振动 - 增强脉冲感
         };
         
+        // 节拍到振动模式的映射：按节拍强度分级，各级使用的振动模式名
+        this.beatMapping = {
+            strongThreshold: 0.8,   // 强于此值为强节拍
+            mediumThreshold: 0.5,   // 强于此值为中等节拍
+            weak: 'weakBeat',
+            medium: 'beat',
+            strong: 'strongBeat',
+            downbeat: 'downbeat',
+            kick: 'kick',
+            strongKick: 'strongKick'
+        };
+        
+        // 测试振动使用的模式
+        this.previewPattern = [200, 100, 200];
+        
+        // 分乐器振动模式（null表示该声部不振动）
+        this.percussionPatterns = {
+            kick: { pattern: [220], intensity: 1, sustain: 0.4 },  // 踢鼓：长而沉的一下
+            snare: { pattern: [40, 40, 40], intensity: 0.7 },      // 军鼓/拍手：短促的两下
+            hihat: null                                            // 踩镲：默认不振动，避免过于密集
+        };
+        
+        // 各段落类型的振动强度配置：intensity为强度倍数（结果不超过1），duration为振动时长倍数
+        this.sectionProfiles = {
+            intro: { intensity: 0.5, duration: 0.7 },       // 前奏：轻柔
+            verse: { intensity: 0.75, duration: 0.9 },
+            chorus: { intensity: 1, duration: 1 },
+            breakdown: { intensity: 0.45, duration: 0.7 },  // 间奏：轻柔
+            drop: { intensity: 1, duration: 1.2 },          // 高潮：强度已是上限，靠更长的振动与副歌区分
+            outro: { intensity: 0.5, duration: 0.7 }
+        };
+        
         console.log('VibrationController initialized, supported:', this.isSupported);
     }
 
@@ -55,7 +163,7 @@ class VibrationController {
     // 启用振动功能
     enable() {
         if (!this.isSupported) {
-            console.warn('Vibration API not supported');
+            console.warn('No haptic output backend available');
             return false;
         }
         
@@ -72,34 +180,59 @@ class VibrationController {
     }
 
     // 基础振动方法（带同步优化）
-    vibrate(pattern) {
+    // options.intensity: 0-1强度，options.sustain: 振动段结束时的强度比例（衰减手感）
+    vibrate(pattern, options = {}) {
         if (!this.isSupported || !this.isEnabled) {
             return false;
         }
 
         try {
             // 检查振动间隔
-            const now = Date.now();
+            const now = performance.now();
             if (now - this.lastVibrationTime < this.config.minInterval) {
                 return false;
             }
 
-            // 应用延迟补偿
-            const compensatedPattern = this.applyLatencyCompensation(pattern);
-            
+            // 按当前段落调整强度和时长
+            ({ pattern, options } = this.applySectionProfile(pattern, options));
+
+            // 按功耗调节器的强度等级调整，马达工作过多或电量低时跳过
+            const governed = this.governor.apply(pattern, options, now);
+            if (!governed) {
+                return false;
+            }
+
+            // 强制执行安全上限（所有振动都经过这里，任何调用方都不能绕过）
+            const limited = this.safety.limit(governed.pattern, governed.options, now);
+            if (!limited) {
+                return false;
+            }
+
             // 记录振动开始时间（用于同步分析）
             const vibrationStartTime = performance.now();
 
-            // 执行振动
-            const result = navigator.vibrate(compensatedPattern);
+            // 执行振动（马达延迟已在调度时提前量中补偿，不再缩短振动段）
+            const result = this.output(limited.pattern, limited.options);
             if (result) {
                 this.lastVibrationTime = now;
                 this.isVibrating = true;
+                this.governor.record(limited.pattern, limited.options, now);
+                this.safety.record(limited.pattern, now);
+                
+                // 通知监听者：pattern/intensity为功耗调节和安全限制前的模式（录制振动轨用，回放时会再次调节），
+                // outputPattern/outputIntensity为实际输出的模式
+                this.triggerCallbacks('onVibrate', {
+                    pattern: Array.isArray(pattern) ? [...pattern] : [pattern],
+                    intensity: options.intensity,
+                    sustain: options.sustain,
+                    outputPattern: [...limited.pattern],
+                    outputIntensity: limited.options.intensity,
+                    timestamp: now,
+                    mediaTime: this.getVibrationMediaTime()
+                });
                 
                 // 计算振动总时长
-                const totalDuration = Array.isArray(compensatedPattern) 
-                    ? compensatedPattern.reduce((sum, val, index) => index % 2 === 0 ? sum + val : sum, 0)
-                    : compensatedPattern;
+                const totalDuration = limited.pattern.reduce((sum, val, index) => index % 2 === 0 ? sum + val : sum, 0);
                 
                 // 更新同步统计
                 this.updateSyncStats(vibrationStartTime);
@@ -117,76 +250,223 @@ class VibrationController {
         }
     }
 
-    // 应用延迟补偿
-    applyLatencyCompensation(pattern) {
-        if (!this.config.adaptiveSync || this.config.latencyCompensation === 0) {
-            return pattern;
+    // 直接输出一次振动：不要求振动已开启，只经过安全限制，不经过最小间隔、段落配置和功耗调节，
+    // 不触发onVibrate（不会录进振动轨）。includeVirtual为false时不发送到屏幕预览等虚拟输出。
+    // 用于试振、延迟校准等需要确切振动的场合，返回是否实际振动
+    pulse(pattern, options = {}, includeVirtual = false) {
+        if (!(includeVirtual ? this.isSupported : this.hasPhysicalOutput())) {
+            return false;
         }
 
-        // 对于数组模式，调整第一个振动的持续时间
-        if (Array.isArray(pattern)) {
-            const compensated = [...pattern];
-            if (compensated.length > 0) {
-                // 减少延迟补偿时间（但不能为负）
-                compensated[0] = Math.max(10, compensated[0] - this.config.latencyCompensation);
-            }
-            return compensated;
+        const now = performance.now();
+        const limited = this.safety.limit(pattern, options, now);
+        if (!limited) {
+            return false;
+        }
+
+        const result = this.output(limited.pattern, limited.options, includeVirtual ? [] : VibrationController.virtualBackends);
+        if (result) {
+            this.governor.record(limited.pattern, limited.options, now);
+            this.safety.record(limited.pattern, now);
+        }
+        return result;
+    }
+
+    // 按当前段落的振动配置缩放强度与振动段时长（回放振动轨时保持原样）
+    applySectionProfile(pattern, options) {
+        const profile = this.getSectionProfile();
+        if (!profile) {
+            return { pattern, options };
         }
 
-        // 对于单一数值，直接调整
-        return Math.max(10, pattern - this.config.latencyCompensation);
+        const segments = Array.isArray(pattern) ? pattern : [pattern];
+        const baseIntensity = options.intensity !== undefined ? options.intensity : 1;
+
+        return {
+            pattern: segments.map((duration, index) => {
+                return index % 2 === 0 ? Math.min(this.config.maxDuration, Math.round(duration * profile.duration)) : duration;
+            }),
+            options: { ...options, intensity: Math.min(1, baseIntensity * profile.intensity) }
+        };
     }
 
-    // 更新同步统计
+    // 更新同步统计：只记录振动API调用本身的耗时（通常不到1毫秒），
+    // 真实延迟来自马达启动和音频输出，由延迟校准测得，不能由此推算
     updateSyncStats(vibrationStartTime) {
         const now = performance.now();
-        const latency = now - vibrationStartTime;
         
-        // 记录延迟历史
-        this.syncState.latencyHistory.push(latency);
-        if (this.syncState.latencyHistory.length > 20) {
-            this.syncState.latencyHistory.shift();
+        this.syncState.lastSyncTime = now;
+        this.syncState.callTimeHistory.push(now - vibrationStartTime);
+        if (this.syncState.callTimeHistory.length > 20) {
+            this.syncState.callTimeHistory.shift();
         }
         
-        // 计算平均延迟
-        this.syncState.avgLatency = this.syncState.latencyHistory.reduce((sum, val) => sum + val, 0) / this.syncState.latencyHistory.length;
-        
-        // 自适应调整延迟补偿
-        if (this.config.adaptiveSync && this.syncState.latencyHistory.length >= 10) {
-            this.config.latencyCompensation = Math.min(50, Math.max(0, this.syncState.avgLatency));
+        this.syncState.avgCallTime = this.syncState.callTimeHistory.reduce((sum, val) => sum + val, 0) / this.syncState.callTimeHistory.length;
+    }
+
+    // 振动需要提前触发的时间（毫秒）
+    getHapticLead() {
+        return this.config.adaptiveSync ? this.config.latencyCompensation : 0;
+    }
+
+    // 设置音频时钟
+    setClock(clock) {
+        this.clock = clock;
+    }
+
+    // 振动被感受到时对应的曲目位置（振动会提前触发以补偿马达启动延迟）
+    getVibrationMediaTime() {
+        if (!this.clock) {
+            return undefined;
         }
+        
+        const lead = this.getHapticLead() / 1000 * this.clock.getPlaybackRate();
+        return this.clock.getMediaTime() + lead;
     }
 
-    // 预测性振动（提前触发以补偿延迟）
-    predictiveVibrate(pattern, audioTimestamp) {
-        const now = performance.now();
-        const predictedDelay = this.syncState.avgLatency || 20;
+    // 预测性振动：按音频上下文时间对应的声音被听到的时刻调度
+    predictiveVibrate(pattern, contextTime, options = {}) {
+        const audibleTime = this.clock && contextTime !== undefined
+            ? this.clock.contextToPerformanceTime(contextTime)
+            : performance.now();
+        
+        return this.scheduleVibration(pattern, options, audibleTime);
+    }
+
+    // 在指定页面时间（毫秒）让振动被感受到，提前量为马达启动延迟
+    scheduleVibration(pattern, options, audibleTime) {
+        const delay = audibleTime - this.getHapticLead() - performance.now();
         
-        // 如果音频事件时间戳比当前时间早，说明需要立即振动
-        if (audioTimestamp <= now) {
-            return this.vibrate(pattern);
+        if (delay <= 1) {
+            return this.vibrate(pattern, options);
         }
         
-        // 否则延迟执行
-        const delay = Math.max(0, audioTimestamp - now - predictedDelay);
-        setTimeout(() => {
-            this.vibrate(pattern);
+        const timer = setTimeout(() => {
+            this.scheduledTimers = this.scheduledTimers.filter(item => item !== timer);
+            this.vibrate(pattern, options);
         }, delay);
+        this.scheduledTimers.push(timer);
+        
+        return true;
+    }
+
+    // 取消所有已调度的振动（暂停、跳转、变速时调用）
+    cancelScheduled() {
+        this.scheduledTimers.forEach(timer => clearTimeout(timer));
+        this.scheduledTimers = [];
+        
+        // 已调度的时间线事件需要重新调度
+        this.beatMapCursor.lastTime = Infinity;
+        this.hapticTrackCursor.lastTime = Infinity;
+        this.lastPredictedBeatTime = -Infinity;
+    }
+
+    // 当前播放速率
+    getPlaybackRate() {
+        return this.clock ? this.clock.getPlaybackRate() : 1;
+    }
+
+    // 添加输出后端（同ID的旧后端会被替换）
+    addBackend(id, backend) {
+        const previous = this.backends.get(id);
+        if (previous && previous !== backend) {
+            previous.cleanup();
+        }
+        
+        this.backends.set(id, backend);
+        this.isSupported = true;
+        console.log('Haptic backend added:', id, backend.getCapabilities());
+    }
+
+    // 移除输出后端
+    removeBackend(id) {
+        const backend = this.backends.get(id);
+        if (!backend) return false;
         
+        backend.cleanup();
+        this.backends.delete(id);
+        this.isSupported = this.backends.size > 0;
+        
+        if (!this.isSupported) {
+            this.isEnabled = false;
+        }
+        
+        console.log('Haptic backend removed:', id);
         return true;
     }
 
+    // 获取输出后端
+    getBackend(id) {
+        return this.backends.get(id) || null;
+    }
+
+    // 是否已添加某个输出后端
+    hasBackend(id) {
+        return this.backends.has(id);
+    }
+
+    // 是否有真实的振动输出（屏幕预览、录制等虚拟输出不算）
+    hasPhysicalOutput() {
+        return Array.from(this.backends.keys()).some(id => !VibrationController.virtualBackends.includes(id));
+    }
+
+    // 将振动模式发送到所有输出后端（exclude中的后端ID除外），任一后端成功即视为成功
+    output(pattern, options = {}, exclude = []) {
+        let success = false;
+        
+        this.backends.forEach((backend, id) => {
+            if (exclude.includes(id)) return;
+            
+            try {
+                const capabilities = backend.getCapabilities();
+                const rendered = this.renderForBackend(pattern, options, capabilities);
+                
+                if (rendered && backend.vibrate(rendered, { intensity: options.intensity })) {
+                    success = true;
+                }
+            } catch (error) {
+                console.error(`Haptic backend ${id} error:`, error);
+            }
+        });
+        
+        return success;
+    }
+
+    // 按后端能力生成输出模式
+    renderForBackend(pattern, options, capabilities) {
+        let segments = Array.isArray(pattern) ? pattern : [pattern];
+        
+        // 不支持强度的后端用PWM脉冲模拟强度
+        if (options.intensity !== undefined && !capabilities.intensity) {
+            segments = this.synth.shapePattern(segments, options.intensity, {
+                sustain: options.sustain,
+                maxLength: capabilities.maxPatternLength
+            });
+        }
+        
+        if (segments.length === 0) {
+            return null;
+        }
+        
+        return segments
+            .slice(0, capabilities.maxPatternLength)
+            .map(duration => Math.min(duration, capabilities.maxDuration));
+    }
+
     // 停止振动
     stopVibration() {
-        if (this.isSupported) {
-            navigator.vibrate(0);
-            this.isVibrating = false;
-        }
+        this.cancelScheduled();
+        this.backends.forEach(backend => {
+            backend.stop();
+        });
+        this.safety.stop(performance.now());
+        this.isVibrating = false;
     }
 
     // 处理音频数据并触发相应振动
     processAudioData(audioData) {
-        if (!this.isEnabled || !audioData) {
+        // 回放振动轨时不再根据实时分析振动
+        if (!this.isEnabled || !audioData || this.hapticTrack) {
             return;
         }
 
@@ -199,81 +479,253 @@ class VibrationController {
         }
     }
 
-    // 音频振动实时同步核心方法
+    // 音频振动实时同步核心方法：按振动规则触发优先级最高的一条
     syncVibrationWithAudio(audioData) {
-        const now = Date.now();
-        
-        // 优先级处理：节拍 > 频率突变 > 音量变化
+        const now = performance.now();
+        const features = { ...audioData, config: this.config };
+        const matched = this.ruleEngine.evaluate(features, now, {
+            lastVibrationTime: this.lastVibrationTime,
+            isVibrating: this.isVibrating
+        });
         
-        // 1. 节拍检测振动（最高优先级）
-        if (audioData.beat && audioData.beat.detected) {
-            this.handleBeatVibration(audioData.beat);
+        for (const rule of matched) {
+            if (rule.action) {
+                // 内置动作未触发振动时继续尝试较低优先级的规则
+                if (!this.handleRuleAction(rule.action, audioData)) continue;
+            } else {
+                const vibration = this.ruleEngine.buildVibration(rule, features, this.patterns);
+                if (vibration) {
+                    this.vibrate(vibration.pattern, vibration.options);
+                }
+            }
+            
+            this.ruleEngine.markFired(rule, now);
             this.lastSyncTime = now;
             return;
         }
+    }
 
-        // 2. 频率突变检测（中等优先级）
-        if (this.detectFrequencyChange(audioData.frequency)) {
-            this.handleFrequencyVibration(audioData.frequency);
-            this.lastSyncTime = now;
-            return;
+    // 执行规则的内置动作，返回是否已处理本帧
+    handleRuleAction(action, audioData) {
+        switch (action) {
+            case 'beat':
+                return this.handleBeatRule(audioData);
+            default:
+                return false;
         }
+    }
 
-        // 3. 音量变化检测（低优先级）
-        if (this.detectVolumeChange(audioData.volume)) {
-            this.handleVolumeVibration(audioData.volume.level);
-            this.lastSyncTime = now;
+    // 节拍规则：分乐器模式下由各打击乐声部代替统一的节拍振动，返回是否触发了振动
+    handleBeatRule(audioData) {
+        if (this.config.percussionChannels) {
+            return !!audioData.percussion && this.handlePercussionVibration(audioData.percussion);
         }
+        
+        // 已加载节拍图时由processBeatMap调度节拍，忽略实时检测结果
+        if (this.beatMap || !audioData.beat) {
+            return false;
+        }
+        
+        const beat = audioData.beat;
+        if (this.isBeatGridLocked(beat)) {
+            // 网格锁定后按预测拍点提前调度，已预测过的拍的检测结果只用于修正网格
+            const predicted = Math.abs(beat.time - this.lastPredictedBeatTime) < beat.grid.period / 2;
+            if (beat.detected && (beat.onGrid === false || !predicted)) {
+                this.handleBeatVibration(beat); // 切分音等不在网格上的重音，或刚锁定时尚未预测的拍
+            }
+            this.schedulePredictedBeat(beat.grid, audioData.contextTime);
+            return beat.detected;
+        }
+        
+        if (beat.detected) {
+            this.handleBeatVibration(beat);
+            return true;
+        }
+        return false;
     }
 
-    // 检测频率变化
-    detectFrequencyChange(frequencyData) {
-        if (!frequencyData || !this.lastFrequencyData) {
-            this.lastFrequencyData = frequencyData;
-            return false;
+    // 节拍网格是否足够可靠，可以按预测拍点振动
+    isBeatGridLocked(beat) {
+        return this.config.beatPrediction && !!beat.grid && beat.grid.locked &&
+            beat.grid.confidence >= this.config.predictionConfidence;
+    }
+
+    // 调度网格预测的下一拍（每拍只调度一次）
+    schedulePredictedBeat(grid, contextTime) {
+        if (grid.nextBeatTime - contextTime > this.config.scheduleAhead) {
+            return;
         }
+        
+        // 锁相环会微调预测时间，相差不到半拍视为同一拍
+        if (grid.nextBeatTime - this.lastPredictedBeatTime < grid.period / 2) {
+            return;
+        }
+        
+        this.lastPredictedBeatTime = grid.nextBeatTime;
+        this.handleBeatVibration({
+            detected: true,
+            strength: grid.strength,
+            type: grid.type,
+            bpm: grid.bpm,
+            beatInBar: grid.nextBeatInBar,
+            barIndex: grid.nextBarIndex,
+            meterConfidence: grid.meterConfidence,
+            time: grid.nextBeatTime
+        });
+    }
+
+    // 加载预分析节拍图
+    loadBeatMap(beatMap) {
+        this.beatMap = beatMap && beatMap.beats ? beatMap : null;
+        this.beatMapCursor = { index: 0, lastTime: 0 };
+        this.loadSections(this.beatMap ? this.beatMap.sections : null);
+    }
+
+    // 加载歌曲段落
+    loadSections(sections) {
+        this.sections = sections && sections.length > 0 ? sections : null;
+        this.setCurrentSection(null);
+    }
+
+    // 根据播放位置更新当前段落
+    updateSection(mediaTime) {
+        if (!this.sections) return;
 
-        const now = Date.now();
-        if (now - this.lastVibrationTime < 150) {
-            return false; // 避免过于频繁的振动
+        const current = this.currentSection;
+        if (current && mediaTime >= current.start && mediaTime < current.end) {
+            return;
         }
 
-        // 检测低频突变
-        const bassChange = Math.abs(frequencyData.bass - this.lastFrequencyData.bass);
-        const trebleChange = Math.abs(frequencyData.treble - this.lastFrequencyData.treble);
-        
-        this.lastFrequencyData = frequencyData;
+        const section = this.sections.find(item => mediaTime >= item.start && mediaTime < item.end) || null;
+        this.setCurrentSection(section);
+    }
 
-        // 低频突变阈值
-        if (bassChange > 0.3 && frequencyData.bass > 0.5) {
-            return true;
+    // 切换当前段落并通知监听者
+    setCurrentSection(section) {
+        if (section === this.currentSection) return;
+
+        this.currentSection = section;
+        this.triggerCallbacks('onSectionChange', {
+            section,
+            profile: section ? this.sectionProfiles[section.type] || null : null
+        });
+    }
+
+    // 当前生效的段落振动配置（未启用、无段落或回放振动轨时为null）
+    getSectionProfile() {
+        if (!this.config.sectionDynamics || !this.currentSection || this.hapticTrack) {
+            return null;
         }
+        return this.sectionProfiles[this.currentSection.type] || null;
+    }
 
-        // 高频突变阈值
-        if (trebleChange > 0.4 && frequencyData.treble > 0.6) {
-            return true;
+    // 设置段落类型的振动配置
+    setSectionProfile(type, profile) {
+        if (!(type in this.sectionProfiles)) return false;
+
+        this.sectionProfiles[type] = { intensity: 1, duration: 1, ...profile };
+        return true;
+    }
+
+    // 清除节拍图，恢复实时节拍检测
+    clearBeatMap() {
+        this.loadBeatMap(null);
+    }
+
+    // 根据音频播放位置调度节拍图振动
+    processBeatMap(mediaTime) {
+        if (!this.isEnabled || !this.beatMap || this.hapticTrack || this.config.percussionChannels) {
+            return;
         }
 
-        return false;
+        this.advanceTimeline(this.beatMap.beats, this.beatMapCursor, mediaTime).forEach(beat => {
+            this.handleBeatVibration({
+                detected: true,
+                strength: beat.strength,
+                type: beat.type,
+                bpm: this.beatMap.bpm,
+                beatInBar: beat.beatInBar,
+                barIndex: beat.barIndex,
+                meterConfidence: this.beatMap.meterConfidence,
+                audibleTime: this.mediaToPerformanceTime(beat.time, mediaTime)
+            });
+        });
     }
 
-    // 检测音量变化
-    detectVolumeChange(volumeData) {
-        if (!volumeData || !this.lastVolumeData) {
-            this.lastVolumeData = volumeData;
-            return false;
+    // 加载振动轨
+    loadHapticTrack(track) {
+        this.hapticTrack = track && track.events ? track : null;
+        this.hapticTrackCursor = { index: 0, lastTime: 0 };
+    }
+
+    // 清除振动轨，恢复实时振动
+    clearHapticTrack() {
+        this.loadHapticTrack(null);
+    }
+
+    // 根据音频播放位置回放振动轨
+    processHapticTrack(mediaTime) {
+        if (!this.isEnabled || !this.hapticTrack) {
+            return;
+        }
+
+        this.advanceTimeline(this.hapticTrack.events, this.hapticTrackCursor, mediaTime).forEach(event => {
+            this.scheduleVibration(event.pattern, {
+                intensity: event.intensity,
+                sustain: event.sustain
+            }, this.mediaToPerformanceTime(event.time, mediaTime));
+        });
+    }
+
+    // 推进时间线游标，返回即将被听到、需要调度的事件
+    advanceTimeline(events, cursor, mediaTime) {
+        // 检测跳转：时间回退或大幅前进时取消已调度的振动并重新定位游标
+        if (mediaTime < cursor.lastTime || mediaTime - cursor.lastTime > 1) {
+            if (cursor.lastTime !== Infinity) {
+                this.cancelScheduled();
+            }
+            cursor.index = this.findEventIndex(events, mediaTime);
         }
+        cursor.lastTime = mediaTime;
+
+        // 调度范围：下一帧之前 + 马达启动延迟
+        const rate = this.getPlaybackRate();
+        const horizon = mediaTime + (this.config.scheduleAhead + Math.max(0, this.getHapticLead()) / 1000) * rate;
+        const dueEvents = [];
+
+        while (cursor.index < events.length && events[cursor.index].time <= horizon) {
+            const event = events[cursor.index];
+            cursor.index++;
 
-        const now = Date.now();
-        if (now - this.lastVibrationTime < 200) {
-            return false; // 音量变化振动间隔更长
+            // 过期太久的事件（如后台标签页卡顿后）直接跳过
+            if (mediaTime - event.time <= this.config.timelineTolerance) {
+                dueEvents.push(event);
+            }
         }
 
-        const volumeChange = Math.abs(volumeData.level - this.lastVolumeData.level);
-        this.lastVolumeData = volumeData;
+        return dueEvents;
+    }
 
-        // 音量突然增大
-        return volumeChange > 0.3 && volumeData.level > 0.7;
+    // 将曲目位置换算为被听到时的页面时间（毫秒）
+    mediaToPerformanceTime(eventTime, mediaTime) {
+        return performance.now() + (eventTime - mediaTime) / this.getPlaybackRate() * 1000;
+    }
+
+    // 二分查找第一个不早于指定时间的事件
+    findEventIndex(events, mediaTime) {
+        let low = 0;
+        let high = events.length;
+
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (events[mid].time < mediaTime) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+
+        return low;
     }
 
     // 处理节拍振动
@@ -283,62 +735,88 @@ class VibrationController {
         const intensity = beatData.strength || 0.5;
         const beatType = beatData.type || 'energy';
         
-        // 根据节拍类型和强度选择振动模式
+        // 根据节拍类型和强度，按当前预设的节拍映射选择振动模式
+        const mapping = this.beatMapping;
         let pattern;
         
         if (beatType === 'kick') {
             // 踢鼓节拍：更强烈的振动
-            pattern = intensity > 0.8 ? [300, 50] : [200, 50];
-        } else if (intensity > 0.8) {
+            pattern = this.patterns[intensity > mapping.strongThreshold ? mapping.strongKick : mapping.kick];
+        } else if (intensity > mapping.strongThreshold) {
             // 强节拍
-            pattern = this.patterns.strongBeat;
-        } else if (intensity > 0.5) {
+            pattern = this.patterns[mapping.strong];
+        } else if (intensity > mapping.mediumThreshold) {
             // 中等节拍
-            pattern = this.patterns.beat;
+            pattern = this.patterns[mapping.medium];
         } else {
             // 轻微节拍
-            pattern = [120, 30];  // 增强轻微节拍
+            pattern = this.patterns[mapping.weak];
+        }
+
+        // 小节首拍：拍号估计可靠时用更长更强的振动，让人感受到小节
+        const downbeat = this.isDownbeat(beatData);
+        if (downbeat) {
+            pattern = this.patterns[mapping.downbeat];
         }
 
         // 根据BPM调整振动间隔
         if (beatData.bpm && beatData.bpm > 0) {
             const beatInterval = 60000 / beatData.bpm;
             if (beatInterval < 400) { // 快节奏音乐
-                pattern = [Math.min(pattern[0], 80), pattern[1]]; // 缩短振动时间
+                pattern = [Math.min(pattern[0], downbeat ? 160 : 80), ...pattern.slice(1, 2)]; // 缩短振动时间，强拍仍保留区分（预设模式可能只有一段）
             }
         }
 
-        this.vibrate(pattern);
+        // 节拍强度决定振动强度（不支持强度的后端用脉冲占空比模拟），弱拍的手感真正变弱
+        let level = beatType === 'kick' ? 0.6 + intensity * 0.4 : 0.3 + intensity * 0.7;
+        if (downbeat) {
+            level = Math.min(1, level + this.config.downbeatAccent);
+        }
+        
+        // 按节拍被听到的时刻触发：时间线节拍已换算为页面时间，实时节拍按音频时间换算
+        if (beatData.audibleTime !== undefined) {
+            this.scheduleVibration(pattern, { intensity: level }, beatData.audibleTime);
+        } else {
+            this.predictiveVibrate(pattern, beatData.time, { intensity: level });
+        }
     }
 
-    // 处理频率振动
-    handleFrequencyVibration(frequencyData) {
-        // 检测低频（贝斯）
-        if (frequencyData.bass > this.config.frequencyThreshold) {
-            const intensity = Math.min(frequencyData.bass * this.config.intensityMultiplier, 1);
-            const duration = Math.floor(intensity * this.config.maxDuration);
-            
-            if (duration > 50) {
-                this.vibrate([duration, 100]);
-            }
-        }
+    // 是否为需要加重的小节首拍
+    isDownbeat(beatData) {
+        return this.config.downbeatAccent > 0 && beatData.beatInBar === 1 &&
+            (beatData.meterConfidence || 0) >= this.config.downbeatConfidence;
     }
 
-    // 处理音量振动
-    handleVolumeVibration(volume) {
-        // 只在音量突然增大时触发
-        if (volume > 0.8 && !this.isVibrating) {
-            const duration = Math.floor(volume * 150);
-            this.vibrate([duration, 50]);
-        }
+    // 处理打击乐声部振动，同时出现多个声部时按踢鼓、军鼓、踩镲的优先级只振动一个
+    handlePercussionVibration(percussion) {
+        const instrument = ['kick', 'snare', 'hihat'].find(name => {
+            return percussion[name] && percussion[name].detected && this.percussionPatterns[name];
+        });
+        if (!instrument) return false;
+        
+        const hit = percussion[instrument];
+        const mapping = this.percussionPatterns[instrument];
+        
+        this.predictiveVibrate(mapping.pattern, hit.time, {
+            intensity: mapping.intensity * (0.6 + hit.strength * 0.4),
+            sustain: mapping.sustain
+        });
+        return true;
+    }
+
+    // 设置打击乐声部的振动模式（mapping为null时该声部不振动）
+    setPercussionPattern(instrument, mapping) {
+        if (!(instrument in this.percussionPatterns)) return false;
+        
+        this.percussionPatterns[instrument] = mapping ? { intensity: 1, ...mapping } : null;
+        return true;
     }
 
     // 预定义振动模式
 
     // 节拍振动
     beatVibration(strength = 0.5) {
-        const duration = Math.floor(strength * this.config.beatVibrationDuration);
-        return this.vibrate([duration, 50]);
+        return this.vibrate([this.config.beatVibrationDuration], { intensity: 0.3 + strength * 0.7 });
     }
 
     // 强节拍振动
@@ -346,24 +824,14 @@ class VibrationController {
         return this.vibrate(this.patterns.strongBeat);
     }
 
-    // 低频振动
-    bassVibration(intensity = 0.5) {
-        const duration = Math.floor(intensity * 200);
-        return this.vibrate([duration, 100]);
+    // 低频振动（由强到弱衰减，模拟贝斯的余震）
+    bassVibration(intensity = 0.5, duration = 200) {
+        return this.vibrate([duration], { intensity, sustain: 0.3 });
     }
 
     // 连续振动
-    continuousVibration(duration = 1000) {
-        const pattern = [];
-        const pulseLength = 50;
-        const pauseLength = 50;
-        const cycles = Math.floor(duration / (pulseLength + pauseLength));
-        
-        for (let i = 0; i < cycles; i++) {
-            pattern.push(pulseLength, pauseLength);
-        }
-        
-        return this.vibrate(pattern);
+    continuousVibration(duration = 1000, intensity = 0.5) {
+        return this.vibrate([duration], { intensity });
     }
 
     // 脉冲振动
@@ -377,7 +845,7 @@ class VibrationController {
             pattern = [pattern];
         }
         
-        // 限制最大振动时长
+        // 限制单段振动时长（连续时长和占空比的安全上限由vibrate统一执行）
         const limitedPattern = pattern.map(duration => 
             Math.min(duration, this.config.maxDuration)
         );
@@ -400,8 +868,35 @@ class VibrationController {
         return [vibrationDuration, pauseDuration];
     }
 
-    // 测试振动功能
-    testVibration() {
+    // 设置振动预设库
+    setPresetLibrary(library) {
+        this.presetLibrary = library;
+    }
+
+    // 应用振动预设（预设对象或预设ID），替换振动模式、节拍映射、振动规则和测试振动模式
+    applyPreset(preset) {
+        if (typeof preset === 'string') {
+            preset = this.presetLibrary ? this.presetLibrary.get(preset) : null;
+        }
+        if (!preset) {
+            return false;
+        }
+
+        this.patterns = {};
+        Object.keys(preset.patterns).forEach(name => {
+            this.patterns[name] = [...preset.patterns[name]];
+        });
+        this.beatMapping = { ...preset.beatMapping };
+        this.previewPattern = [...preset.preview];
+        this.ruleEngine.setRules(preset.rules || HAPTIC_DEFAULT_RULES);
+        this.config.preset = preset.id;
+
+        console.log('Vibration preset applied:', preset.id);
+        return true;
+    }
+
+    // 测试振动功能（默认使用当前预设的测试模式），振动未开启时也可以试振
+    testVibration(pattern = this.previewPattern) {
         if (!this.isSupported) {
             return {
                 success: false,
@@ -410,8 +905,8 @@ class VibrationController {
         }
 
         try {
-            // 执行测试振动
-            const result = this.vibrate([200, 100, 200]);
+            // 执行测试振动（不改变开启状态，不录进振动轨）
+            const result = this.pulse(pattern, {}, true);
             
             return {
                 success: result,
@@ -431,7 +926,10 @@ class VibrationController {
             supported: this.isSupported,
             enabled: this.isEnabled,
             isVibrating: this.isVibrating,
+            backends: Array.from(this.backends.keys()),
             lastVibrationTime: this.lastVibrationTime,
+            governor: this.governor.getState(),
+            safety: this.safety.getState(),
             config: this.config
         };
     }
@@ -439,6 +937,25 @@ class VibrationController {
     // 更新配置
     updateConfig(newConfig) {
         this.config = { ...this.config, ...newConfig };
+        
+        if (newConfig.motorProfile) {
+            this.synth.setProfile(newConfig.motorProfile);
+        }
+        
+        if (newConfig.governorMode) {
+            this.governor.setMode(newConfig.governorMode);
+        }
+        
+        if (newConfig.comfortMode) {
+            this.safety.setMode(newConfig.comfortMode);
+        }
+        
+        // 预设不存在（如已删除的用户预设）时回到默认预设
+        if (newConfig.preset && !this.applyPreset(newConfig.preset)) {
+            console.warn('Unknown vibration preset:', newConfig.preset);
+            this.applyPreset('default');
+        }
+        
         console.log('Vibration config updated:', this.config);
     }
 
@@ -463,6 +980,17 @@ class VibrationController {
     cleanup() {
         this.disable();
         this.vibrationQueue = [];
+        this.clearBeatMap();
+        this.clearHapticTrack();
+        this.safety.cleanup();
+        this.backends.forEach(backend => {
+            backend.cleanup();
+        });
         console.log('VibrationController cleaned up');
     }
-}
\ No newline at end of file
+}
+
+// 不产生真实振动的输出后端ID（屏幕预览、录制）
+VibrationController.virtualBackends = ['preview', 'recording'];
+
+Object.assign(VibrationController.prototype, EventEmitterMixin);
@@ -0,0 +1,348 @@
+/**
+ * 振动预设库
+ * 每个预设包含一组命名的振动模式、节拍到振动模式的映射和可选的振动规则（见haptic-rules.js），内置音乐与提醒类预设，
+ * 用户预设保存在localStorage中，可以以带版本号的JSON文件导入导出
+ */
+
+// 预设文件格式标识、当前版本与存储键
+const VIBRATION_PRESET_FORMAT = 'audio-vibrate-vibration-presets';
+const VIBRATION_PRESET_VERSION = 1;
+const VIBRATION_PRESETS_STORAGE_KEY = 'audioVibrate.presets';
+
+// 预设分类的显示名称（按显示顺序）
+const VIBRATION_PRESET_CATEGORIES = {
+    music: '音乐',
+    notification: '提醒',
+    custom: '自定义'
+};
+
+// 内置预设；default与振动控制器原有的模式和映射一致，其他预设缺少的字段取default的值
+const BUILTIN_VIBRATION_PRESETS = [
+    {
+        id: 'default',
+        name: '默认',
+        category: 'music',
+        description: '按节拍强度分级振动，小节首拍加重',
+        patterns: {
+            weakBeat: [120, 30],        // 轻微节拍
+            beat: [200, 50],            // 节拍振动：振动200ms，停止50ms
+            strongBeat: [350, 50],      // 强节拍
+            downbeat: [400, 60],        // 小节首拍
+            kick: [200, 50],            // 踢鼓节拍
+            strongKick: [300, 50],      // 强踢鼓节拍
+            bass: [400, 80],            // 低频振动
+            continuous: [100, 30],      // 连续振动
+            pulse: [150, 80, 150, 120]  // 脉冲振动
+        },
+        // 节拍强度分级的阈值与各级使用的振动模式名
+        beatMapping: {
+            strongThreshold: 0.8,
+            mediumThreshold: 0.5,
+            weak: 'weakBeat',
+            medium: 'beat',
+            strong: 'strongBeat',
+            downbeat: 'downbeat',
+            kick: 'kick',
+            strongKick: 'strongKick'
+        },
+        preview: [200, 100, 200]
+    },
+    {
+        id: 'gentle',
+        name: '轻柔',
+        category: 'music',
+        description: '短而轻的振动，只有明显的重拍才加强',
+        patterns: {
+            weakBeat: [50, 30],
+            beat: [80, 50],
+            strongBeat: [120, 50],
+            downbeat: [160, 60],
+            kick: [90, 50],
+            strongKick: [130, 50]
+        },
+        beatMapping: {
+            strongThreshold: 0.9,
+            mediumThreshold: 0.6
+        },
+        preview: [80, 120, 80]
+    },
+    {
+        id: 'intense',
+        name: '强烈',
+        category: 'music',
+        description: '长而密集的振动，较弱的节拍也按强拍处理',
+        patterns: {
+            weakBeat: [200, 30],
+            beat: [300, 40],
+            strongBeat: [450, 40],
+            downbeat: [500, 50],
+            kick: [300, 40],
+            strongKick: [450, 40]
+        },
+        beatMapping: {
+            strongThreshold: 0.6,
+            mediumThreshold: 0.3
+        },
+        preview: [500, 100, 500]
+    },
+    {
+        id: 'heartbeat',
+        name: '心跳',
+        category: 'music',
+        description: '每拍一次“扑通”的双击，小节首拍更重',
+        patterns: {
+            weakBeat: [40, 80, 60],
+            beat: [60, 90, 100],
+            strongBeat: [80, 90, 140],
+            downbeat: [100, 90, 180],
+            kick: [70, 90, 120],
+            strongKick: [90, 90, 160]
+        },
+        preview: [60, 90, 120, 600, 60, 90, 120]
+    },
+    {
+        id: 'notification',
+        name: '通知',
+        category: 'notification',
+        description: '清脆的短促提示，适合安静场合',
+        patterns: {
+            weakBeat: [30, 30],
+            beat: [50, 40],
+            strongBeat: [80, 40],
+            downbeat: [60, 50, 60],
+            kick: [60, 40],
+            strongKick: [90, 40]
+        },
+        beatMapping: {
+            strong: 'strongBeat',
+            downbeat: 'downbeat'
+        },
+        preview: [100, 80, 100]
+    },
+    {
+        id: 'wechat',
+        name: '微信风格',
+        category: 'notification',
+        description: '类似微信来电的连续两段长振动',
+        patterns: {
+            weakBeat: [100, 60],
+            beat: [150, 80, 150],
+            strongBeat: [250, 100, 250],
+            downbeat: [400, 200, 400],
+            kick: [150, 80, 150],
+            strongKick: [250, 100, 250]
+        },
+        preview: [400, 200, 400, 1000, 400, 200, 400]
+    }
+];
+
+class VibrationPresetLibrary {
+    constructor(options = {}) {
+        this.storage = options.storage !== undefined ? options.storage : this.getDefaultStorage();
+
+        // 内置预设（补全缺省字段）与用户预设，键为预设ID
+        this.builtins = new Map();
+        BUILTIN_VIBRATION_PRESETS.forEach(preset => {
+            this.builtins.set(preset.id, this.normalize(preset, true));
+        });
+        this.userPresets = new Map();
+    }
+
+    // 获取默认存储（隐私模式等情况下localStorage可能不可用）
+    getDefaultStorage() {
+        try {
+            return window.localStorage;
+        } catch (error) {
+            console.warn('localStorage not available, presets will not persist');
+            return null;
+        }
+    }
+
+    // 从存储加载用户预设（无效的预设丢弃）
+    load() {
+        if (!this.storage) return;
+
+        try {
+            const raw = this.storage.getItem(VIBRATION_PRESETS_STORAGE_KEY);
+            const data = raw ? JSON.parse(raw) : null;
+            if (data && Array.isArray(data.presets)) {
+                data.presets.forEach(preset => {
+                    try {
+                        const normalized = this.normalize(preset);
+                        this.userPresets.set(normalized.id, normalized);
+                    } catch (error) {
+                        console.warn('Discarding invalid stored preset:', error.message);
+                    }
+                });
+            }
+        } catch (error) {
+            console.warn('Failed to load presets:', error);
+        }
+    }
+
+    // 保存用户预设到存储
+    save() {
+        if (!this.storage) return false;
+
+        try {
+            this.storage.setItem(VIBRATION_PRESETS_STORAGE_KEY, JSON.stringify({
+                version: VIBRATION_PRESET_VERSION,
+                presets: Array.from(this.userPresets.values())
+            }));
+            return true;
+        } catch (error) {
+            console.warn('Failed to save presets:', error);
+            return false;
+        }
+    }
+
+    // 获取预设（不存在时返回null）
+    get(id) {
+        return this.builtins.get(id) || this.userPresets.get(id) || null;
+    }
+
+    // 获取全部预设（内置在前）
+    getAll() {
+        return [...this.builtins.values(), ...this.userPresets.values()];
+    }
+
+    // 按分类分组，返回 [{category, label, presets}]，空分类不返回
+    getByCategory() {
+        const presets = this.getAll();
+        const categories = Object.keys(VIBRATION_PRESET_CATEGORIES);
+
+        // 用户预设可能使用未知分类，排在最后
+        presets.forEach(preset => {
+            if (!categories.includes(preset.category)) categories.push(preset.category);
+        });
+
+        return categories
+            .map(category => ({
+                category,
+                label: VIBRATION_PRESET_CATEGORIES[category] || category,
+                presets: presets.filter(preset => preset.category === category)
+            }))
+            .filter(group => group.presets.length > 0);
+    }
+
+    // 是否为内置预设
+    isBuiltin(id) {
+        return this.builtins.has(id);
+    }
+
+    // 添加或替换用户预设，ID与内置预设冲突时改用新的ID；返回保存后的预设
+    add(preset) {
+        const normalized = this.normalize(preset);
+
+        if (this.builtins.has(normalized.id)) {
+            let index = 2;
+            while (this.get(`${normalized.id}-${index}`)) index++;
+            normalized.id = `${normalized.id}-${index}`;
+        }
+
+        this.userPresets.set(normalized.id, normalized);
+        this.save();
+        return normalized;
+    }
+
+    // 删除用户预设（内置预设不能删除）
+    remove(id) {
+        if (!this.userPresets.delete(id)) return false;
+
+        this.save();
+        return true;
+    }
+
+    // 导出为可保存的JSON对象
+    exportPresets(ids) {
+        return {
+            format: VIBRATION_PRESET_FORMAT,
+            version: VIBRATION_PRESET_VERSION,
+            presets: ids.map(id => this.get(id)).filter(Boolean).map(preset => {
+                const { builtin, ...data } = preset;
+                return data;
+            })
+        };
+    }
+
+    // 导入预设文件，全部预设有效才导入；返回导入后的预设
+    importPresets(data) {
+        if (!data || data.format !== VIBRATION_PRESET_FORMAT) {
+            throw new Error('不是有效的振动预设文件');
+        }
+
+        if (typeof data.version !== 'number' || data.version > VIBRATION_PRESET_VERSION) {
+            throw new Error('振动预设文件版本过新，请升级应用');
+        }
+
+        if (!Array.isArray(data.presets) || data.presets.length === 0) {
+            throw new Error('振动预设文件中没有预设');
+        }
+
+        const presets = data.presets.map(preset => this.normalize(preset));
+        return presets.map(preset => this.add(preset));
+    }
+
+    // 校验预设并以默认预设补全缺少的模式和映射，无效时抛出错误
+    normalize(preset, builtin = false) {
+        if (!preset || typeof preset !== 'object') {
+            throw new Error('振动预设格式无效');
+        }
+
+        const name = typeof preset.name === 'string' ? preset.name.trim() : '';
+        if (!name) {
+            throw new Error('振动预设缺少名称');
+        }
+
+        const base = this.builtins.get('default') || {};
+        const patterns = { ...(base.patterns || {}) };
+        const isPattern = value => Array.isArray(value) && value.length > 0 &&
+            value.every(duration => typeof duration === 'number' && duration >= 0 && duration <= 10000);
+
+        Object.keys(preset.patterns || {}).forEach(key => {
+            if (!isPattern(preset.patterns[key])) {
+                throw new Error(`振动预设“${name}”的模式 ${key} 无效`);
+            }
+            patterns[key] = [...preset.patterns[key]];
+        });
+
+        const beatMapping = { ...(base.beatMapping || {}), ...(preset.beatMapping || {}) };
+        ['strongThreshold', 'mediumThreshold'].forEach(key => {
+            const value = beatMapping[key];
+            if (typeof value !== 'number' || value < 0 || value > 1) {
+                throw new Error(`振动预设“${name}”的阈值 ${key} 无效`);
+            }
+        });
+        ['weak', 'medium', 'strong', 'downbeat', 'kick', 'strongKick'].forEach(key => {
+            if (!patterns[beatMapping[key]]) {
+                throw new Error(`振动预设“${name}”映射到不存在的模式 ${beatMapping[key]}`);
+            }
+        });
+
+        if (preset.preview !== undefined && !isPattern(preset.preview)) {
+            throw new Error(`振动预设“${name}”的预览模式无效`);
+        }
+
+        // 振动规则可选，没有时使用默认规则
+        let rules = null;
+        if (preset.rules !== undefined && preset.rules !== null) {
+            try {
+                rules = HapticRuleEngine.normalizeRules(preset.rules);
+            } catch (error) {
+                throw new Error(`振动预设“${name}”的${error.message}`);
+            }
+        }
+
+        return {
+            id: typeof preset.id === 'string' && preset.id ? preset.id : `custom-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name,
+            category: typeof preset.category === 'string' && preset.category ? preset.category : 'custom',
+            description: typeof preset.description === 'string' ? preset.description : '',
+            builtin,
+            patterns,
+            beatMapping,
+            preview: preset.preview ? [...preset.preview] : [...(base.preview || [200, 100, 200])],
+            rules
+        };
+    }
+}
@@ -0,0 +1,449 @@
+/**
+ * 可视化模式
+ * 每种模式实现相同的绘制接口 draw(ctx, frame)，由可视化器在每帧清空画布后调用，可视化器负责公共的叠加层（音量、节拍指示）。
+ * 模式有自己的配置，可通过可视化器的 updateConfig({ modes: { 模式: {...} } }) 调整
+ *
+ * 帧结构：
+ * { width, height, now, frequencyData, timeData, state, palette }
+ * frequencyData/timeData为AnalyserNode的字节数据，state为可视化器状态（节拍、音量、多频段、最近的节拍和振动），
+ * palette为可视化器的颜色配置 {barColor, beatColor, gradientColors, backgroundColor}
+ */
+
+// 可视化模式基类
+class VisualizerMode {
+    constructor(options = {}) {
+        this.config = { ...options };
+    }
+
+    // 绘制一帧（子类实现）
+    draw(ctx, frame) {}
+
+    // 清除模式的内部状态（切换模式或曲目时）
+    reset() {}
+
+    // 更新模式配置
+    updateConfig(newConfig) {
+        this.config = { ...this.config, ...newConfig };
+    }
+
+    // 由下到上的渐变
+    static createGradient(ctx, height, colors) {
+        const gradient = ctx.createLinearGradient(0, height, 0, 0);
+        gradient.addColorStop(0, colors[0]);
+        gradient.addColorStop(0.5, colors[1]);
+        gradient.addColorStop(1, colors[2]);
+        return gradient;
+    }
+
+    // 注册可视化模式，供运行时按名称创建
+    static register(type, ModeClass) {
+        VisualizerMode.types[type] = ModeClass;
+    }
+
+    // 按类型创建模式
+    static create(type, options = {}) {
+        const ModeClass = VisualizerMode.types[type];
+        if (!ModeClass) {
+            throw new Error(`Unknown visualizer mode: ${type}`);
+        }
+        return new ModeClass(options);
+    }
+
+    // 列出已注册的模式
+    static getAvailableTypes() {
+        return Object.keys(VisualizerMode.types);
+    }
+}
+
+VisualizerMode.types = {};
+
+// 频谱条：节拍后短时间内柱顶高亮
+class SpectrumBarsMode extends VisualizerMode {
+    constructor(options = {}) {
+        super({
+            barCount: 32,           // 频谱条数（不超过频点数的一半）
+            gap: 2,                 // 条间距（像素）
+            beatHighlight: 200,     // 节拍高亮持续时间（毫秒）
+            ...options
+        });
+    }
+
+    draw(ctx, frame) {
+        const { width, height, frequencyData, state, palette } = frame;
+        const barCount = Math.min(frequencyData.length / 2, this.config.barCount);
+        const barWidth = width / barCount;
+        const highlight = frame.now - state.lastBeatTime < this.config.beatHighlight;
+
+        const gradient = VisualizerMode.createGradient(ctx, height, palette.gradientColors);
+        ctx.fillStyle = gradient;
+
+        for (let i = 0; i < barCount; i++) {
+            const barHeight = frequencyData[i] / 255 * height * 0.8;
+            const x = i * barWidth;
+            const y = height - barHeight;
+
+            ctx.fillRect(x, y, barWidth - this.config.gap, barHeight);
+
+            if (highlight) {
+                ctx.fillStyle = palette.beatColor;
+                ctx.fillRect(x, y - 5, barWidth - this.config.gap, 5);
+                ctx.fillStyle = gradient;
+            }
+        }
+    }
+}
+
+// 经典：频谱条叠加波形
+class ClassicMode extends SpectrumBarsMode {
+    constructor(options = {}) {
+        super({
+            lineWidth: 2,           // 波形线宽
+            ...options
+        });
+    }
+
+    draw(ctx, frame) {
+        super.draw(ctx, frame);
+
+        const { width, height, timeData, palette } = frame;
+        const sliceWidth = width / timeData.length;
+
+        ctx.strokeStyle = palette.barColor;
+        ctx.lineWidth = this.config.lineWidth;
+        ctx.beginPath();
+
+        for (let i = 0; i < timeData.length; i++) {
+            const y = timeData[i] / 128.0 * height / 4 + height / 2;
+            if (i === 0) {
+                ctx.moveTo(0, y);
+            } else {
+                ctx.lineTo(i * sliceWidth, y);
+            }
+        }
+
+        ctx.stroke();
+    }
+}
+
+// 示波器：从上升过零点开始绘制，波形不会左右抖动
+class OscilloscopeMode extends VisualizerMode {
+    constructor(options = {}) {
+        super({
+            lineWidth: 2,           // 波形线宽
+            gain: 1,                // 纵向放大倍数
+            trigger: true,          // 是否对齐上升过零点
+            grid: true,             // 是否绘制网格
+            ...options
+        });
+    }
+
+    draw(ctx, frame) {
+        const { width, height, timeData, palette } = frame;
+        const center = height / 2;
+
+        if (this.config.grid) {
+            ctx.strokeStyle = 'rgba(0, 0, 0, 0.08)';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            for (let i = 1; i < 8; i++) {
+                ctx.moveTo(i * width / 8, 0);
+                ctx.lineTo(i * width / 8, height);
+            }
+            for (let i = 1; i < 4; i++) {
+                ctx.moveTo(0, i * height / 4);
+                ctx.lineTo(width, i * height / 4);
+            }
+            ctx.stroke();
+        }
+
+        // 只在前半段找触发点，保证后面还有半个缓冲区可画
+        let start = 0;
+        if (this.config.trigger) {
+            for (let i = 1; i < timeData.length / 2; i++) {
+                if (timeData[i - 1] < 128 && timeData[i] >= 128) {
+                    start = i;
+                    break;
+                }
+            }
+        }
+
+        const count = Math.floor(timeData.length / 2);
+        const sliceWidth = width / (count - 1);
+
+        ctx.strokeStyle = palette.barColor;
+        ctx.lineWidth = this.config.lineWidth;
+        ctx.beginPath();
+
+        for (let i = 0; i < count; i++) {
+            const value = (timeData[start + i] - 128) / 128 * this.config.gain;
+            const y = center - Math.max(-1, Math.min(1, value)) * center * 0.9;
+            if (i === 0) {
+                ctx.moveTo(0, y);
+            } else {
+                ctx.lineTo(i * sliceWidth, y);
+            }
+        }
+
+        ctx.stroke();
+    }
+}
+
+// 多频段：柱高为电平，横线为频段内峰值，起音（通量较大）时柱顶高亮
+class BandsMode extends VisualizerMode {
+    constructor(options = {}) {
+        super({
+            gap: 2,                 // 条间距（像素）
+            fluxThreshold: 0.02,    // 通量超过此值时柱顶高亮
+            ...options
+        });
+    }
+
+    draw(ctx, frame) {
+        const bands = frame.state.bands;
+        if (!bands || bands.length === 0) return;
+
+        const { width, height, palette } = frame;
+        const barWidth = width / bands.length;
+        const gradient = VisualizerMode.createGradient(ctx, height, palette.gradientColors);
+
+        bands.forEach((band, i) => {
+            const x = i * barWidth;
+            const barHeight = band.level * height * 0.8;
+            const peakY = height - band.peak * height * 0.8;
+
+            ctx.fillStyle = gradient;
+            ctx.fillRect(x, height - barHeight, barWidth - this.config.gap, barHeight);
+
+            ctx.fillStyle = palette.barColor;
+            ctx.fillRect(x, peakY, barWidth - this.config.gap, 2);
+
+            if (band.flux > this.config.fluxThreshold) {
+                ctx.save();
+                ctx.globalAlpha = Math.min(1, band.flux * 20);
+                ctx.fillStyle = palette.beatColor;
+                ctx.fillRect(x, height - barHeight - 5, barWidth - this.config.gap, 5);
+                ctx.restore();
+            }
+        });
+    }
+}
+
+// 圆形频谱：频谱条沿圆周向外排列，缓慢旋转，节拍时内圈放大
+class RadialSpectrumMode extends VisualizerMode {
+    constructor(options = {}) {
+        super({
+            barCount: 64,           // 频谱条数（不超过频点数的一半）
+            innerRadius: 0.35,      // 内圈半径（占可用半径的比例）
+            rotationSpeed: 0.2,     // 旋转速度（弧度/秒）
+            mirror: true,           // 是否左右对称（低频在顶部）
+            beatPulse: 0.15,        // 节拍时内圈放大的比例
+            ...options
+        });
+    }
+
+    draw(ctx, frame) {
+        const { width, height, frequencyData, state, palette, now } = frame;
+        const centerX = width / 2;
+        const centerY = height / 2;
+        const radius = Math.min(width, height) / 2 * 0.95;
+
+        const pulse = Math.max(0, 1 - (now - state.lastBeatTime) / 300) * this.config.beatPulse;
+        const inner = radius * this.config.innerRadius * (1 + pulse);
+        const barCount = Math.min(frequencyData.length / 2, this.config.barCount);
+        const spokes = this.config.mirror ? barCount * 2 : barCount;
+        const rotation = now / 1000 * this.config.rotationSpeed;
+
+        ctx.save();
+        ctx.translate(centerX, centerY);
+        ctx.lineCap = 'round';
+        ctx.lineWidth = Math.max(1, Math.PI * 2 * inner / spokes * 0.6);
+
+        for (let i = 0; i < spokes; i++) {
+            // 对称时第二半圈反向取频点，低频在顶部汇合
+            const bin = this.config.mirror && i >= barCount ? spokes - 1 - i : i;
+            const value = frequencyData[bin] / 255;
+            const angle = rotation + i / spokes * Math.PI * 2 - Math.PI / 2;
+            const length = value * (radius - inner);
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+
+            ctx.strokeStyle = palette.gradientColors[Math.min(2, Math.floor(value * 3))];
+            ctx.beginPath();
+            ctx.moveTo(cos * inner, sin * inner);
+            ctx.lineTo(cos * (inner + length), sin * (inner + length));
+            ctx.stroke();
+        }
+
+        ctx.strokeStyle = pulse > 0 ? palette.beatColor : palette.barColor;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(0, 0, inner * 0.9, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+    }
+}
+
+// 节拍粒子：每次节拍从中心迸发一组粒子，数量和速度随音量变化
+class ParticleBurstMode extends VisualizerMode {
+    constructor(options = {}) {
+        super({
+            burstCount: 24,         // 每次节拍的粒子数（音量最大时）
+            maxParticles: 300,      // 粒子总数上限
+            speed: 180,             // 初速度（像素/秒）
+            lifetime: 1200,         // 粒子寿命（毫秒）
+            drag: 2,                // 速度衰减系数（每秒）
+            gravity: 60,            // 重力加速度（像素/秒²）
+            size: 3,                // 粒子半径（像素）
+            ...options
+        });
+
+        this.reset();
+    }
+
+    reset() {
+        this.particles = [];
+        this.lastBeatTime = null;
+        this.lastFrameTime = null;
+    }
+
+    // 从中心发射一组粒子
+    burst(x, y, volume, now, palette) {
+        const count = Math.round(this.config.burstCount * (0.4 + Math.min(1, volume) * 0.6));
+        for (let i = 0; i < count; i++) {
+            const angle = Math.random() * Math.PI * 2;
+            const speed = this.config.speed * (0.5 + Math.random() * 0.5) * (0.6 + volume * 0.4);
+            this.particles.push({
+                x,
+                y,
+                vx: Math.cos(angle) * speed,
+                vy: Math.sin(angle) * speed,
+                born: now,
+                color: palette.gradientColors[i % palette.gradientColors.length]
+            });
+        }
+
+        if (this.particles.length > this.config.maxParticles) {
+            this.particles.splice(0, this.particles.length - this.config.maxParticles);
+        }
+    }
+
+    draw(ctx, frame) {
+        const { width, height, state, palette, now } = frame;
+
+        // 帧间隔上限0.1秒，标签页恢复时粒子不会一下飞出画面
+        const dt = this.lastFrameTime === null ? 0 : Math.min(0.1, (now - this.lastFrameTime) / 1000);
+        this.lastFrameTime = now;
+
+        if (state.lastBeatTime > 0 && state.lastBeatTime !== this.lastBeatTime) {
+            this.lastBeatTime = state.lastBeatTime;
+            this.burst(width / 2, height / 2, state.averageVolume, now, palette);
+        }
+
+        // 中心圆随音量缩放
+        ctx.fillStyle = palette.barColor;
+        ctx.globalAlpha = 0.3;
+        ctx.beginPath();
+        ctx.arc(width / 2, height / 2, 4 + Math.min(1, state.averageVolume) * Math.min(width, height) * 0.15, 0, Math.PI * 2);
+        ctx.fill();
+
+        const decay = Math.exp(-this.config.drag * dt);
+        this.particles = this.particles.filter(particle => {
+            const age = (now - particle.born) / this.config.lifetime;
+            if (age >= 1) return false;
+
+            particle.vx *= decay;
+            particle.vy = particle.vy * decay + this.config.gravity * dt;
+            particle.x += particle.vx * dt;
+            particle.y += particle.vy * dt;
+
+            ctx.globalAlpha = 1 - age;
+            ctx.fillStyle = particle.color;
+            ctx.beginPath();
+            ctx.arc(particle.x, particle.y, this.config.size * (1 - age * 0.5), 0, Math.PI * 2);
+            ctx.fill();
+            return true;
+        });
+
+        ctx.globalAlpha = 1;
+    }
+}
+
+// 振动轨道：按时间滚动显示实际输出的振动段（高度为强度）和检测到的节拍，便于对照振动与音乐是否同步
+class HapticLaneMode extends VisualizerMode {
+    constructor(options = {}) {
+        super({
+            window: 4000,           // 显示的时间范围（毫秒）
+            showBeats: true,        // 是否显示节拍
+            showSpectrum: true,     // 是否在背景显示淡色频谱
+            laneHeight: 0.6,        // 振动轨道高度（占画布高度的比例）
+            margin: 24,             // 当前时刻距右边缘的距离（像素），给音量指示留出位置
+            ...options
+        });
+    }
+
+    draw(ctx, frame) {
+        const { width, height, frequencyData, state, palette, now } = frame;
+        const right = width - this.config.margin;
+        const timeToX = time => right - (now - time) / this.config.window * right;
+
+        if (this.config.showSpectrum) {
+            const barCount = Math.min(frequencyData.length / 2, 32);
+            const barWidth = right / barCount;
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.06)';
+            for (let i = 0; i < barCount; i++) {
+                const barHeight = frequencyData[i] / 255 * height;
+                ctx.fillRect(i * barWidth, height - barHeight, barWidth - 1, barHeight);
+            }
+        }
+
+        // 轨道
+        const laneHeight = height * this.config.laneHeight;
+        const laneTop = (height - laneHeight) / 2;
+        const center = laneTop + laneHeight / 2;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.05)';
+        ctx.fillRect(0, laneTop, right, laneHeight);
+
+        if (this.config.showBeats) {
+            ctx.fillStyle = palette.beatColor;
+            state.beats.forEach(time => {
+                const x = timeToX(time);
+                if (x >= 0) {
+                    ctx.fillRect(x - 1, 0, 2, laneTop * 0.6);
+                    ctx.fillRect(x - 1, height - laneTop * 0.6, 2, laneTop * 0.6);
+                }
+            });
+        }
+
+        // 振动段：以轨道中线为中心，高度表示强度，正在振动的段更深
+        state.vibrations.forEach(vibration => {
+            const amplitude = laneHeight / 2 * (vibration.intensity !== undefined ? vibration.intensity : 1);
+            let time = vibration.time;
+
+            vibration.pattern.forEach((duration, index) => {
+                if (index % 2 === 0 && duration > 0) {
+                    const left = Math.max(0, timeToX(time));
+                    const end = Math.min(right, timeToX(time + duration));
+                    if (end > left) {
+                        ctx.fillStyle = palette.barColor;
+                        ctx.globalAlpha = now >= time && now < time + duration ? 1 : 0.6;
+                        ctx.fillRect(left, center - amplitude, Math.max(1, end - left), amplitude * 2);
+                    }
+                }
+                time += duration;
+            });
+        });
+        ctx.globalAlpha = 1;
+
+        // 当前时刻
+        ctx.fillStyle = palette.beatColor;
+        ctx.fillRect(right - 1, laneTop - 4, 2, laneHeight + 8);
+    }
+}
+
+VisualizerMode.register('classic', ClassicMode);
+VisualizerMode.register('bars', SpectrumBarsMode);
+VisualizerMode.register('waveform', OscilloscopeMode);
+VisualizerMode.register('bands', BandsMode);
+VisualizerMode.register('radial', RadialSpectrumMode);
+VisualizerMode.register('particles', ParticleBurstMode);
+VisualizerMode.register('haptic', HapticLaneMode);
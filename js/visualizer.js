@@ -1,6 +1,6 @@
 /**
  * 音频可视化器类
- * 负责音频数据的可视化显示
+ * 负责音频数据的可视化显示：画布、动画循环和公共叠加层（音量、节拍指示），具体画面由当前的可视化模式绘制
  */
 
 class AudioVisualizer {
@@ -10,6 +10,7 @@ class AudioVisualizer {
         this.audioAnalyzer = null;
         this.animationId = null;
         this.isRunning = false;
+        this.lastFrameTime = 0;
 
         // 可视化配置
         this.config = {
@@ -20,15 +21,27 @@ class AudioVisualizer {
             backgroundColor: '#f5f5f5',
             barColor: '#2196F3',
             beatColor: '#FF5722',
-            gradientColors: ['#2196F3', '#21CBF3', '#00BCD4']
+            gradientColors: ['#2196F3', '#21CBF3', '#00BCD4'],
+            style: 'classic',   // 可视化模式，见VisualizerMode.getAvailableTypes()
+            targetFPS: 60,      // 目标帧率
+            volumeIndicator: true,  // 是否显示音量指示
+            beatIndicator: false,   // 是否显示节拍指示
+            historyDuration: 10000, // 节拍和振动记录保留时长（毫秒）
+            modes: {}           // 各模式的配置，如 { radial: { barCount: 96 } }
         };
 
+        // 已创建的模式实例，键为模式名称
+        this.modes = {};
+
         // 可视化状态
         this.state = {
             beatDetected: false,
             lastBeatTime: 0,
             averageVolume: 0,
-            peakFrequency: 0
+            peakFrequency: 0,
+            bands: null,        // 多频段分析结果
+            beats: [],          // 最近的节拍时间（页面时间，毫秒）
+            vibrations: []      // 最近输出的振动 {time, pattern, intensity}
         };
 
         // 延迟初始化canvas，确保DOM完全渲染
@@ -110,18 +123,62 @@ class AudioVisualizer {
         this.state.beatDetected = analysisData.beat?.detected || false;
         this.state.averageVolume = analysisData.volume || 0;
         this.state.peakFrequency = analysisData.frequency?.peak || 0;
+        this.state.bands = analysisData.frequency?.bands || null;
 
         if (this.state.beatDetected) {
-            this.state.lastBeatTime = Date.now();
+            const now = performance.now();
+            this.state.lastBeatTime = now;
+            this.state.beats.push(now);
+            this.pruneHistory(now);
+        }
+    }
+
+    // 记录一次实际输出的振动（振动控制器的onVibrate事件，使用调节和限制后的模式）
+    recordVibration(event) {
+        this.state.vibrations.push({
+            time: event.timestamp,
+            pattern: event.outputPattern,
+            intensity: event.outputIntensity
+        });
+        this.pruneHistory(performance.now());
+    }
+
+    // 丢弃超出保留时长的节拍和振动记录
+    pruneHistory(now) {
+        const oldest = now - this.config.historyDuration;
+        this.state.beats = this.state.beats.filter(time => time > oldest);
+        this.state.vibrations = this.state.vibrations.filter(vibration => {
+            const duration = vibration.pattern.reduce((sum, value) => sum + value, 0);
+            return vibration.time + duration > oldest;
+        });
+    }
+
+    // 当前模式的实例（首次使用时按配置创建）
+    getMode() {
+        const style = this.config.style;
+        if (!this.modes[style]) {
+            this.modes[style] = VisualizerMode.create(style, this.config.modes[style]);
         }
+        return this.modes[style];
+    }
+
+    // 切换可视化模式
+    setMode(style) {
+        this.updateConfig({ style });
     }
 
     // 动画循环
-    animate() {
+    animate(timestamp = 0) {
         if (!this.isRunning) return;
 
-        this.draw();
-        this.animationId = requestAnimationFrame(() => this.animate());
+        // 按目标帧率限制绘制频率
+        const frameInterval = 1000 / this.config.targetFPS;
+        if (timestamp - this.lastFrameTime >= frameInterval - 1) {
+            this.lastFrameTime = timestamp;
+            this.draw();
+        }
+
+        this.animationId = requestAnimationFrame((time) => this.animate(time));
     }
 
     // 绘制可视化
@@ -144,19 +201,32 @@ class AudioVisualizer {
             // 清空画布
             this.clearCanvas();
 
-            // 绘制频谱条
-            this.drawFrequencyBars(frequencyData);
-
-            // 绘制波形
-            this.drawWaveform(timeData);
+            const width = this.canvas.width / (window.devicePixelRatio || 1);
+            const height = this.canvas.height / (window.devicePixelRatio || 1);
+            this.getMode().draw(this.ctx, {
+                width,
+                height,
+                now: performance.now(),
+                frequencyData,
+                timeData,
+                state: this.state,
+                palette: {
+                    barColor: this.config.barColor,
+                    beatColor: this.config.beatColor,
+                    gradientColors: this.config.gradientColors,
+                    backgroundColor: this.config.backgroundColor
+                }
+            });
 
             // 绘制节拍指示器
-            // if (this.state.beatDetected) {
-            //     this.drawBeatIndicator();
-            // }
+            if (this.config.beatIndicator) {
+                this.drawBeatIndicator();
+            }
 
             // 绘制音量指示器
-            this.drawVolumeIndicator();
+            if (this.config.volumeIndicator) {
+                this.drawVolumeIndicator();
+            }
 
         } catch (error) {
             console.error('Visualization draw error:', error);
@@ -164,73 +234,6 @@ class AudioVisualizer {
         }
     }
 
-    // 绘制频谱条
-    drawFrequencyBars(frequencyData) {
-        const canvas = this.canvas;
-        const ctx = this.ctx;
-        const width = canvas.width / (window.devicePixelRatio || 1);
-        const height = canvas.height / (window.devicePixelRatio || 1);
-
-        const barCount = Math.min(frequencyData.length / 2, 32); // 限制条数
-        const barWidth = width / barCount;
-
-        // 创建渐变
-        const gradient = ctx.createLinearGradient(0, height, 0, 0);
-        gradient.addColorStop(0, this.config.gradientColors[0]);
-        gradient.addColorStop(0.5, this.config.gradientColors[1]);
-        gradient.addColorStop(1, this.config.gradientColors[2]);
-
-        ctx.fillStyle = gradient;
-
-        for (let i = 0; i < barCount; i++) {
-            const value = frequencyData[i] / 255;
-            const barHeight = value * height * 0.8;
-
-            const x = i * barWidth;
-            const y = height - barHeight;
-
-            // 绘制频谱条
-            ctx.fillRect(x, y, barWidth - 2, barHeight);
-
-            // 节拍时高亮显示
-            if (this.state.beatDetected && Date.now() - this.state.lastBeatTime < 200) {
-                ctx.fillStyle = this.config.beatColor;
-                ctx.fillRect(x, y - 5, barWidth - 2, 5);
-                ctx.fillStyle = gradient;
-            }
-        }
-    }
-
-    // 绘制波形
-    drawWaveform(timeData) {
-        const canvas = this.canvas;
-        const ctx = this.ctx;
-        const width = canvas.width / (window.devicePixelRatio || 1);
-        const height = canvas.height / (window.devicePixelRatio || 1);
-
-        ctx.strokeStyle = this.config.barColor;
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-
-        const sliceWidth = width / timeData.length;
-        let x = 0;
-
-        for (let i = 0; i < timeData.length; i++) {
-            const value = timeData[i] / 128.0;
-            const y = value * height / 4 + height / 2;
-
-            if (i === 0) {
-                ctx.moveTo(x, y);
-            } else {
-                ctx.lineTo(x, y);
-            }
-
-            x += sliceWidth;
-        }
-
-        ctx.stroke();
-    }
-
     // 绘制节拍指示器
     drawBeatIndicator() {
         const canvas = this.canvas;
@@ -239,7 +242,7 @@ class AudioVisualizer {
         const height = canvas.height / (window.devicePixelRatio || 1);
 
         // 计算节拍动画进度
-        const timeSinceBeat = Date.now() - this.state.lastBeatTime;
+        const timeSinceBeat = performance.now() - this.state.lastBeatTime;
         const animationProgress = Math.max(0, 1 - timeSinceBeat / 300);
 
         if (animationProgress > 0) {
@@ -333,11 +336,38 @@ class AudioVisualizer {
     }
 
     // 更新配置
+    // modes按模式分别合并，已创建的模式实例立即生效；切换模式时清除新模式的内部状态，未知模式保持原模式
     updateConfig(newConfig) {
-        this.config = { ...this.config, ...newConfig };
+        const previousStyle = this.config.style;
+        if (newConfig.style !== undefined && !VisualizerMode.types[newConfig.style]) {
+            console.warn('Unknown visualizer mode:', newConfig.style);
+            newConfig = { ...newConfig, style: previousStyle };
+        }
+
+        const modes = { ...this.config.modes };
+        Object.keys(newConfig.modes || {}).forEach(style => {
+            modes[style] = { ...modes[style], ...newConfig.modes[style] };
+            if (this.modes[style]) {
+                this.modes[style].updateConfig(newConfig.modes[style]);
+            }
+        });
+
+        this.config = { ...this.config, ...newConfig, modes };
+        if (this.config.style !== previousStyle && this.modes[this.config.style]) {
+            this.modes[this.config.style].reset();
+        }
         console.log('Visualizer config updated');
     }
 
+    // 清除节拍和振动记录以及模式的内部状态（切换曲目时）
+    reset() {
+        this.state.beatDetected = false;
+        this.state.lastBeatTime = 0;
+        this.state.beats = [];
+        this.state.vibrations = [];
+        Object.values(this.modes).forEach(mode => mode.reset());
+    }
+
     // 获取状态
     getState() {
         return {
@@ -0,0 +1,371 @@
+/**
+ * 波形进度条
+ * 用解码后的整曲音频绘制波形概览并标出响亮段落（振动密集的部分），整曲预分析完成后再标出检测到的节拍，
+ * 支持点击、拖动和触摸跳转，Ctrl+滚轮或双指缩放，放大后跟随播放位置滚动。
+ * 基于TimelineCanvas的画布与时间换算，播放跳转由外部完成
+ */
+
+class WaveformSeekBar extends TimelineCanvas {
+    constructor(canvas, options = {}) {
+        super(canvas);
+
+        // 进度条配置
+        this.config = {
+            ...this.config,
+            targetFPS: 30,
+            backgroundColor: '#f5f5f5',
+            trackColor: '#e0e0e0',
+            waveformColor: 'rgba(33, 150, 243, 0.35)',
+            playedColor: '#2196F3',
+            loudColor: 'rgba(255, 152, 0, 0.18)',
+            beatColor: 'rgba(0, 0, 0, 0.2)',
+            downbeatColor: 'rgba(0, 0, 0, 0.45)',
+            playheadColor: '#f44336',
+            trackHeight: 6,         // 没有波形时的进度条高度（像素）
+            beatHeight: 6,          // 节拍刻度的最大高度（像素）
+            loudWindow: 2,          // 计算响亮段落的平滑窗口（秒）
+            loudQuantile: 0.75,     // 平滑后的响度高于该分位数的部分视为响亮段落
+            maxZoom: 32,            // 最大放大倍数
+            minViewDuration: 5,     // 最大放大时的可视范围下限（秒）
+            followDelay: 3000,      // 手动滚动后多久恢复跟随播放位置（毫秒）
+            ...options
+        };
+
+        // 曲目数据
+        this.loudPassages = [];     // 响亮段落 [{start, end}]（秒）
+        this.beats = [];
+
+        // 交互状态
+        this.pointers = new Map();  // 按下的指针，键为pointerId，值为横坐标
+        this.pinch = null;
+        this.lastManualView = -Infinity;
+
+        // 当前播放位置（由外部提供）
+        this.getCurrentTime = options.getCurrentTime || (() => 0);
+
+        // 事件回调
+        this.callbacks = {
+            onSeek: [],         // 点击或拖动请求跳转
+            onViewChange: []    // 可视范围变化（缩放或滚动）
+        };
+
+        this.bindEvents();
+    }
+
+    // 设置曲目时长（音频加载后、解码完成前只显示普通进度条）
+    setDuration(duration) {
+        if (duration === this.duration) return;
+
+        this.duration = duration > 0 ? duration : 0;
+        this.setView(0, this.duration);
+        this.draw();
+    }
+
+    // 加载解码后的音频（计算波形包络和响亮段落），不依赖整曲预分析
+    loadAudio(audioBuffer) {
+        this.envelope = this.computeBufferEnvelope(audioBuffer);
+        this.loudPassages = this.findLoudPassages(this.envelope);
+
+        if (!(this.duration > 0)) {
+            this.setDuration(audioBuffer.duration);
+        }
+        this.draw();
+    }
+
+    // 加载整曲预分析检测到的节拍
+    loadBeats(beats) {
+        this.beats = beats || [];
+        this.draw();
+    }
+
+    // 平滑包络后找出高于分位数阈值的连续段落
+    findLoudPassages(envelope) {
+        const { values, frameDuration } = envelope;
+        if (values.length === 0) return [];
+
+        // 前缀和求滑动平均
+        const half = Math.max(1, Math.round(this.config.loudWindow / frameDuration / 2));
+        const prefix = new Float64Array(values.length + 1);
+        for (let i = 0; i < values.length; i++) {
+            prefix[i + 1] = prefix[i] + values[i];
+        }
+        const smoothed = new Float32Array(values.length);
+        for (let i = 0; i < values.length; i++) {
+            const from = Math.max(0, i - half);
+            const to = Math.min(values.length, i + half + 1);
+            smoothed[i] = (prefix[to] - prefix[from]) / (to - from);
+        }
+
+        const sorted = Float32Array.from(smoothed).sort();
+        const threshold = sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * this.config.loudQuantile))];
+
+        const passages = [];
+        let start = null;
+        for (let i = 0; i <= smoothed.length; i++) {
+            const loud = i < smoothed.length && smoothed[i] > threshold;
+            if (loud && start === null) {
+                start = i;
+            } else if (!loud && start !== null) {
+                passages.push({ start: start * frameDuration, end: i * frameDuration });
+                start = null;
+            }
+        }
+        return passages;
+    }
+
+    // 绑定指针和滚轮交互
+    bindEvents() {
+        const canvas = this.canvas;
+        canvas.style.touchAction = 'none';
+
+        canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        canvas.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+        canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+    }
+
+    // 调整画布大小后重绘
+    resize() {
+        super.resize();
+        this.draw();
+    }
+
+    // 时间在可视范围中的比例（0-1，超出范围时小于0或大于1），用于定位段落标记等覆盖元素
+    timeToFraction(time) {
+        return this.view.duration > 0 ? (time - this.view.start) / this.view.duration : 0;
+    }
+
+    // 按下：单指点击或拖动跳转，第二个指针按下时开始双指缩放
+    handlePointerDown(e) {
+        if (!(this.duration > 0)) return;
+
+        this.canvas.setPointerCapture(e.pointerId);
+        this.pointers.set(e.pointerId, this.getPointerX(e));
+
+        if (this.pointers.size === 2) {
+            this.pinch = this.getPinch();
+            return;
+        }
+        if (this.pointers.size === 1) {
+            this.seekToX(this.getPointerX(e));
+        }
+    }
+
+    // 拖动：单指继续跳转，双指按距离变化缩放并跟随中点滚动
+    handlePointerMove(e) {
+        if (!this.pointers.has(e.pointerId)) return;
+
+        this.pointers.set(e.pointerId, this.getPointerX(e));
+
+        if (this.pinch) {
+            const pinch = this.getPinch();
+            const duration = this.pinch.duration * this.pinch.distance / Math.max(1, pinch.distance);
+            const ratio = pinch.center / this.getSize().width;
+            this.lastManualView = performance.now();
+            this.setView(this.pinch.anchor - ratio * duration, duration);
+            this.draw();
+        } else if (this.pointers.size === 1) {
+            this.seekToX(this.getPointerX(e));
+        }
+    }
+
+    // 抬起：双指缩放结束后剩下的手指不再跳转，直到重新按下
+    handlePointerUp(e) {
+        if (!this.pointers.delete(e.pointerId)) return;
+
+        if (this.pinch) {
+            this.pinch = null;
+            this.pointers.clear();
+        }
+    }
+
+    // 双指的间距、中点和中点对应的时间
+    getPinch() {
+        const [a, b] = Array.from(this.pointers.values());
+        const center = (a + b) / 2;
+        return {
+            distance: Math.abs(a - b),
+            center,
+            anchor: this.xToTime(center),
+            duration: this.view.duration
+        };
+    }
+
+    // 跳转到横坐标对应的时间
+    seekToX(x) {
+        const time = Math.max(0, Math.min(this.duration, this.xToTime(x)));
+        this.triggerCallbacks('onSeek', time);
+        this.draw();
+    }
+
+    // 滚轮：Ctrl+滚轮缩放；放大后横向滚动（或Shift+滚轮）平移，其余交给页面滚动
+    handleWheel(e) {
+        if (!(this.duration > 0)) return;
+
+        if (e.ctrlKey) {
+            e.preventDefault();
+            this.lastManualView = performance.now();
+            this.zoom(Math.pow(1.0015, -e.deltaY), this.xToTime(this.getPointerX(e)));
+            return;
+        }
+
+        const delta = e.shiftKey ? e.deltaY : e.deltaX;
+        if (this.getZoom() > 1 && Math.abs(delta) > 0) {
+            e.preventDefault();
+            this.lastManualView = performance.now();
+            this.setView(this.view.start + delta / this.getSize().width * this.view.duration, this.view.duration);
+            this.draw();
+        }
+    }
+
+    // 以anchor（秒，默认为播放位置）为中心缩放，factor大于1为放大
+    zoom(factor, anchor = this.getCurrentTime()) {
+        const duration = this.view.duration / factor;
+        const ratio = this.view.duration > 0 ? (anchor - this.view.start) / this.view.duration : 0.5;
+        this.setView(anchor - Math.max(0, Math.min(1, ratio)) * duration, duration);
+        this.draw();
+    }
+
+    // 当前放大倍数
+    getZoom() {
+        return this.view.duration > 0 ? this.duration / this.view.duration : 1;
+    }
+
+    // 设置可视范围（限制在曲目时长和最大放大倍数内），不重绘
+    setView(start, duration) {
+        const minDuration = Math.min(this.duration, Math.max(this.config.minViewDuration, this.duration / this.config.maxZoom));
+        duration = Math.max(minDuration, Math.min(this.duration, duration));
+        start = Math.max(0, Math.min(this.duration - duration, start));
+
+        if (start === this.view.start && duration === this.view.duration) return;
+
+        this.view = { start, duration };
+        this.triggerCallbacks('onViewChange', { ...this.view, zoom: this.getZoom() });
+    }
+
+    // 放大后让播放位置保持在可视范围内（手动滚动后暂停跟随一段时间）
+    followPlayhead(time) {
+        if (this.getZoom() <= 1 || this.pointers.size > 0) return;
+        if (performance.now() - this.lastManualView < this.config.followDelay) return;
+
+        if (time < this.view.start || time > this.view.start + this.view.duration * 0.95) {
+            this.setView(time - this.view.duration * 0.1, this.view.duration);
+        }
+    }
+
+    // 绘制进度条（覆盖可视化器的绘制）
+    draw() {
+        this.clearCanvas();
+        if (!(this.duration > 0) || !(this.view.duration > 0)) {
+            this.drawTrack(0);
+            return;
+        }
+
+        const currentTime = Math.max(0, Math.min(this.duration, this.getCurrentTime()));
+        this.followPlayhead(currentTime);
+
+        if (this.envelope) {
+            this.drawLoudPassages();
+            this.drawWaveform(currentTime);
+            this.drawBeatMarks();
+        } else {
+            this.drawTrack(currentTime);
+        }
+        this.drawPlayhead(currentTime);
+    }
+
+    // 绘制普通进度条（没有波形时）
+    drawTrack(currentTime) {
+        const ctx = this.ctx;
+        const { width, height } = this.getSize();
+        const top = (height - this.config.trackHeight) / 2;
+
+        ctx.fillStyle = this.config.trackColor;
+        ctx.fillRect(0, top, width, this.config.trackHeight);
+
+        if (this.view.duration > 0) {
+            ctx.fillStyle = this.config.playedColor;
+            ctx.fillRect(0, top, Math.max(0, Math.min(width, this.timeToX(currentTime))), this.config.trackHeight);
+        }
+    }
+
+    // 绘制响亮段落的背景
+    drawLoudPassages() {
+        const ctx = this.ctx;
+        const { width, height } = this.getSize();
+
+        ctx.fillStyle = this.config.loudColor;
+        this.loudPassages.forEach(passage => {
+            const left = this.timeToX(passage.start);
+            const right = this.timeToX(passage.end);
+            if (right < 0 || left > width) return;
+            ctx.fillRect(left, 0, right - left, height);
+        });
+    }
+
+    // 绘制波形（每列取该时间范围内的最大振幅），已播放部分用深色
+    drawWaveform(currentTime) {
+        const ctx = this.ctx;
+        const { width, height } = this.getSize();
+        const center = (height - this.config.beatHeight) / 2;
+        const playedX = this.timeToX(currentTime);
+        const { values, frameDuration } = this.envelope;
+
+        for (let x = 0; x < width; x++) {
+            const from = Math.max(0, Math.floor(this.xToTime(x) / frameDuration));
+            const to = Math.min(values.length, Math.max(from + 1, Math.ceil(this.xToTime(x + 1) / frameDuration)));
+            let peak = 0;
+            for (let i = from; i < to; i++) {
+                if (values[i] > peak) peak = values[i];
+            }
+            const amplitude = Math.max(0.5, peak * center * 0.9);
+            ctx.fillStyle = x < playedX ? this.config.playedColor : this.config.waveformColor;
+            ctx.fillRect(x, center - amplitude, 1, amplitude * 2);
+        }
+    }
+
+    // 在底部绘制节拍刻度（高度表示节拍强度，小节首拍更深）
+    drawBeatMarks() {
+        const ctx = this.ctx;
+        const { width, height } = this.getSize();
+
+        // 节拍太密（间距不足2像素）时只画小节首拍
+        const onlyDownbeats = this.beats.length * this.view.duration / this.duration > width / 2;
+
+        this.beats.forEach(beat => {
+            const downbeat = beat.beatInBar === 1;
+            if (onlyDownbeats && !downbeat) return;
+
+            const x = this.timeToX(beat.time);
+            if (x < 0 || x > width) return;
+
+            const markHeight = this.config.beatHeight * (0.4 + (beat.strength || 0) * 0.6);
+            ctx.fillStyle = downbeat ? this.config.downbeatColor : this.config.beatColor;
+            ctx.fillRect(x, height - markHeight, 1, markHeight);
+        });
+    }
+
+    // 绘制播放头
+    drawPlayhead(currentTime) {
+        const x = this.timeToX(currentTime);
+        const { width, height } = this.getSize();
+        if (!(this.view.duration > 0) || x < 0 || x > width) return;
+
+        this.ctx.fillStyle = this.config.playheadColor;
+        this.ctx.fillRect(Math.min(width - 2, Math.max(0, x - 1)), 0, 2, height);
+    }
+
+    // 清除曲目（切换曲目时）
+    reset() {
+        this.envelope = null;
+        this.loudPassages = [];
+        this.beats = [];
+        this.pointers.clear();
+        this.pinch = null;
+        this.duration = 0;
+        this.view = { start: 0, duration: 0 };
+        this.triggerCallbacks('onViewChange', { ...this.view, zoom: 1 });
+        this.draw();
+    }
+}
@@ -0,0 +1,184 @@
+/**
+ * AudioWorklet分析引擎
+ * 在主线程接收analysis-worklet.js发送的特征消息，并转换为与AudioAnalyzer.getAnalysisData相同的数据结构。
+ * 起始点在音频线程中逐渲染块检测，时间精确到128帧，不受动画帧频率限制
+ */
+
+class WorkletAnalysisEngine {
+    constructor(audioContext, options = {}) {
+        this.audioContext = audioContext;
+        this.node = null;
+        this.inputNode = null;
+        this.isReady = false;
+
+        // 引擎配置（模块地址以外的字段会传给音频线程中的处理器）
+        this.config = {
+            moduleUrl: 'js/analysis-worklet.js',
+            detectorModuleUrl: 'js/onset-detectors.js',
+            bandModuleUrl: 'js/band-analyzer.js',
+            detector: 'spectralFlux',
+            fftSize: 1024,
+            reportInterval: 4,
+            minDecibels: -90,
+            maxDecibels: -10,
+            onsetThreshold: 1.3,
+            minOnsetInterval: 0.3,
+            bands: {},              // 多频段分析配置（见band-analyzer.js）
+            ...options
+        };
+
+        // 最新一次特征与尚未被读取的起始点、打击乐声部起始点
+        this.latest = null;
+        this.pendingOnsets = [];
+        this.pendingHits = [];
+
+        // 事件回调
+        this.callbacks = {
+            onFeatures: []
+        };
+    }
+
+    // 检查当前环境是否支持AudioWorklet
+    static isSupported(audioContext) {
+        return !!(audioContext && audioContext.audioWorklet && window.AudioWorkletNode);
+    }
+
+    // 加载处理器并接入分析输入
+    async init(inputNode) {
+        // 处理器依赖起始点检测算法和多频段分析，需先加载
+        await this.audioContext.audioWorklet.addModule(this.config.detectorModuleUrl);
+        await this.audioContext.audioWorklet.addModule(this.config.bandModuleUrl);
+        await this.audioContext.audioWorklet.addModule(this.config.moduleUrl);
+
+        // 没有输出的节点只要有输入就会持续处理，不需要连接扬声器
+        this.node = new AudioWorkletNode(this.audioContext, 'analysis-processor', {
+            numberOfInputs: 1,
+            numberOfOutputs: 0,
+            processorOptions: this.getProcessorConfig()
+        });
+
+        this.node.port.onmessage = (event) => {
+            this.handleMessage(event.data);
+        };
+
+        this.inputNode = inputNode;
+        this.inputNode.connect(this.node);
+        this.isReady = true;
+
+        console.log('WorkletAnalysisEngine initialized');
+    }
+
+    // 传给处理器的配置
+    getProcessorConfig() {
+        const { moduleUrl, detectorModuleUrl, bandModuleUrl, ...processorConfig } = this.config;
+        return processorConfig;
+    }
+
+    // 处理特征消息
+    handleMessage(message) {
+        if (message.type !== 'features') return;
+
+        this.latest = message;
+        if (message.onsets.length > 0) {
+            this.pendingOnsets.push(...message.onsets);
+        }
+        if (message.hits.length > 0) {
+            this.pendingHits.push(...message.hits);
+        }
+
+        this.triggerCallbacks('onFeatures', message);
+    }
+
+    // 获取分析数据（结构与AudioAnalyzer.getAnalysisData一致，节拍BPM由调用方补充）
+    getAnalysisData() {
+        if (!this.isReady || !this.latest) {
+            return null;
+        }
+
+        const latest = this.latest;
+
+        // 两次读取之间可能有多个起始点，取最强的一个
+        const onset = this.pendingOnsets.reduce((strongest, item) => {
+            return !strongest || item.strength > strongest.strength ? item : strongest;
+        }, null);
+        this.pendingOnsets = [];
+
+        const percussion = PercussionDetector.summarize(this.pendingHits);
+        this.pendingHits = [];
+
+        const beat = onset
+            ? {
+                detected: true,
+                strength: onset.strength,
+                bpm: 0,
+                confidence: onset.confidence,
+                energy: onset.energy,
+                kickEnergy: onset.kickEnergy,
+                type: onset.type,
+                time: onset.time
+            }
+            : {
+                detected: false,
+                strength: 0,
+                bpm: 0,
+                confidence: 0,
+                energy: latest.frequency.totalEnergy,
+                kickEnergy: latest.kick,
+                time: latest.time
+            };
+
+        return {
+            volume: latest.volume,
+            frequency: latest.frequency,
+            beat,
+            percussion,
+            flux: latest.flux
+        };
+    }
+
+    // 重置分析状态（切换曲目或输入源时调用）
+    reset() {
+        this.latest = null;
+        this.pendingOnsets = [];
+        this.pendingHits = [];
+
+        if (this.node) {
+            this.node.port.postMessage({ type: 'reset' });
+        }
+    }
+
+    // 更新配置
+    updateConfig(newConfig) {
+        this.config = { ...this.config, ...newConfig };
+
+        if (this.node) {
+            this.node.port.postMessage({
+                type: 'config',
+                config: this.getProcessorConfig()
+            });
+        }
+    }
+
+    // 清理资源
+    cleanup() {
+        if (this.inputNode && this.node) {
+            this.inputNode.disconnect(this.node);
+        }
+
+        if (this.node) {
+            this.node.port.onmessage = null;
+            this.node.port.close();
+            this.node = null;
+        }
+
+        this.inputNode = null;
+        this.isReady = false;
+        this.latest = null;
+        this.pendingOnsets = [];
+        this.pendingHits = [];
+
+        console.log('WorkletAnalysisEngine cleaned up');
+    }
+}
+
+Object.assign(WorkletAnalysisEngine.prototype, EventEmitterMixin);